@@ -4,6 +4,21 @@ import { getMongoInstance } from "./config/database.js";
 import { logger } from "./utils/logger.js";
 import { MiddlewareConfig } from "./middlewares/config.js";
 import { mainRouter } from "./routes/index.js";
+import { paymentClosingJob } from "./jobs/paymentClosing.js";
+import { paymentRepository } from "./repositories/payment.js";
+import { farmRepository } from "./repositories/farm.js";
+import { milkProductionRepository } from "./repositories/milkProduction.js";
+import { labResultRepository } from "./repositories/labResult.js";
+import { refreshTokenRepository } from "./repositories/refreshToken.js";
+import { revokedTokenRepository } from "./repositories/revokedToken.js";
+import { apiKeyRepository } from "./repositories/apiKey.js";
+import { loginAttemptRepository } from "./repositories/loginAttempt.js";
+import { loginEventRepository } from "./repositories/loginEvent.js";
+import { auditLogRepository } from "./repositories/auditLog.js";
+import { authTokenRepository } from "./repositories/authToken.js";
+import { pricingRuleRepository } from "./repositories/pricingRule.js";
+import { exchangeRateRepository } from "./repositories/exchangeRate.js";
+import { pricingRuleService } from "./services/pricingRule.js";
 
 dotenv.config();
 
@@ -19,10 +34,18 @@ class Server {
       await this.mongoInstance.connect();
       logger.info("MongoDB connected successfully");
 
+      await this.configureIndexes();
+
+      await this.seedData();
+
       MiddlewareConfig.configure(this.app);
 
       this.configureRoutes();
 
+      MiddlewareConfig.configureErrorHandling(this.app);
+
+      this.configureJobs();
+
       this.start();
     } catch (error) {
       logger.error("Failed to start the server or connect to MongoDB:", error);
@@ -30,6 +53,45 @@ class Server {
     }
   }
 
+  async configureIndexes() {
+    const repositories = [
+      farmRepository,
+      milkProductionRepository,
+      labResultRepository,
+      paymentRepository,
+      refreshTokenRepository,
+      revokedTokenRepository,
+      apiKeyRepository,
+      loginAttemptRepository,
+      loginEventRepository,
+      auditLogRepository,
+      authTokenRepository,
+      pricingRuleRepository,
+      exchangeRateRepository,
+    ];
+
+    for (const repository of repositories) {
+      try {
+        await repository.createIndexes();
+      } catch (error) {
+        // Existing duplicate data prevents unique indexes; keep serving and report it
+        logger.error(
+          `Error creating indexes for ${repository.collectionName}: ${error.message}`,
+        );
+      }
+    }
+    logger.info("Index configuration finished.");
+  }
+
+  async seedData() {
+    try {
+      await pricingRuleService.seedDefaultPricingRule();
+    } catch (error) {
+      // Another instance starting at the same time may have seeded it first
+      logger.error(`Error seeding the default pricing rule: ${error.message}`);
+    }
+  }
+
   configureRoutes() {
     try {
       this.app.use("/api", mainRouter);
@@ -39,6 +101,12 @@ class Server {
     }
   }
 
+  configureJobs() {
+    if (process.env.PAYMENT_CLOSING_JOB_ENABLED === "true") {
+      paymentClosingJob.start();
+    }
+  }
+
   start() {
     this.app.listen(this.port, () => {
       logger.info(`Server is running on http://localhost:${this.port}`);
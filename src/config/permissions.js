@@ -0,0 +1,84 @@
+/**
+ * Roles and the permissions granted to each of them.
+ * Routes declare the permissions they require with `authMiddleware.authorize(...)`;
+ * a user may access a route when their role grants every permission it lists.
+ */
+
+const ROLES = {
+  ADMIN: "admin",
+  FACTORY_OPERATOR: "factory_operator",
+  FIELD_COLLECTOR: "field_collector",
+  FARMER: "farmer",
+};
+
+const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  LOGIN_EVENTS_READ: "login-events:read",
+  AUDIT_READ: "audit:read",
+  RECORDS_PURGE: "records:purge",
+  FARMERS_READ: "farmers:read",
+  FARMERS_WRITE: "farmers:write",
+  FARMS_READ: "farms:read",
+  FARMS_WRITE: "farms:write",
+  MILK_PRODUCTIONS_READ: "milk-productions:read",
+  MILK_PRODUCTIONS_WRITE: "milk-productions:write",
+  LAB_RESULTS_READ: "lab-results:read",
+  LAB_RESULTS_WRITE: "lab-results:write",
+  PAYMENTS_READ: "payments:read",
+  PAYMENTS_WRITE: "payments:write",
+  PAYMENTS_APPROVE: "payments:approve",
+  PRICING_RULES_READ: "pricing-rules:read",
+  PRICING_RULES_WRITE: "pricing-rules:write",
+  EXCHANGE_RATES_READ: "exchange-rates:read",
+  EXCHANGE_RATES_WRITE: "exchange-rates:write",
+};
+
+// Read-only access to the data of the milk supply chain
+const READ_PERMISSIONS = [
+  PERMISSIONS.FARMERS_READ,
+  PERMISSIONS.FARMS_READ,
+  PERMISSIONS.MILK_PRODUCTIONS_READ,
+  PERMISSIONS.LAB_RESULTS_READ,
+  PERMISSIONS.PAYMENTS_READ,
+  PERMISSIONS.PRICING_RULES_READ,
+  PERMISSIONS.EXCHANGE_RATES_READ,
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.FACTORY_OPERATOR]: [
+    ...READ_PERMISSIONS,
+    PERMISSIONS.FARMERS_WRITE,
+    PERMISSIONS.FARMS_WRITE,
+    PERMISSIONS.MILK_PRODUCTIONS_WRITE,
+    PERMISSIONS.LAB_RESULTS_WRITE,
+    PERMISSIONS.PAYMENTS_WRITE,
+    PERMISSIONS.PAYMENTS_APPROVE,
+    PERMISSIONS.PRICING_RULES_WRITE,
+    PERMISSIONS.EXCHANGE_RATES_WRITE,
+  ],
+  [ROLES.FIELD_COLLECTOR]: [
+    PERMISSIONS.FARMERS_READ,
+    PERMISSIONS.FARMS_READ,
+    PERMISSIONS.MILK_PRODUCTIONS_READ,
+    PERMISSIONS.MILK_PRODUCTIONS_WRITE,
+  ],
+  [ROLES.FARMER]: READ_PERMISSIONS,
+};
+
+// Role of users registered without one
+const DEFAULT_ROLE = ROLES.FARMER;
+
+/**
+ * Checks whether a role grants every given permission.
+ * @param {string} role - The user's role.
+ * @param {Array<string>} permissions - The required permissions.
+ * @returns {boolean} - True if the role grants all permissions.
+ */
+const hasPermissions = (role, permissions) => {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, DEFAULT_ROLE, hasPermissions };
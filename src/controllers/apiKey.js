@@ -0,0 +1,59 @@
+import { apiKeyService } from "../services/apiKey.js";
+import { logger } from "../utils/logger.js";
+
+class ApiKeyController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getApiKeys(req, res, next) {
+    return this._handleRequest(
+      () => apiKeyService.getApiKeys(req.user.userId),
+      200,
+      req,
+      res,
+      next,
+      `Fetching API keys of user ${req.user.userId}`,
+    );
+  }
+
+  createApiKey(req, res, next) {
+    const { name, scopes } = req.body;
+    return this._handleRequest(
+      () => apiKeyService.createApiKey(req.user, { name, scopes }),
+      201,
+      req,
+      res,
+      next,
+      `Creating API key for user ${req.user.userId}`,
+    );
+  }
+
+  revokeApiKey(req, res, next) {
+    const apiKeyId = req.params.id;
+    return this._handleRequest(
+      () => apiKeyService.revokeApiKey(req.user.userId, apiKeyId),
+      200,
+      req,
+      res,
+      next,
+      `Revoking API key with ID: ${apiKeyId}`,
+    );
+  }
+}
+
+export const apiKeyController = new ApiKeyController();
@@ -0,0 +1,35 @@
+import { auditService } from "../services/audit.js";
+import { logger } from "../utils/logger.js";
+
+class AuditController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getAuditLog(req, res, next) {
+    return this._handleRequest(
+      () => auditService.getAuditLog(req.query),
+      200,
+      req,
+      res,
+      next,
+      "Fetching audit log",
+    );
+  }
+}
+
+export const auditController = new AuditController();
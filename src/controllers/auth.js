@@ -1,25 +1,85 @@
 import { authService } from "../services/auth.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
 
 class AuthController {
-  async register(req, res) {
+  async register(req, res, next) {
     try {
-      const user = await authService.register(req.body);
+      const user = await authService.register(req.body, getRequestContext(req));
       res.status(201).json({ message: "User registered successfully", user });
     } catch (error) {
       logger.error(error.message);
-      res.status(400).json({ error: error.message });
+      next(error);
     }
   }
 
-  async login(req, res) {
+  async login(req, res, next) {
     try {
       const { email, password } = req.body;
-      const { token } = await authService.login(email, password);
-      res.status(200).json({ token });
+      const { token, refreshToken } = await authService.login(email, password, {
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+      res.status(200).json({ token, refreshToken });
     } catch (error) {
       logger.error(error.message);
-      res.status(400).json({ error: error.message });
+      next(error);
+    }
+  }
+
+  async forgotPassword(req, res, next) {
+    try {
+      await authService.requestPasswordReset(req.body.email);
+      res.status(200).json({
+        message:
+          "If an account exists for this email, a password reset token has been sent",
+      });
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      await authService.resetPassword(token, password);
+      res.status(200).json({ message: "Password reset successfully" });
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async verifyEmail(req, res, next) {
+    try {
+      await authService.verifyEmail(req.query.token);
+      res.status(200).json({ message: "Email verified successfully" });
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async refresh(req, res, next) {
+    try {
+      const { token, refreshToken } = await authService.refresh(
+        req.body.refreshToken,
+      );
+      res.status(200).json({ token, refreshToken });
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async logout(req, res, next) {
+    try {
+      await authService.logout(req.user, req.body.refreshToken);
+      res.status(200).json({ message: "Logged out successfully" });
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
     }
   }
 }
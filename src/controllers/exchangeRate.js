@@ -0,0 +1,47 @@
+import { exchangeRateService } from "../services/exchangeRate.js";
+import { logger } from "../utils/logger.js";
+
+class ExchangeRateController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getExchangeRates(req, res, next) {
+    return this._handleRequest(
+      () => exchangeRateService.getExchangeRates(req.query),
+      200,
+      req,
+      res,
+      next,
+      "Fetching exchange rates",
+    );
+  }
+
+  loadExchangeRates(req, res, next) {
+    const { rates } = req.body;
+    return this._handleRequest(
+      () => exchangeRateService.loadExchangeRates(rates),
+      201,
+      req,
+      res,
+      next,
+      "Loading exchange rates",
+    );
+  }
+}
+
+export const exchangeRateController = new ExchangeRateController();
@@ -1,64 +1,98 @@
 import { farmService } from "../services/farm.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
 
 class FarmController {
-  async _handleRequest(serviceMethod, successStatus, req, res, logMessage) {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
     try {
       logger.info(logMessage);
       const result = await serviceMethod();
       return res.status(successStatus).json(result);
     } catch (error) {
       logger.error(`${logMessage} failed: ${error.message}`);
-      return res
-        .status(500)
-        .json({ error: `${logMessage} failed: ${error?.message}` });
+      return next(error);
     }
   }
 
-  getFarmById(req, res) {
+  getFarmById(req, res, next) {
     const farmId = req.params.id;
     return this._handleRequest(
-      () => farmService.getFarmById(farmId),
+      () => farmService.getFarmById(farmId, req.scope),
       200,
       req,
       res,
+      next,
       `Fetching farm and production milk with ID: ${farmId}`,
     );
   }
 
-  createFarm(req, res) {
+  createFarm(req, res, next) {
     const farmData = req.body;
     return this._handleRequest(
-      () => farmService.createFarm(farmData),
+      () => farmService.createFarm(farmData, getRequestContext(req)),
       201,
       req,
       res,
+      next,
       "Creating a new farm",
     );
   }
 
-  updateFarm(req, res) {
+  updateFarm(req, res, next) {
     const farmId = req.params.id;
     const farmData = req.body;
     return this._handleRequest(
-      () => farmService.updateFarm(farmId, farmData),
+      () => farmService.updateFarm(farmId, farmData, getRequestContext(req)),
       200,
       req,
       res,
+      next,
       `Updating farm with ID: ${farmId}`,
     );
   }
 
-  deleteFarm(req, res) {
+  deleteFarm(req, res, next) {
     const farmId = req.params.id;
     return this._handleRequest(
-      () => farmService.deleteFarm(farmId),
+      () => farmService.deleteFarm(farmId, getRequestContext(req)),
       200,
       req,
       res,
+      next,
       `Deleting farm with ID: ${farmId}`,
     );
   }
+
+  restoreFarm(req, res, next) {
+    const farmId = req.params.id;
+    return this._handleRequest(
+      () => farmService.restoreFarm(farmId, getRequestContext(req)),
+      200,
+      req,
+      res,
+      next,
+      `Restoring farm with ID: ${farmId}`,
+    );
+  }
+
+  purgeFarm(req, res, next) {
+    const farmId = req.params.id;
+    return this._handleRequest(
+      () => farmService.purgeFarm(farmId, getRequestContext(req)),
+      200,
+      req,
+      res,
+      next,
+      `Purging farm with ID: ${farmId}`,
+    );
+  }
 }
 
 export const farmController = new FarmController();
@@ -1,74 +1,114 @@
 import { farmerService } from "../services/farmer.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
 
 class FarmerController {
-  async _handleRequest(serviceMethod, successStatus, req, res, logMessage) {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
     try {
       logger.info(logMessage);
       const result = await serviceMethod();
       return res.status(successStatus).json(result);
     } catch (error) {
       logger.error(`${logMessage} failed: ${error.message}`);
-      return res
-        .status(500)
-        .json({ error: `${logMessage} failed: ${error?.message}` });
+      return next(error);
     }
   }
 
-  getAllFarmers(req, res) {
+  getAllFarmers(req, res, next) {
     return this._handleRequest(
-      () => farmerService.getAllFarmers(),
+      () => farmerService.getAllFarmers(req.scope),
       200,
       req,
       res,
+      next,
       "Fetching all farmers",
     );
   }
 
-  getFarmer(req, res) {
+  getFarmer(req, res, next) {
     const farmerId = req.params.id;
     return this._handleRequest(
-      () => farmerService.getFarmerById(farmerId),
+      () => farmerService.getFarmerById(farmerId, req.scope),
       200,
       req,
       res,
+      next,
       `Fetching farmer with ID: ${farmerId}`,
     );
   }
 
-  createFarmer(req, res) {
+  createFarmer(req, res, next) {
     const farmerData = req.body;
     return this._handleRequest(
-      () => farmerService.createFarmer(farmerData),
+      () => farmerService.createFarmer(farmerData, getRequestContext(req)),
       201,
       req,
       res,
+      next,
       "Creating a new farmer",
     );
   }
 
-  updateFarmer(req, res) {
+  updateFarmer(req, res, next) {
     const farmerId = req.params.id;
     const farmerData = req.body;
     return this._handleRequest(
-      () => farmerService.updateFarmer(farmerId, farmerData),
+      () =>
+        farmerService.updateFarmer(
+          farmerId,
+          farmerData,
+          getRequestContext(req),
+        ),
       200,
       req,
       res,
+      next,
       `Updating farmer with ID: ${farmerId}`,
     );
   }
 
-  deleteFarmerCascade(req, res) {
+  deleteFarmerCascade(req, res, next) {
     const farmerId = req.params.id;
     return this._handleRequest(
-      () => farmerService.deleteFarmerCascade(farmerId),
+      () => farmerService.deleteFarmerCascade(farmerId, getRequestContext(req)),
       200,
       req,
       res,
+      next,
       `Deleting farmer with ID: ${farmerId}`,
     );
   }
+
+  restoreFarmer(req, res, next) {
+    const farmerId = req.params.id;
+    return this._handleRequest(
+      () => farmerService.restoreFarmer(farmerId, getRequestContext(req)),
+      200,
+      req,
+      res,
+      next,
+      `Restoring farmer with ID: ${farmerId}`,
+    );
+  }
+
+  purgeFarmer(req, res, next) {
+    const farmerId = req.params.id;
+    return this._handleRequest(
+      () => farmerService.purgeFarmer(farmerId, getRequestContext(req)),
+      200,
+      req,
+      res,
+      next,
+      `Purging farmer with ID: ${farmerId}`,
+    );
+  }
 }
 
 export const farmerController = new FarmerController();
@@ -0,0 +1,94 @@
+import { labResultService } from "../services/labResult.js";
+import { getRequestContext } from "../utils/requestContext.js";
+import { logger } from "../utils/logger.js";
+
+class LabResultController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getLabResults(req, res, next) {
+    const { farmId } = req.params;
+    const year = req.query.year ? parseInt(req.query.year) : null;
+    return this._handleRequest(
+      () => labResultService.getLabResults(farmId, year, req.scope),
+      200,
+      req,
+      res,
+      next,
+      `Fetching lab results of farm with ID: ${farmId}`,
+    );
+  }
+
+  getLabResult(req, res, next) {
+    const { farmId, year, month } = req.params;
+    return this._handleRequest(
+      () =>
+        labResultService.getLabResult(
+          farmId,
+          parseInt(year),
+          parseInt(month),
+          req.scope,
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Fetching lab results of farm with ID: ${farmId} for ${month}/${year}`,
+    );
+  }
+
+  async setLabResult(req, res, next) {
+    const { farmId, year, month } = req.params;
+    const logMessage = `Setting lab results of farm with ID: ${farmId} for ${month}/${year}`;
+
+    try {
+      logger.info(logMessage);
+      const { labResult, created } = await labResultService.setLabResult(
+        farmId,
+        parseInt(year),
+        parseInt(month),
+        req.body,
+        getRequestContext(req),
+      );
+      return res.status(created ? 201 : 200).json(labResult);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  deleteLabResult(req, res, next) {
+    const { farmId, year, month } = req.params;
+    return this._handleRequest(
+      () =>
+        labResultService.deleteLabResult(
+          farmId,
+          parseInt(year),
+          parseInt(month),
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Deleting lab results of farm with ID: ${farmId} for ${month}/${year}`,
+    );
+  }
+}
+
+export const labResultController = new LabResultController();
@@ -0,0 +1,35 @@
+import { loginEventService } from "../services/loginEvent.js";
+import { logger } from "../utils/logger.js";
+
+class LoginEventController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getLoginEvents(req, res, next) {
+    return this._handleRequest(
+      () => loginEventService.getLoginEvents(req.query),
+      200,
+      req,
+      res,
+      next,
+      "Fetching login events",
+    );
+  }
+}
+
+export const loginEventController = new LoginEventController();
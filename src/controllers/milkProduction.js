@@ -1,21 +1,27 @@
 import { milkProductionService } from "../services/milkProduction.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
 
 class MilkProductionController {
-  async _handleRequest(serviceMethod, successStatus, req, res, logMessage) {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
     try {
       logger.info(logMessage);
       const result = await serviceMethod();
       return res.status(successStatus).json(result);
     } catch (error) {
       logger.error(`${logMessage} failed: ${error.message}`);
-      return res
-        .status(500)
-        .json({ error: `${logMessage} failed: ${error?.message}` });
+      return next(error);
     }
   }
 
-  getMilkProductionByYearAndMonth(req, res) {
+  getMilkProductionByYearAndMonth(req, res, next) {
     const farmId = req.params.id;
     const { year, month } = req.query;
     return this._handleRequest(
@@ -24,26 +30,54 @@ class MilkProductionController {
           farmId,
           parseInt(year),
           parseInt(month),
+          req.scope,
         ),
       200,
       req,
       res,
+      next,
       `Fetching milk production for farm with ID: ${farmId}, year: ${year}, and month: ${month}`,
     );
   }
 
-  createMilkProduction(req, res) {
+  getProductionAnalytics(req, res, next) {
+    const { farmIds, from, to, granularity } = req.query;
+    return this._handleRequest(
+      () =>
+        milkProductionService.getProductionAnalytics(
+          {
+            farmIds: farmIds.split(",").map((farmId) => farmId.trim()),
+            from,
+            to,
+            granularity,
+          },
+          req.scope,
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Fetching production analytics for farms: ${farmIds}, from ${from} to ${to} by ${granularity ?? "month"}`,
+    );
+  }
+
+  createMilkProduction(req, res, next) {
     const milkProductionData = req.body;
     return this._handleRequest(
-      () => milkProductionService.createMilkProduction(milkProductionData),
+      () =>
+        milkProductionService.createMilkProduction(
+          milkProductionData,
+          getRequestContext(req),
+        ),
       201,
       req,
       res,
+      next,
       "Creating a new milk production record",
     );
   }
 
-  updateMilkProduction(req, res) {
+  updateMilkProduction(req, res, next) {
     const milkProductionId = req.params.id;
     const milkProductionData = req.body;
     return this._handleRequest(
@@ -51,24 +85,130 @@ class MilkProductionController {
         milkProductionService.updateMilkProduction(
           milkProductionId,
           milkProductionData,
+          getRequestContext(req),
         ),
       200,
       req,
       res,
+      next,
       `Updating milk production record with ID: ${milkProductionId}`,
     );
   }
 
-  deleteMilkProduction(req, res) {
+  deleteMilkProduction(req, res, next) {
     const milkProductionId = req.params.id;
     return this._handleRequest(
-      () => milkProductionService.deleteMilkProduction(milkProductionId),
+      () =>
+        milkProductionService.deleteMilkProduction(
+          milkProductionId,
+          getRequestContext(req),
+        ),
       200,
       req,
       res,
+      next,
       `Deleting milk production record with ID: ${milkProductionId}`,
     );
   }
+
+  async upsertMilkProductionDay(req, res, next) {
+    const { farmId, date } = req.params;
+    const logMessage = `Setting milk production of farm ${farmId} on ${date}`;
+
+    try {
+      logger.info(logMessage);
+      const { milkProduction, created } =
+        await milkProductionService.upsertMilkProductionDay(
+          farmId,
+          date,
+          req.body,
+          getRequestContext(req),
+        );
+      return res.status(created ? 201 : 200).json(milkProduction);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  async addMilkProductionCollection(req, res, next) {
+    const { farmId, date } = req.params;
+    const logMessage = `Adding a collection of farm ${farmId} on ${date}`;
+
+    try {
+      logger.info(logMessage);
+      const { milkProduction, created } =
+        await milkProductionService.addMilkProductionCollection(
+          farmId,
+          date,
+          req.body,
+          getRequestContext(req),
+        );
+      return res.status(created ? 201 : 200).json(milkProduction);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getDuplicateMilkProductions(req, res, next) {
+    return this._handleRequest(
+      () => milkProductionService.getDuplicateMilkProductions(req.query),
+      200,
+      req,
+      res,
+      next,
+      "Fetching duplicated milk production records",
+    );
+  }
+
+  importMilkProductions(req, res, next) {
+    return this._handleRequest(
+      () =>
+        milkProductionService.importMilkProductions(
+          req.importRows,
+          { dryRun: req.query.dry_run === "true" },
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Importing ${req.importRows.length} milk production rows`,
+    );
+  }
+
+  restoreMilkProduction(req, res, next) {
+    const milkProductionId = req.params.id;
+    return this._handleRequest(
+      () =>
+        milkProductionService.restoreMilkProduction(
+          milkProductionId,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Restoring milk production record with ID: ${milkProductionId}`,
+    );
+  }
+
+  purgeMilkProduction(req, res, next) {
+    const milkProductionId = req.params.id;
+    return this._handleRequest(
+      () =>
+        milkProductionService.purgeMilkProduction(
+          milkProductionId,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Purging milk production record with ID: ${milkProductionId}`,
+    );
+  }
 }
 
 export const milkProductionController = new MilkProductionController();
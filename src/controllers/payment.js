@@ -1,21 +1,36 @@
 import { paymentService } from "../services/payment.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
+import { pricePresenter } from "../presenters/price.js";
+import { statementService } from "../services/statement.js";
 
 class PaymentController {
-  async _handleRequest(serviceMethod, successStatus, req, res, logMessage) {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
     try {
       logger.info(logMessage);
       const result = await serviceMethod();
       return res.status(successStatus).json(result);
     } catch (error) {
       logger.error(`${logMessage} failed: ${error.message}`);
-      return res
-        .status(500)
-        .json({ error: `${logMessage} failed: ${error?.message}` });
+      return next(error);
     }
   }
 
-  async getPricePerLiterByFarmAndMonth(req, res) {
+  _getPresentation(req) {
+    return {
+      currencies: pricePresenter.parseCurrencies(req.query.currencies),
+      locales: pricePresenter.parseLocales(req.query.locales),
+    };
+  }
+
+  async getPricePerLiterByFarmAndMonth(req, res, next) {
     const { id } = req.params;
     const { year, month } = req.query;
 
@@ -24,14 +39,16 @@ class PaymentController {
         id,
         parseInt(year),
         parseInt(month),
+        this._getPresentation(req),
+        req.scope,
       );
       return res.status(200).json(result);
     } catch (error) {
-      return res.status(500).json({ error: error.message });
+      return next(error);
     }
   }
 
-  async getPricePerLiterByFarmAndYear(req, res) {
+  async getPricePerLiterByFarmAndYear(req, res, next) {
     const { id } = req.params;
     const { year } = req.query;
 
@@ -39,43 +56,219 @@ class PaymentController {
       const result = await paymentService.getPricePerLiterByFarmAndYear(
         id,
         parseInt(year),
+        this._getPresentation(req),
+        req.scope,
       );
       return res.status(200).json(result);
     } catch (error) {
-      return res.status(500).json({ error: error.message });
+      return next(error);
+    }
+  }
+
+  async _sendStatement(statementMethod, res, next, logMessage) {
+    try {
+      logger.info(logMessage);
+      const { filename, content } = await statementMethod();
+      return res
+        .status(200)
+        .type("application/pdf")
+        .set("Content-Disposition", `inline; filename="${filename}"`)
+        .send(content);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
     }
   }
 
-  createPayment(req, res) {
+  getPaymentStatement(req, res, next) {
+    const paymentId = req.params.id;
+    return this._sendStatement(
+      () => statementService.getPaymentStatement(paymentId, req.scope),
+      res,
+      next,
+      `Generating statement for payment record with ID: ${paymentId}`,
+    );
+  }
+
+  getYearlyStatement(req, res, next) {
+    const farmId = req.params.id;
+    const { year } = req.query;
+    return this._sendStatement(
+      () =>
+        statementService.getYearlyStatement(farmId, parseInt(year), req.scope),
+      res,
+      next,
+      `Generating ${year} statement for farm with ID: ${farmId}`,
+    );
+  }
+
+  async createPayment(req, res, next) {
     const paymentData = req.body;
+    const idempotencyKey = req.get("Idempotency-Key");
+    const logMessage = "Creating a new payment record";
+
+    try {
+      logger.info(logMessage);
+      const { payment, created } = await paymentService.createPayment(
+        paymentData,
+        idempotencyKey,
+        getRequestContext(req),
+      );
+      // An existing payment is returned with 200 so retries are safe
+      return res.status(created ? 201 : 200).json(payment);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  closeMonth(req, res, next) {
+    const { year, month } = req.body;
     return this._handleRequest(
-      () => paymentService.createPayment(paymentData),
+      () =>
+        paymentService.closeMonth(
+          parseInt(year),
+          parseInt(month),
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Closing payments for ${month}/${year}`,
+    );
+  }
+
+  recalculatePayment(req, res, next) {
+    const paymentId = req.params.id;
+    return this._handleRequest(
+      () =>
+        paymentService.recalculatePayment(paymentId, getRequestContext(req)),
+      200,
+      req,
+      res,
+      next,
+      `Recalculating payment record with ID: ${paymentId}`,
+    );
+  }
+
+  addAdjustment(req, res, next) {
+    const paymentId = req.params.id;
+    const adjustmentData = req.body;
+    return this._handleRequest(
+      () =>
+        paymentService.addAdjustment(
+          paymentId,
+          adjustmentData,
+          req.user.userId,
+          getRequestContext(req),
+        ),
       201,
       req,
       res,
-      "Creating a new payment record",
+      next,
+      `Adding adjustment to payment record with ID: ${paymentId}`,
+    );
+  }
+
+  removeAdjustment(req, res, next) {
+    const { id: paymentId, adjustmentId } = req.params;
+    return this._handleRequest(
+      () =>
+        paymentService.removeAdjustment(
+          paymentId,
+          adjustmentId,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Removing adjustment ${adjustmentId} from payment record with ID: ${paymentId}`,
+    );
+  }
+
+  approvePayment(req, res, next) {
+    const paymentId = req.params.id;
+    return this._handleRequest(
+      () =>
+        paymentService.approvePayment(
+          paymentId,
+          req.user.userId,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Approving payment record with ID: ${paymentId}`,
+    );
+  }
+
+  markPaymentAsPaid(req, res, next) {
+    const paymentId = req.params.id;
+    const { reference } = req.body;
+    return this._handleRequest(
+      () =>
+        paymentService.markPaymentAsPaid(
+          paymentId,
+          req.user.userId,
+          reference,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Marking payment record with ID: ${paymentId} as paid`,
+    );
+  }
+
+  cancelPayment(req, res, next) {
+    const paymentId = req.params.id;
+    const { reason } = req.body;
+    return this._handleRequest(
+      () =>
+        paymentService.cancelPayment(
+          paymentId,
+          req.user.userId,
+          reason,
+          getRequestContext(req),
+        ),
+      200,
+      req,
+      res,
+      next,
+      `Cancelling payment record with ID: ${paymentId}`,
     );
   }
 
-  updatePayment(req, res) {
+  updatePayment(req, res, next) {
     const paymentId = req.params.id;
     const paymentData = req.body;
     return this._handleRequest(
-      () => paymentService.updatePayment(paymentId, paymentData),
+      () =>
+        paymentService.updatePayment(
+          paymentId,
+          paymentData,
+          getRequestContext(req),
+        ),
       200,
       req,
       res,
+      next,
       `Updating payment record with ID: ${paymentId}`,
     );
   }
 
-  deletePayment(req, res) {
+  deletePayment(req, res, next) {
     const paymentId = req.params.id;
     return this._handleRequest(
-      () => paymentService.deletePayment(paymentId),
+      () => paymentService.deletePayment(paymentId, getRequestContext(req)),
       200,
       req,
       res,
+      next,
       `Deleting payment record with ID: ${paymentId}`,
     );
   }
@@ -0,0 +1,85 @@
+import { pricingRuleService } from "../services/pricingRule.js";
+import { logger } from "../utils/logger.js";
+
+class PricingRuleController {
+  async _handleRequest(
+    serviceMethod,
+    successStatus,
+    req,
+    res,
+    next,
+    logMessage,
+  ) {
+    try {
+      logger.info(logMessage);
+      const result = await serviceMethod();
+      return res.status(successStatus).json(result);
+    } catch (error) {
+      logger.error(`${logMessage} failed: ${error.message}`);
+      return next(error);
+    }
+  }
+
+  getAllPricingRules(req, res, next) {
+    return this._handleRequest(
+      () => pricingRuleService.getAllPricingRules(),
+      200,
+      req,
+      res,
+      next,
+      "Fetching all pricing rules",
+    );
+  }
+
+  getPricingRule(req, res, next) {
+    const pricingRuleId = req.params.id;
+    return this._handleRequest(
+      () => pricingRuleService.getPricingRuleById(pricingRuleId),
+      200,
+      req,
+      res,
+      next,
+      `Fetching pricing rule with ID: ${pricingRuleId}`,
+    );
+  }
+
+  createPricingRule(req, res, next) {
+    const pricingRuleData = req.body;
+    return this._handleRequest(
+      () => pricingRuleService.createPricingRule(pricingRuleData),
+      201,
+      req,
+      res,
+      next,
+      "Creating a new pricing rule",
+    );
+  }
+
+  updatePricingRule(req, res, next) {
+    const pricingRuleId = req.params.id;
+    const pricingRuleData = req.body;
+    return this._handleRequest(
+      () =>
+        pricingRuleService.updatePricingRule(pricingRuleId, pricingRuleData),
+      200,
+      req,
+      res,
+      next,
+      `Updating pricing rule with ID: ${pricingRuleId}`,
+    );
+  }
+
+  deletePricingRule(req, res, next) {
+    const pricingRuleId = req.params.id;
+    return this._handleRequest(
+      () => pricingRuleService.deletePricingRule(pricingRuleId),
+      200,
+      req,
+      res,
+      next,
+      `Deleting pricing rule with ID: ${pricingRuleId}`,
+    );
+  }
+}
+
+export const pricingRuleController = new PricingRuleController();
@@ -1,25 +1,57 @@
 import { userService } from "../services/user.js";
+import { getRequestContext } from "../utils/requestContext.js";
 import { logger } from "../utils/logger.js";
 
 class UserController {
-  async getAllUsers(req, res) {
+  async getAllUsers(req, res, next) {
     try {
       const users = await userService.getAllUsers();
       res.status(200).json(users);
     } catch (error) {
       logger.error(error.message);
-      res.status(500).json({ error: error.message });
+      next(error);
     }
   }
 
-  async deleteUser(req, res) {
+  async updateUserRole(req, res, next) {
     const userId = req.params.id;
     try {
-      await userService.deleteUser(userId);
+      const user = await userService.updateUserRole(
+        userId,
+        req.body.role,
+        req.user.userId,
+        getRequestContext(req),
+      );
+      res.status(200).json(user);
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async linkUserToFarmer(req, res, next) {
+    const userId = req.params.id;
+    try {
+      const user = await userService.linkUserToFarmer(
+        userId,
+        req.body.farmer_id,
+        getRequestContext(req),
+      );
+      res.status(200).json(user);
+    } catch (error) {
+      logger.error(error.message);
+      next(error);
+    }
+  }
+
+  async deleteUser(req, res, next) {
+    const userId = req.params.id;
+    try {
+      await userService.deleteUser(userId, getRequestContext(req));
       res.status(200).json({ message: "User deleted successfully" });
     } catch (error) {
       logger.error(error.message);
-      res.status(404).json({ error: error.message });
+      next(error);
     }
   }
 }
@@ -0,0 +1,103 @@
+import dotenv from "dotenv";
+import { paymentService } from "../services/payment.js";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+const ONE_HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * PaymentClosingJob Class
+ * In-process scheduler that closes the previous month's payments for every farm.
+ * It checks the calendar every hour and, from PAYMENT_CLOSING_DAY of the month onwards
+ * (or its last day, if the month is shorter), closes the previous month once. Closing
+ * is idempotent, so restarts or several instances running the job only skip the farms
+ * that were already closed.
+ */
+class PaymentClosingJob {
+  constructor() {
+    this.closingDay = parseInt(process.env.PAYMENT_CLOSING_DAY || "1");
+    this.checkIntervalMs = ONE_HOUR_MS;
+    this.timer = null;
+    this.lastClosedPeriod = null;
+  }
+
+  /**
+   * Returns the year and month preceding the given date.
+   * @param {Date} date - The reference date.
+   * @returns {Object} - `{ year, month }` of the previous month.
+   */
+  _getPreviousPeriod(date) {
+    const previous = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1),
+    );
+    return {
+      year: previous.getUTCFullYear(),
+      month: previous.getUTCMonth() + 1,
+    };
+  }
+
+  /**
+   * Closes the previous month if the closing day has been reached and it was not closed yet.
+   * A period is only marked as closed when every farm succeeded, so failures are retried on the next check.
+   * @param {Date} now - The current date.
+   * @returns {Promise<Object|null>} - The closing summary, or null if nothing was due.
+   */
+  async run(now = new Date()) {
+    // Closing days past the end of a short month fall on its last day
+    const lastDayOfMonth = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0),
+    ).getUTCDate();
+
+    if (now.getUTCDate() < Math.min(this.closingDay, lastDayOfMonth)) {
+      return null;
+    }
+
+    const { year, month } = this._getPreviousPeriod(now);
+    const periodKey = `${year}-${month}`;
+
+    if (this.lastClosedPeriod === periodKey) {
+      return null;
+    }
+
+    const summary = await paymentService.closeMonth(year, month);
+
+    if (summary.failed.length === 0) {
+      this.lastClosedPeriod = periodKey;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Starts the hourly schedule and runs a first check immediately.
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const check = () =>
+      this.run().catch((error) =>
+        logger.error(`Payment closing job failed: ${error.message}`),
+      );
+
+    this.timer = setInterval(check, this.checkIntervalMs);
+    check();
+    logger.info(
+      `Payment closing job scheduled on day ${this.closingDay} of each month`,
+    );
+  }
+
+  /**
+   * Stops the schedule.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const paymentClosingJob = new PaymentClosingJob();
@@ -1,40 +1,92 @@
 import { authService } from "../services/auth.js";
 import { logger } from "../utils/logger.js";
+import { hasPermissions } from "../config/permissions.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
 
 /**
  * Middleware class for handling authentication and authorization.
- * Verifies the JWT token from the request header and ensures the user is authenticated.
+ * Verifies the JWT token from the request header, rejecting revoked tokens, and ensures the user is authenticated.
+ * Machine-to-machine clients may authenticate with an `X-API-Key` header instead of a bearer token.
  * If the token is valid, the user data is attached to the request object for further processing.
- * If the token is missing or invalid, an appropriate error response is returned.
+ * If the token is missing or invalid, the request is passed on to the error middleware.
  */
 class AuthMiddleware {
   /**
-   * Middleware function to verify the JWT token.
+   * Middleware function to verify the JWT token or API key.
    * Ensures that the user is authenticated before proceeding to the next middleware or route handler.
+   * @param {Object} [options] - Verification options.
+   * @param {boolean} [options.allowApiKey=true] - Whether an `X-API-Key` header is accepted instead of a JWT.
    * @returns {Function} - The Express middleware function to verify the token.
    */
-  verifyToken() {
-    return (req, res, next) => {
-      // Extracts the token from the auth header
+  verifyToken({ allowApiKey = true } = {}) {
+    return async (req, res, next) => {
+      // Extracts the token from the auth header, or the API key from its own header
       const token = req.headers.authorization?.split(" ")[1];
-      if (!token) {
-        return res
-          .status(401)
-          .json({ error: "Access denied. No token provided." });
+      const apiKey = allowApiKey ? req.get("X-API-Key") : undefined;
+      if (!token && !apiKey) {
+        return next(new UnauthorizedError("Access denied. No token provided."));
       }
 
       try {
-        // Verifies the token using the auth service
-        const decoded = authService.verifyToken(token);
-        // Attaches the decoded user data to the request object
+        // Verifies the token and checks the revocation list, or verifies the API key, using the auth service
+        const decoded = token
+          ? await authService.verifyToken(token)
+          : await authService.verifyApiKey(apiKey);
+        // Attaches the decoded user data and its data scope to the request object
         req.user = decoded;
+        req.scope = authService.getScope(decoded);
         // Proceeds to the next middleware or route handler
         next();
       } catch (error) {
         logger.error(error);
-        // Returns a 401 response if the token is invalid
-        return res.status(401).json({ error: "Invalid token." });
+        // Reports a 401 if the token is invalid or revoked; other failures are unexpected
+        if (error instanceof UnauthorizedError) {
+          return next(
+            new UnauthorizedError(
+              token ? "Invalid token." : "Invalid API key.",
+            ),
+          );
+        }
+        return next(error);
+      }
+    };
+  }
+
+  /**
+   * Middleware function to check the authenticated user's permissions.
+   * Must run after verifyToken. The user's role, carried in the token, must grant
+   * every listed permission (see config/permissions.js). Farmer accounts must also be
+   * linked to a farmer record, since their data access is scoped to it. Requests made
+   * with an API key are further limited to the key's scopes.
+   * @param {...string} permissions - The permissions required by the route.
+   * @returns {Function} - The Express middleware function to authorize the request.
+   */
+  authorize(...permissions) {
+    return (req, res, next) => {
+      const grantedByApiKey =
+        !req.user?.scopes ||
+        permissions.every((permission) => req.user.scopes.includes(permission));
+
+      if (
+        !req.user ||
+        !hasPermissions(req.user.role, permissions) ||
+        !grantedByApiKey
+      ) {
+        logger.warn(
+          `User ${req.user?.userId} with role ${req.user?.role} denied access to ${req.method} ${req.originalUrl}`,
+        );
+        return next(
+          new ForbiddenError("Access denied. Insufficient permissions."),
+        );
+      }
+      if (req.scope && !req.scope.farmerId) {
+        return next(
+          new ForbiddenError(
+            "Access denied. Account is not linked to a farmer.",
+          ),
+        );
       }
+      next();
     };
   }
 }
@@ -1,5 +1,10 @@
 import express from "express";
+import { randomUUID } from "crypto";
 import { logger } from "../utils/logger.js";
+import { errorHandlerMiddleware } from "./errorHandler.js";
+
+// Request IDs accepted from callers: up to 128 letters, digits, dots, dashes and underscores
+const REQUEST_ID_PATTERN = /^[\w.-]{1,128}$/;
 
 /**
  * Class responsible for configuring middlewares for the Express application.
@@ -11,6 +16,32 @@ class MiddlewareConfig {
    * @param {Express} app - The Express application instance to configure middlewares for.
    */
   static configure(app) {
+    // Behind a load balancer, take the client IP from X-Forwarded-For (used to throttle logins per IP)
+    if (process.env.TRUST_PROXY) {
+      app.set(
+        "trust proxy",
+        MiddlewareConfig.parseTrustProxy(process.env.TRUST_PROXY),
+      );
+    }
+
+    // Middleware for tagging each request with an ID, reusing the caller's X-Request-Id when valid
+    app.use((req, res, next) => {
+      const requestId = req.get("X-Request-Id");
+      req.id = REQUEST_ID_PATTERN.test(requestId || "")
+        ? requestId
+        : randomUUID();
+      res.set("X-Request-Id", req.id);
+      next();
+    });
+
+    // Bulk imports carry thousands of rows, so they accept larger bodies, also as CSV
+    const importBodyLimit = process.env.IMPORT_BODY_LIMIT || "10mb";
+    app.use(
+      "/api/milk-productions/import",
+      express.json({ limit: importBodyLimit }),
+      express.text({ type: "text/csv", limit: importBodyLimit }),
+    );
+
     // Middleware for JSON parsing
     app.use(express.json());
 
@@ -19,10 +50,33 @@ class MiddlewareConfig {
 
     // Middleware for logging requests (using logger)
     app.use((req, res, next) => {
-      logger.info(`Incoming request: ${req.method} ${req.url}`);
+      logger.info(`Incoming request [${req.id}]: ${req.method} ${req.url}`);
       next();
     });
   }
+
+  /**
+   * Configures the handlers for unmatched routes and errors, which report them as
+   * problem+json responses. Must be called after the routes are registered.
+   * @param {Express} app - The Express application instance to configure.
+   */
+  static configureErrorHandling(app) {
+    app.use(errorHandlerMiddleware.notFound());
+    app.use(errorHandlerMiddleware.handle());
+  }
+
+  /**
+   * Parses the TRUST_PROXY setting: a boolean, a number of proxy hops, or a list of
+   * trusted addresses, as accepted by Express' "trust proxy" setting.
+   * @param {string} value - The raw setting.
+   * @returns {boolean|number|string} - The value for the "trust proxy" setting.
+   */
+  static parseTrustProxy(value) {
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+  }
 }
 
 export { MiddlewareConfig };
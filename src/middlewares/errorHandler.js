@@ -0,0 +1,79 @@
+import { STATUS_CODES } from "http";
+import { DomainError, NotFoundError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Middleware class that turns errors into RFC 7807 problem details responses.
+ * Domain errors are reported with their own status and message. Client errors raised
+ * by Express itself (e.g. a malformed JSON body) keep their status, and any other
+ * error is reported as a 500 without exposing its message.
+ */
+class ErrorHandlerMiddleware {
+  /**
+   * Returns the status and client-facing message of an error.
+   * @param {Error} error - The error to report.
+   * @returns {Object} - `{ status, detail }` of the response.
+   */
+  _describe(error) {
+    if (error instanceof DomainError) {
+      return { status: error.status, detail: error.message };
+    }
+    // Errors from Express and body-parser flag messages that are safe to show
+    if (error.expose && error.status >= 400 && error.status < 500) {
+      return { status: error.status, detail: error.message };
+    }
+    return { status: 500, detail: "An unexpected error occurred" };
+  }
+
+  /**
+   * Returns an Express middleware that reports requests no route matched as a 404.
+   * @returns {Function} - The Express middleware function.
+   */
+  notFound() {
+    return (req, res, next) => {
+      next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+    };
+  }
+
+  /**
+   * Returns the Express error middleware that sends problem+json responses.
+   * Must be registered after every route.
+   * @returns {Function} - The Express error middleware function.
+   */
+  handle() {
+    return (error, req, res, next) => {
+      const { status, detail } = this._describe(error);
+
+      if (status >= 500) {
+        logger.error(
+          `Unexpected error on ${req.method} ${req.originalUrl}: ${error.stack || error.message}`,
+        );
+      }
+
+      // Let Express close the connection if the response was already started
+      if (res.headersSent) {
+        return next(error);
+      }
+
+      const problem = {
+        type: "about:blank",
+        title: STATUS_CODES[status],
+        status,
+        detail,
+        instance: req.originalUrl,
+        request_id: req.id,
+      };
+
+      if (error.errors?.length) {
+        problem.errors = error.errors;
+      }
+      if (error.retryAfter) {
+        res.set("Retry-After", String(error.retryAfter));
+      }
+
+      return res.status(status).type("application/problem+json").json(problem);
+    };
+  }
+}
+
+export const errorHandlerMiddleware = new ErrorHandlerMiddleware();
@@ -1,7 +1,9 @@
+import { ValidationError } from "../utils/errors.js";
+
 /**
  * Middleware class for validating fields in the request body.
  * Ensures that only the specified fields are present in the request body.
- * If any extra or unexpected fields are found, an appropriate error response is returned.
+ * If any extra or unexpected fields are found, a ValidationError is passed on to the error middleware.
  */
 class ValidateNoExtraFieldsMiddleware {
   /**
@@ -15,7 +17,7 @@ class ValidateNoExtraFieldsMiddleware {
   /**
    * Returns an Express middleware function that validates fields in the request body.
    * This function checks if any fields are present in the request body that are not listed in allowedFields.
-   * If invalid fields are detected, it returns a 400 response with an error message specifying the invalid fields.
+   * If invalid fields are detected, it reports a 400 with an error message specifying the invalid fields.
    * @returns {Function} - The Express middleware function to validate the request body fields.
    */
   validate() {
@@ -28,11 +30,11 @@ class ValidateNoExtraFieldsMiddleware {
         (key) => !this.allowedFields.includes(key),
       );
 
-      // If there are invalid fields, respond with a 400 error and a detailed message
+      // If there are invalid fields, report a validation error with a detailed message
       if (invalidFields.length > 0) {
-        return res.status(400).json({
-          error: `Invalid fields: ${invalidFields.join(", ")}`,
-        });
+        return next(
+          new ValidationError(`Invalid fields: ${invalidFields.join(", ")}`),
+        );
       }
 
       // If all fields are valid, proceed to the next middleware
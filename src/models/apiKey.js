@@ -0,0 +1,18 @@
+/**
+ * user_id
+ * name
+ * prefix
+ * key_hash
+ * scopes
+ * lastUsedAt
+ * revokedAt
+ * createdAt
+ */
+
+class ApiKey {
+  constructor() {
+    this.collectionName = "api_keys";
+  }
+}
+
+export const apiKeyModel = new ApiKey();
@@ -0,0 +1,19 @@
+/**
+ * actor_id (user who made the change, null for anonymous requests and scheduled jobs)
+ * api_key_id (API key the change was made with, if any)
+ * action (create | update | delete | restore | purge)
+ * entity_type (farmer | farm | milk_production | payment | user)
+ * entity_id
+ * before (changed fields before the change; the whole record for deletions)
+ * after (changed fields after the change; the whole record for creations)
+ * request_id
+ * createdAt
+ */
+
+class AuditLog {
+  constructor() {
+    this.collectionName = "audit_log";
+  }
+}
+
+export const auditLogModel = new AuditLog();
@@ -0,0 +1,16 @@
+/**
+ * user_id
+ * type (password_reset | email_verification)
+ * token_hash
+ * expiresAt
+ * usedAt
+ * createdAt
+ */
+
+class AuthToken {
+  constructor() {
+    this.collectionName = "auth_tokens";
+  }
+}
+
+export const authTokenModel = new AuthToken();
@@ -0,0 +1,17 @@
+/**
+ * base_currency
+ * quote_currency
+ * date
+ * rate
+ * source
+ * createdAt
+ * updatedAt
+ */
+
+class ExchangeRate {
+  constructor() {
+    this.collectionName = "exchange_rates";
+  }
+}
+
+export const exchangeRateModel = new ExchangeRate();
@@ -1,12 +1,14 @@
 /**
  * farmer_id
  * name
+ * code
  * location
  * lat
  * lng
  * distance_to_factory_km
  * createdAt
  * updatedAt
+ * deletedAt
  */
 
 class Farm {
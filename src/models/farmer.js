@@ -4,6 +4,7 @@
  * phone
  * createdAt
  * updatedAt
+ * deletedAt
  */
 
 class Farmer {
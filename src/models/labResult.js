@@ -0,0 +1,21 @@
+/**
+ * farm_id
+ * year
+ * month
+ * fat_percent
+ * protein_percent
+ * scc_cells_per_ml
+ * tbc_cfu_per_ml
+ * laboratory
+ * sampled_at
+ * createdAt
+ * updatedAt
+ */
+
+class LabResult {
+  constructor() {
+    this.collectionName = "lab_results";
+  }
+}
+
+export const labResultModel = new LabResult();
@@ -0,0 +1,15 @@
+/**
+ * key (email:<address> | ip:<address>)
+ * failures
+ * lastFailureAt
+ * lockedUntil
+ * expiresAt
+ */
+
+class LoginAttempt {
+  constructor() {
+    this.collectionName = "login_attempts";
+  }
+}
+
+export const loginAttemptModel = new LoginAttempt();
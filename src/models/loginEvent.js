@@ -0,0 +1,17 @@
+/**
+ * email
+ * user_id
+ * ip
+ * user_agent
+ * success
+ * reason (invalid_credentials | locked | email_not_verified)
+ * createdAt
+ */
+
+class LoginEvent {
+  constructor() {
+    this.collectionName = "login_events";
+  }
+}
+
+export const loginEventModel = new LoginEvent();
@@ -1,9 +1,17 @@
 /**
  * farm_id
  * date
- * volume_liters
+ * day
+ * volume_liters (sum of the collections, when there are any)
+ * collections
+ *   shift (morning | afternoon | evening)
+ *   time
+ *   volume_liters
+ *   collector_id
+ *   tank_temperature_c
  * createdAt
  * updatedAt
+ * deletedAt
  */
 
 class MilkProduction {
@@ -5,6 +5,54 @@
  * price_per_liter
  * total_volume_liters
  * total_payment
+ * breakdown
+ *   gross_volume_value
+ *   transport_deduction
+ *   production_bonus
+ *   quality_adjustments
+ *     parameter
+ *     label
+ *     value
+ *     min
+ *     max
+ *     adjustment_per_liter
+ *     amount
+ *   quality_total
+ *   subtotal
+ *   adjustments_total
+ *   net_total
+ *   effective_price_per_liter
+ * adjustments
+ *   _id
+ *   type (deduction | credit)
+ *   amount
+ *   reason
+ *   createdBy
+ *   createdAt
+ * pricing_rule_id
+ * pricing_rule_version
+ * idempotency_key
+ * status (draft | approved | paid | cancelled)
+ * cancelled (whether the status is cancelled; a farm has one payment per month that is not)
+ * status_history
+ *   from
+ *   to
+ *   by
+ *   at
+ *   reason
+ *   reference
+ * notes
+ * stale
+ * stale_since
+ * revisions
+ *   revision
+ *   price_per_liter
+ *   total_volume_liters
+ *   total_payment
+ *   breakdown
+ *   pricing_rule_id
+ *   pricing_rule_version
+ *   replacedAt
  * createdAt
  * updatedAt
  */
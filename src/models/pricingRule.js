@@ -0,0 +1,31 @@
+/**
+ * version
+ * name
+ * effective_from
+ * effective_to
+ * periods
+ *   start_month
+ *   end_month
+ *   base_price_per_liter
+ *   distance_threshold_km
+ *   cost_per_km_up_to_threshold
+ *   cost_per_km_above_threshold
+ *   bonus_volume_threshold_liters
+ *   bonus_per_liter
+ * quality_bands
+ *   parameter (fat_percent | protein_percent | scc_cells_per_ml | tbc_cfu_per_ml)
+ *   label
+ *   min
+ *   max
+ *   adjustment_per_liter
+ * createdAt
+ * updatedAt
+ */
+
+class PricingRule {
+  constructor() {
+    this.collectionName = "pricing_rules";
+  }
+}
+
+export const pricingRuleModel = new PricingRule();
@@ -0,0 +1,17 @@
+/**
+ * user_id
+ * token_hash
+ * family_id
+ * expiresAt
+ * revokedAt
+ * replaced_by
+ * createdAt
+ */
+
+class RefreshToken {
+  constructor() {
+    this.collectionName = "refresh_tokens";
+  }
+}
+
+export const refreshTokenModel = new RefreshToken();
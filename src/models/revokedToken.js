@@ -0,0 +1,14 @@
+/**
+ * jti (set when a single access token is revoked)
+ * user_id (set when every token issued to a user before revokedAt is revoked)
+ * revokedAt
+ * expiresAt
+ */
+
+class RevokedToken {
+  constructor() {
+    this.collectionName = "revoked_tokens";
+  }
+}
+
+export const revokedTokenModel = new RevokedToken();
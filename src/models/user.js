@@ -1,6 +1,9 @@
 /**
  * email
- * password
+ * password (scrypt:<salt>:<hash>)
+ * role (admin | factory_operator | field_collector | farmer)
+ * farmer_id (farmer record a farmer account is scoped to)
+ * emailVerifiedAt
  * createdAt
  * updatedAt
  */
@@ -0,0 +1,90 @@
+const DEFAULT_CURRENCIES = ["BRL", "USD"];
+const DEFAULT_LOCALES = ["pt-BR", "en-US"];
+
+/**
+ * PricePresenter Class
+ * Shapes prices for API responses: for each requested currency it exposes the raw
+ * numeric amount and the amount formatted for each requested locale.
+ */
+class PricePresenter {
+  /**
+   * Parses a comma-separated query parameter into a list of unique values.
+   * @param {string|undefined} value - Raw query parameter value (e.g. "BRL,USD").
+   * @param {Array<string>} defaults - Values to use when the parameter is missing.
+   * @returns {Array<string>} - The parsed values.
+   */
+  parseList(value, defaults) {
+    if (!value) {
+      return defaults;
+    }
+
+    const values = String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+    return values.length > 0 ? [...new Set(values)] : defaults;
+  }
+
+  /**
+   * Parses the `currencies` query parameter, defaulting to BRL and USD.
+   * @param {string|undefined} value - Raw query parameter value.
+   * @returns {Array<string>} - Upper-cased ISO 4217 currency codes.
+   */
+  parseCurrencies(value) {
+    return this.parseList(value, DEFAULT_CURRENCIES).map((currency) =>
+      currency.toUpperCase(),
+    );
+  }
+
+  /**
+   * Parses the `locales` query parameter, defaulting to pt-BR and en-US.
+   * @param {string|undefined} value - Raw query parameter value.
+   * @returns {Array<string>} - BCP 47 locale tags.
+   */
+  parseLocales(value) {
+    return this.parseList(value, DEFAULT_LOCALES);
+  }
+
+  /**
+   * Formats an amount as currency for a locale.
+   * @param {number} amount - The amount to format.
+   * @param {string} currency - ISO 4217 currency code.
+   * @param {string} locale - BCP 47 locale tag.
+   * @returns {string} - The formatted amount.
+   */
+  formatCurrency(amount, currency, locale) {
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    }).format(amount);
+  }
+
+  /**
+   * Presents amounts already converted to each currency.
+   * Currencies without an amount (e.g. no exchange rate available) are presented as null.
+   * @param {Object<string, number|null>} amounts - Amounts keyed by currency code.
+   * @param {Array<string>} locales - Locales to format each amount for.
+   * @returns {Object<string, Object|null>} - `{ amount, formatted: { [locale]: string } }` per currency.
+   */
+  present(amounts, locales) {
+    return Object.fromEntries(
+      Object.entries(amounts).map(([currency, amount]) => [
+        currency,
+        amount === null
+          ? null
+          : {
+              amount: Math.round(amount * 10000) / 10000,
+              formatted: Object.fromEntries(
+                locales.map((locale) => [
+                  locale,
+                  this.formatCurrency(amount, currency, locale),
+                ]),
+              ),
+            },
+      ]),
+    );
+  }
+}
+
+export const pricePresenter = new PricePresenter();
@@ -0,0 +1,257 @@
+import PDFDocument from "pdfkit";
+
+// Statements are printed for Brazilian farmers, so every amount uses pt-BR formatting
+const LOCALE = "pt-BR";
+const CURRENCY = "BRL";
+
+// Names of the lab measures on quality line items without a label of their own
+const QUALITY_PARAMETER_NAMES = {
+  fat_percent: "Fat (%)",
+  protein_percent: "Protein (%)",
+  scc_cells_per_ml: "Somatic cells (cells/mL)",
+  tbc_cfu_per_ml: "Bacterial count (CFU/mL)",
+};
+
+const MARGIN = 50;
+const VALUE_COLUMN_WIDTH = 150;
+
+/**
+ * StatementPresenter Class
+ * Renders farmer payment statements as PDF documents, entirely server-side.
+ * Each month lists the daily deliveries, the pricing rule applied, the price formula
+ * line items, the quality premiums and penalties, the manual adjustments and the net amount.
+ */
+class StatementPresenter {
+  /**
+   * Formats an amount in BRL.
+   * @param {number} amount - The amount to format.
+   * @param {number} decimals - Number of decimal places.
+   * @returns {string} - The formatted amount, e.g. "R$ 1.234,56".
+   */
+  _formatCurrency(amount, decimals = 2) {
+    return new Intl.NumberFormat(LOCALE, {
+      style: "currency",
+      currency: CURRENCY,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(amount);
+  }
+
+  /**
+   * Formats a quantity such as liters or kilometers.
+   * @param {number} value - The value to format.
+   * @param {number} decimals - Number of decimal places.
+   * @returns {string} - The formatted value, e.g. "12.000,00".
+   */
+  _formatNumber(value, decimals = 2) {
+    return new Intl.NumberFormat(LOCALE, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(value);
+  }
+
+  /**
+   * Formats a date as dd/mm/yyyy.
+   * @param {Date} date - The date to format.
+   * @returns {string} - The formatted date.
+   */
+  _formatDate(date) {
+    return new Date(date).toLocaleDateString(LOCALE, { timeZone: "UTC" });
+  }
+
+  /**
+   * Starts a new page when the next line would not fit on the current one.
+   * @param {PDFDocument} doc - The document being rendered.
+   */
+  _ensureSpace(doc) {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 30) {
+      doc.addPage();
+    }
+  }
+
+  /**
+   * Writes a line with a label on the left and a right-aligned value.
+   * @param {PDFDocument} doc - The document being rendered.
+   * @param {string} label - The line label.
+   * @param {string} value - The formatted value.
+   * @param {Object} [options] - `{ bold }` to highlight totals.
+   */
+  _line(doc, label, value, { bold = false } = {}) {
+    this._ensureSpace(doc);
+    const y = doc.y;
+    const valueX = doc.page.width - MARGIN - VALUE_COLUMN_WIDTH;
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(label, MARGIN, y, { width: valueX - MARGIN - 10 });
+    const labelBottom = doc.y;
+    doc.text(value, valueX, y, { width: VALUE_COLUMN_WIDTH, align: "right" });
+    doc.y = Math.max(labelBottom, doc.y);
+    doc.font("Helvetica");
+  }
+
+  _heading(doc, text) {
+    this._ensureSpace(doc);
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").fontSize(12).text(text, MARGIN);
+    doc.font("Helvetica").fontSize(10).moveDown(0.25);
+  }
+
+  _renderHeader(doc, { title, farm, farmer }) {
+    doc.font("Helvetica-Bold").fontSize(16).text(title, MARGIN);
+    doc.font("Helvetica").fontSize(10).moveDown(0.5);
+    this._line(doc, "Farm", farm.name || String(farm._id));
+    if (farmer) {
+      this._line(doc, "Farmer", farmer.name);
+    }
+    if (farm.location) {
+      this._line(doc, "Location", farm.location);
+    }
+    this._line(
+      doc,
+      "Distance to factory",
+      `${this._formatNumber(farm.distance_to_factory_km)} km`,
+    );
+    this._line(doc, "Issued on", this._formatDate(new Date()));
+  }
+
+  _renderMonth(doc, section) {
+    const { breakdown } = section;
+    const period = `${String(section.month).padStart(2, "0")}/${section.year}`;
+
+    this._heading(doc, `Period ${period}`);
+    this._line(
+      doc,
+      "Payment status",
+      section.stale ? `${section.status} (stale)` : section.status,
+    );
+    this._line(
+      doc,
+      "Pricing rule",
+      section.pricing_rule.name
+        ? `v${section.pricing_rule.version} - ${section.pricing_rule.name}`
+        : `v${section.pricing_rule.version}`,
+    );
+
+    this._heading(doc, "Daily deliveries");
+    section.deliveries.forEach(({ date, volume_liters }) =>
+      this._line(
+        doc,
+        this._formatDate(date),
+        `${this._formatNumber(volume_liters)} L`,
+      ),
+    );
+    this._line(
+      doc,
+      "Total volume",
+      `${this._formatNumber(breakdown.volume_liters)} L`,
+      { bold: true },
+    );
+
+    this._heading(doc, "Payment");
+    this._line(
+      doc,
+      `Volume value (${this._formatNumber(breakdown.volume_liters)} L x ${this._formatCurrency(breakdown.base_price_per_liter, 4)})`,
+      this._formatCurrency(breakdown.gross_volume_value),
+    );
+    this._line(
+      doc,
+      `Transport deduction (${this._formatNumber(breakdown.distance_km)} km x ${this._formatCurrency(breakdown.cost_per_km, 4)})`,
+      this._formatCurrency(-breakdown.transport_deduction),
+    );
+    this._line(
+      doc,
+      `Production bonus (${this._formatCurrency(breakdown.bonus_per_liter, 4)} per liter)`,
+      this._formatCurrency(breakdown.production_bonus),
+    );
+    // Breakdowns stored before quality bands existed have no quality line items
+    (breakdown.quality_adjustments || []).forEach(
+      ({ parameter, label, value, adjustment_per_liter, amount }) =>
+        this._line(
+          doc,
+          `Quality: ${label || QUALITY_PARAMETER_NAMES[parameter]} - ${this._formatNumber(value)} (${this._formatCurrency(adjustment_per_liter, 4)} per liter)`,
+          this._formatCurrency(amount),
+        ),
+    );
+    this._line(doc, "Subtotal", this._formatCurrency(breakdown.subtotal), {
+      bold: true,
+    });
+
+    section.adjustments.forEach(({ type, amount, reason }) =>
+      this._line(
+        doc,
+        `${type === "deduction" ? "Deduction" : "Credit"}: ${reason}`,
+        this._formatCurrency(type === "deduction" ? -amount : amount),
+      ),
+    );
+
+    this._line(doc, "Net amount", this._formatCurrency(breakdown.net_total), {
+      bold: true,
+    });
+    this._line(
+      doc,
+      "Effective price per liter",
+      this._formatCurrency(breakdown.effective_price_per_liter, 4),
+    );
+  }
+
+  _renderYearSummary(doc, months) {
+    this._heading(doc, "Summary");
+    months.forEach(({ year, month, breakdown }) =>
+      this._line(
+        doc,
+        `${String(month).padStart(2, "0")}/${year} - ${this._formatNumber(breakdown.volume_liters)} L`,
+        this._formatCurrency(breakdown.net_total),
+      ),
+    );
+    this._line(
+      doc,
+      "Total",
+      this._formatCurrency(
+        months.reduce((sum, { breakdown }) => sum + breakdown.net_total, 0),
+      ),
+      { bold: true },
+    );
+  }
+
+  /**
+   * Renders a statement as a PDF document.
+   * @param {Object} statement - The statement data.
+   * @param {string} statement.title - Document title.
+   * @param {Object} statement.farm - The farm.
+   * @param {Object|null} statement.farmer - The farmer who owns the farm.
+   * @param {Array<Object>} statement.months - One section per month, in chronological order.
+   * @returns {Promise<Buffer>} - The PDF content.
+   */
+  render(statement) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: "A4",
+        margin: MARGIN,
+        info: { Title: statement.title },
+      });
+      const chunks = [];
+
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
+
+      this._renderHeader(doc, statement);
+
+      if (statement.months.length > 1) {
+        this._renderYearSummary(doc, statement.months);
+      }
+
+      statement.months.forEach((section) => {
+        // A yearly statement starts each month on its own page
+        if (statement.months.length > 1) {
+          doc.addPage();
+        }
+        this._renderMonth(doc, section);
+      });
+
+      doc.end();
+    });
+  }
+}
+
+export const statementPresenter = new StatementPresenter();
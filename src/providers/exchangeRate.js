@@ -0,0 +1,149 @@
+import dotenv from "dotenv";
+import { exchangeRateRepository } from "../repositories/exchangeRate.js";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+// Oldest a loaded rate may be, relative to the conversion date, to still be used
+const EXCHANGE_RATE_MAX_AGE_DAYS = parseInt(
+  process.env.EXCHANGE_RATE_MAX_AGE_DAYS || "31",
+);
+
+/**
+ * Base class for exchange-rate providers.
+ * A provider answers which rate was valid for a currency pair on a given date,
+ * so price conversions never depend on a live external service.
+ */
+class ExchangeRateProvider {
+  /**
+   * Returns the rate to convert one unit of `from` into `to` on the given date.
+   * @param {string} _from - ISO 4217 code of the source currency.
+   * @param {string} _to - ISO 4217 code of the target currency.
+   * @param {Date} _date - Reference date of the conversion.
+   * @returns {Promise<Object|null>} - `{ pair, rate, date }`, or null if no rate is known.
+   */
+  async getRate(_from, _to, _date) {
+    throw new Error("getRate() must be implemented by the provider");
+  }
+}
+
+/**
+ * Provider backed by the `exchange_rates` collection.
+ * Uses the most recent rate on or before the reference date, up to
+ * EXCHANGE_RATE_MAX_AGE_DAYS older, falling back to the inverse pair when only the
+ * opposite direction was loaded. The date of the rate used is returned with it.
+ */
+class MongoExchangeRateProvider extends ExchangeRateProvider {
+  async getRate(from, to, date) {
+    if (from === to) {
+      return { pair: `${from}/${to}`, rate: 1, date };
+    }
+
+    const oldestDate = new Date(
+      date.getTime() - EXCHANGE_RATE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000,
+    );
+    const direct = await exchangeRateRepository.getLatestExchangeRate(
+      from,
+      to,
+      date,
+      oldestDate,
+    );
+    if (direct) {
+      return { pair: `${from}/${to}`, rate: direct.rate, date: direct.date };
+    }
+
+    const inverse = await exchangeRateRepository.getLatestExchangeRate(
+      to,
+      from,
+      date,
+      oldestDate,
+    );
+    if (inverse) {
+      return {
+        pair: `${from}/${to}`,
+        rate: 1 / inverse.rate,
+        date: inverse.date,
+      };
+    }
+
+    logger.warn(
+      `No exchange rate found for ${from}/${to} in the ${EXCHANGE_RATE_MAX_AGE_DAYS} days up to ${date}`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Provider with a fixed table of rates, intended for tests and local development.
+ * Rates are keyed by pair, e.g. `{ "BRL/USD": 0.18 }`.
+ */
+class FixedExchangeRateProvider extends ExchangeRateProvider {
+  /**
+   * @param {Object<string, number>} rates - Rates keyed by `FROM/TO` pair.
+   */
+  constructor(rates = {}) {
+    super();
+    this.rates = rates;
+  }
+
+  async getRate(from, to, date) {
+    const pair = `${from}/${to}`;
+
+    if (from === to) {
+      return { pair, rate: 1, date };
+    }
+    if (this.rates[pair] !== undefined) {
+      return { pair, rate: this.rates[pair], date };
+    }
+    if (this.rates[`${to}/${from}`] !== undefined) {
+      return { pair, rate: 1 / this.rates[`${to}/${from}`], date };
+    }
+
+    return null;
+  }
+}
+
+// Singleton instance shared by the services
+let exchangeRateProvider = null;
+
+/**
+ * Returns the configured exchange-rate provider.
+ * EXCHANGE_RATE_PROVIDER selects the implementation ("mongo" by default, or "fixed",
+ * which reads its rates from the EXCHANGE_RATE_FIXED_RATES JSON object).
+ * @returns {ExchangeRateProvider} - The exchange-rate provider instance.
+ */
+const getExchangeRateProvider = () => {
+  if (!exchangeRateProvider) {
+    const providerName = process.env.EXCHANGE_RATE_PROVIDER || "mongo";
+
+    switch (providerName) {
+      case "mongo":
+        exchangeRateProvider = new MongoExchangeRateProvider();
+        break;
+      case "fixed":
+        exchangeRateProvider = new FixedExchangeRateProvider(
+          JSON.parse(process.env.EXCHANGE_RATE_FIXED_RATES || "{}"),
+        );
+        break;
+      default:
+        throw new Error(`Unknown exchange rate provider: ${providerName}`);
+    }
+  }
+  return exchangeRateProvider;
+};
+
+/**
+ * Replaces the exchange-rate provider, e.g. with a FixedExchangeRateProvider in tests.
+ * @param {ExchangeRateProvider} provider - The provider to use.
+ */
+const setExchangeRateProvider = (provider) => {
+  exchangeRateProvider = provider;
+};
+
+export {
+  ExchangeRateProvider,
+  MongoExchangeRateProvider,
+  FixedExchangeRateProvider,
+  getExchangeRateProvider,
+  setExchangeRateProvider,
+};
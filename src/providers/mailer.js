@@ -0,0 +1,94 @@
+import dotenv from "dotenv";
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+/**
+ * Base class for mail transports.
+ * Services compose messages and hand them to the configured transport, so the
+ * way mail is delivered can change without touching them.
+ */
+class Mailer {
+  /**
+   * Sends an email.
+   * @param {Object} _message - `{ to, subject, text }` of the email.
+   * @returns {Promise<void>}
+   */
+  async send(_message) {
+    throw new Error("send() must be implemented by the mailer");
+  }
+}
+
+/**
+ * Mailer that writes every email to the log instead of sending it, for local development.
+ */
+class ConsoleMailer extends Mailer {
+  async send({ to, subject, text }) {
+    logger.info(`Email to ${to} - ${subject}\n${text}`);
+  }
+}
+
+/**
+ * Mailer that writes every email as a JSON file to a directory, so tests and developers
+ * can read the messages (and the links they contain) that would have been sent.
+ */
+class FileMailer extends Mailer {
+  /**
+   * @param {string} directory - Directory the emails are written to.
+   */
+  constructor(directory) {
+    super();
+    this.directory = directory;
+  }
+
+  async send({ to, subject, text }) {
+    const sentAt = new Date();
+    await mkdir(this.directory, { recursive: true });
+    await writeFile(
+      path.join(this.directory, `${sentAt.getTime()}-${randomUUID()}.json`),
+      JSON.stringify({ to, subject, text, sentAt }, null, 2),
+    );
+  }
+}
+
+// Singleton instance shared by the services
+let mailer = null;
+
+/**
+ * Returns the configured mailer.
+ * MAILER_TRANSPORT selects the implementation ("console" by default, or "file", which
+ * writes to the MAILER_FILE_DIRECTORY directory).
+ * @returns {Mailer} - The mailer instance.
+ */
+const getMailer = () => {
+  if (!mailer) {
+    const transport = process.env.MAILER_TRANSPORT || "console";
+
+    switch (transport) {
+      case "console":
+        mailer = new ConsoleMailer();
+        break;
+      case "file":
+        mailer = new FileMailer(
+          path.resolve(process.env.MAILER_FILE_DIRECTORY || "mail"),
+        );
+        break;
+      default:
+        throw new Error(`Unknown mailer transport: ${transport}`);
+    }
+  }
+  return mailer;
+};
+
+/**
+ * Replaces the mailer, e.g. with a FileMailer or an SMTP implementation.
+ * @param {Mailer} instance - The mailer to use.
+ */
+const setMailer = (instance) => {
+  mailer = instance;
+};
+
+export { Mailer, ConsoleMailer, FileMailer, getMailer, setMailer };
@@ -0,0 +1,108 @@
+import { getMongoInstance } from "../config/database.js";
+import { apiKeyModel } from "../models/apiKey.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+// The hashed secret never leaves the repository
+const PUBLIC_PROJECTION = { key_hash: 0 };
+
+class ApiKeyRepository {
+  constructor() {
+    this.collectionName = apiKeyModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { key_hash: 1 },
+          name: "key_hash_unique",
+          unique: true,
+        },
+        {
+          key: { user_id: 1, createdAt: -1 },
+          name: "user_id_created_at",
+        },
+      ]);
+    });
+  }
+
+  createApiKey(apiKeyData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...apiKeyData,
+        lastUsedAt: null,
+        revokedAt: null,
+        createdAt: new Date(),
+      });
+    });
+  }
+
+  getApiKeysByUserId(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find({ user_id: userId }, { projection: PUBLIC_PROJECTION })
+        .sort({ createdAt: -1 })
+        .toArray();
+    });
+  }
+
+  getActiveApiKeyByHash(keyHash) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne(
+        { key_hash: keyHash, revokedAt: null },
+        { projection: PUBLIC_PROJECTION },
+      );
+    });
+  }
+
+  touchApiKey(apiKeyId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: apiKeyId },
+        { $set: { lastUsedAt: new Date() } },
+      );
+    });
+  }
+
+  revokeApiKey(apiKeyId, userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        { _id: apiKeyId, user_id: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { returnDocument: "after", projection: PUBLIC_PROJECTION },
+      );
+    });
+  }
+
+  revokeApiKeysByUserId(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { user_id: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      );
+    });
+  }
+}
+
+export const apiKeyRepository = new ApiKeyRepository();
@@ -0,0 +1,79 @@
+import { getMongoInstance } from "../config/database.js";
+import { auditLogModel } from "../models/auditLog.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class AuditLogRepository {
+  constructor() {
+    this.collectionName = auditLogModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { entity_type: 1, entity_id: 1, createdAt: -1 },
+          name: "entity_created_at",
+        },
+        {
+          key: { actor_id: 1, createdAt: -1 },
+          name: "actor_created_at",
+        },
+        {
+          key: { createdAt: -1 },
+          name: "created_at",
+        },
+      ]);
+    });
+  }
+
+  createAuditLogEntry(auditLogData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...auditLogData,
+        createdAt: new Date(),
+      });
+    });
+  }
+
+  createAuditLogEntries(auditLogData) {
+    return this._executeQuery(async (collection) => {
+      const createdAt = new Date();
+      return await collection.insertMany(
+        auditLogData.map((entry) => ({ ...entry, createdAt })),
+      );
+    });
+  }
+
+  getAuditLog(filter, limit) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    });
+  }
+}
+
+export const auditLogRepository = new AuditLogRepository();
@@ -1,5 +1,6 @@
 import { getMongoInstance } from "../config/database.js";
 import { userModel } from "../models/user.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class UserRepository {
   constructor() {
@@ -14,6 +15,15 @@ class UserRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
@@ -28,6 +38,30 @@ class UserRepository {
     });
   }
 
+  async updatePassword(userId, password) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: userId },
+        { $set: { password, updatedAt: new Date() } },
+      );
+    });
+  }
+
+  async markEmailVerified(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: userId, emailVerifiedAt: null },
+        { $set: { emailVerifiedAt: new Date(), updatedAt: new Date() } },
+      );
+    });
+  }
+
+  async getUserById(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({ _id: userId });
+    });
+  }
+
   async getUserByEmail(email) {
     return this._executeQuery(async (collection) => {
       return await collection.findOne({ email });
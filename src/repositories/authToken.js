@@ -0,0 +1,89 @@
+import { getMongoInstance } from "../config/database.js";
+import { authTokenModel } from "../models/authToken.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class AuthTokenRepository {
+  constructor() {
+    this.collectionName = authTokenModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { token_hash: 1 },
+          name: "token_hash_unique",
+          unique: true,
+        },
+        {
+          key: { user_id: 1, type: 1 },
+          name: "user_id_type",
+        },
+        {
+          // Expired tokens are removed automatically
+          key: { expiresAt: 1 },
+          name: "expires_at_ttl",
+          expireAfterSeconds: 0,
+        },
+      ]);
+    });
+  }
+
+  createAuthToken(authTokenData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...authTokenData,
+        usedAt: null,
+        createdAt: new Date(),
+      });
+    });
+  }
+
+  // Marks an unused, unexpired token as used in one operation, so it can only be redeemed once
+  consumeAuthToken(tokenHash, type) {
+    return this._executeQuery(async (collection) => {
+      const now = new Date();
+      return await collection.findOneAndUpdate(
+        {
+          token_hash: tokenHash,
+          type,
+          usedAt: null,
+          expiresAt: { $gt: now },
+        },
+        { $set: { usedAt: now } },
+      );
+    });
+  }
+
+  invalidateAuthTokens(userId, type) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { user_id: userId, type, usedAt: null },
+        { $set: { usedAt: new Date() } },
+      );
+    });
+  }
+}
+
+export const authTokenRepository = new AuthTokenRepository();
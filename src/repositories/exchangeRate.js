@@ -0,0 +1,91 @@
+import { getMongoInstance } from "../config/database.js";
+import { exchangeRateModel } from "../models/exchangeRate.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class ExchangeRateRepository {
+  constructor() {
+    this.collectionName = exchangeRateModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { base_currency: 1, quote_currency: 1, date: 1 },
+          name: "pair_date_unique",
+          unique: true,
+        },
+      ]);
+    });
+  }
+
+  getExchangeRates(filter) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(filter)
+        .sort({ date: -1, base_currency: 1, quote_currency: 1 })
+        .toArray();
+    });
+  }
+
+  // The most recent rate on or before the reference date, and not before the oldest date
+  getLatestExchangeRate(
+    baseCurrency,
+    quoteCurrency,
+    referenceDate,
+    oldestDate,
+  ) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne(
+        {
+          base_currency: baseCurrency,
+          quote_currency: quoteCurrency,
+          date: { $lte: referenceDate, $gte: oldestDate },
+        },
+        { sort: { date: -1 } },
+      );
+    });
+  }
+
+  upsertExchangeRates(exchangeRates) {
+    return this._executeQuery(async (collection) => {
+      return await collection.bulkWrite(
+        exchangeRates.map(
+          ({ base_currency, quote_currency, date, ...rest }) => ({
+            updateOne: {
+              filter: { base_currency, quote_currency, date },
+              update: {
+                $set: { ...rest, updatedAt: new Date() },
+                $setOnInsert: { createdAt: new Date() },
+              },
+              upsert: true,
+            },
+          }),
+        ),
+      );
+    });
+  }
+}
+
+export const exchangeRateRepository = new ExchangeRateRepository();
@@ -1,5 +1,6 @@
 import { getMongoInstance } from "../config/database.js";
 import { farmModel } from "../models/farm.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class FarmRepository {
   constructor() {
@@ -14,36 +15,76 @@ class FarmRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
 
-  getAllFarmsByFarmerId(farmerId) {
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { code: 1 },
+          name: "code_unique",
+          unique: true,
+          // The code is optional; farms without one do not collide
+          partialFilterExpression: { code: { $type: "string" } },
+        },
+      ]);
+    });
+  }
+
+  getAllFarmsByFarmerId(farmerId, { includeDeleted = false } = {}) {
     return this._executeQuery(async (collection) => {
       return await collection
         .find({
           farmer_id: farmerId,
+          ...(!includeDeleted && { deletedAt: null }),
         })
         .sort({ createdAt: -1 })
         .toArray();
     });
   }
 
-  getFarmById(farmId) {
+  // Deleted farms are only returned with includeDeleted, so their payments stay
+  // readable, together with the milk production deleted along with them
+  getFarmById(farmId, scope = null, { includeDeleted = false } = {}) {
     return this._executeQuery(async (collection) => {
       const result = await collection
         .aggregate([
           {
-            $match: { _id: farmId },
+            $match: {
+              _id: farmId,
+              ...(scope && { farmer_id: scope.farmerId }),
+              ...(!includeDeleted && { deletedAt: null }),
+            },
           },
           {
             $lookup: {
               from: "milk_production",
-              let: { farmId: "$_id" },
+              let: { farmId: "$_id", deletedAt: "$deletedAt" },
               pipeline: [
                 {
                   $match: {
-                    $expr: { $eq: ["$farm_id", "$$farmId"] },
+                    $expr: {
+                      $and: [
+                        { $eq: ["$farm_id", "$$farmId"] },
+                        {
+                          $eq: [
+                            { $ifNull: ["$deletedAt", null] },
+                            { $ifNull: ["$$deletedAt", null] },
+                          ],
+                        },
+                      ],
+                    },
                   },
                 },
                 {
@@ -60,6 +101,28 @@ class FarmRepository {
     });
   }
 
+  // Farms matching any of the IDs or codes, without their milk production
+  getFarmsByIdsOrCodes(farmIds, codes) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find({
+          $or: [{ _id: { $in: farmIds } }, { code: { $in: codes } }],
+          deletedAt: null,
+        })
+        .toArray();
+    });
+  }
+
+  // The farm document alone, without its milk production
+  getFarmRecordById(farmId, { includeDeleted = false } = {}) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({
+        _id: farmId,
+        ...(!includeDeleted && { deletedAt: null }),
+      });
+    });
+  }
+
   createFarm(farmData) {
     return this._executeQuery(async (collection) => {
       return await collection.insertOne({
@@ -75,6 +138,7 @@ class FarmRepository {
       return await collection.updateOne(
         {
           _id: farmId,
+          deletedAt: null,
         },
         {
           $set: {
@@ -86,6 +150,44 @@ class FarmRepository {
     });
   }
 
+  softDeleteFarm(farmId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: farmId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  softDeleteAllFarmsByFarmerId(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farmer_id: farmerId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  restoreFarm(farmId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: farmId, deletedAt },
+        { $unset: { deletedAt: "" }, $set: { updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Restores only the farms deleted together with the farmer
+  restoreAllFarmsByFarmerId(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farmer_id: farmerId, deletedAt },
+        { $unset: { deletedAt: "" }, $set: { updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Permanently removes the farm
   deleteFarm(farmId) {
     return this._executeQuery(async (collection) => {
       return await collection.deleteOne({
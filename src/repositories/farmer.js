@@ -1,5 +1,6 @@
 import { getMongoInstance } from "../config/database.js";
 import { farmerModel } from "../models/farmer.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class FarmerRepository {
   constructor() {
@@ -14,31 +15,58 @@ class FarmerRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
 
-  getAllFarmers() {
+  getAllFarmers(scope = null) {
     return this._executeQuery(async (collection) => {
-      return await collection.find().sort({ createdAt: -1 }).toArray();
+      return await collection
+        .find({ deletedAt: null, ...(scope && { _id: scope.farmerId }) })
+        .sort({ createdAt: -1 })
+        .toArray();
     });
   }
 
-  getFarmerById(farmerId) {
+  // Deleted farmers are only returned with includeDeleted, together with the farms
+  // deleted along with them
+  getFarmerById(farmerId, { includeDeleted = false } = {}) {
     return this._executeQuery(async (collection) => {
       const result = await collection
         .aggregate([
           {
-            $match: { _id: farmerId },
+            $match: {
+              _id: farmerId,
+              ...(!includeDeleted && { deletedAt: null }),
+            },
           },
           {
             $lookup: {
               from: "farms",
-              let: { farmerId: "$_id" },
+              let: { farmerId: "$_id", deletedAt: "$deletedAt" },
               pipeline: [
                 {
                   $match: {
-                    $expr: { $eq: ["$farmer_id", "$$farmerId"] },
+                    $expr: {
+                      $and: [
+                        { $eq: ["$farmer_id", "$$farmerId"] },
+                        {
+                          $eq: [
+                            { $ifNull: ["$deletedAt", null] },
+                            { $ifNull: ["$$deletedAt", null] },
+                          ],
+                        },
+                      ],
+                    },
                   },
                 },
                 {
@@ -55,6 +83,16 @@ class FarmerRepository {
     });
   }
 
+  // The farmer document alone, without its farms
+  getFarmerRecordById(farmerId, { includeDeleted = false } = {}) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({
+        _id: farmerId,
+        ...(!includeDeleted && { deletedAt: null }),
+      });
+    });
+  }
+
   createFarmer(farmerData) {
     return this._executeQuery(async (collection) => {
       return await collection.insertOne({
@@ -70,6 +108,7 @@ class FarmerRepository {
       return await collection.updateOne(
         {
           _id: farmerId,
+          deletedAt: null,
         },
         {
           $set: {
@@ -81,6 +120,25 @@ class FarmerRepository {
     });
   }
 
+  softDeleteFarmer(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: farmerId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  restoreFarmer(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: farmerId, deletedAt },
+        { $unset: { deletedAt: "" }, $set: { updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Permanently removes the farmer
   deleteFarmer(farmerId) {
     return this._executeQuery(async (collection) => {
       return await collection.deleteOne({
@@ -0,0 +1,85 @@
+import { getMongoInstance } from "../config/database.js";
+import { labResultModel } from "../models/labResult.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class LabResultRepository {
+  constructor() {
+    this.collectionName = labResultModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { farm_id: 1, year: 1, month: 1 },
+          name: "farm_period_unique",
+          unique: true,
+        },
+      ]);
+    });
+  }
+
+  getLabResultsByFarmId(farmId, year = null) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find({ farm_id: farmId, ...(year && { year }) })
+        .sort({ year: -1, month: -1 })
+        .toArray();
+    });
+  }
+
+  getLabResultByFarmAndMonth(farmId, year, month) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({ farm_id: farmId, year, month });
+    });
+  }
+
+  upsertLabResult(farmId, year, month, labResultData) {
+    return this._executeQuery(async (collection) => {
+      const now = new Date();
+      return await collection.findOneAndUpdate(
+        { farm_id: farmId, year, month },
+        {
+          $set: { ...labResultData, updatedAt: now },
+          $setOnInsert: { createdAt: now },
+        },
+        { upsert: true, returnDocument: "after", includeResultMetadata: true },
+      );
+    });
+  }
+
+  deleteLabResult(farmId, year, month) {
+    return this._executeQuery(async (collection) => {
+      return await collection.deleteOne({ farm_id: farmId, year, month });
+    });
+  }
+
+  deleteAllLabResultsByFarmIds(farmIds) {
+    return this._executeQuery(async (collection) => {
+      return await collection.deleteMany({ farm_id: { $in: farmIds } });
+    });
+  }
+}
+
+export const labResultRepository = new LabResultRepository();
@@ -0,0 +1,143 @@
+import { getMongoInstance } from "../config/database.js";
+import { loginAttemptModel } from "../models/loginAttempt.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class LoginAttemptRepository {
+  constructor() {
+    this.collectionName = loginAttemptModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { key: 1 },
+          name: "key_unique",
+          unique: true,
+        },
+        {
+          // Failure counters are forgotten after a quiet period
+          key: { expiresAt: 1 },
+          name: "expires_at_ttl",
+          expireAfterSeconds: 0,
+        },
+      ]);
+    });
+  }
+
+  // Counts an attempt in one atomic update unless the key is locked out, and locks it
+  // out when the attempt reaches the limit. Returns the counter as it was before.
+  reserveAttempt(
+    key,
+    { now, expiresAt, maxFailures, baseSeconds, maxSeconds },
+  ) {
+    return this._executeQuery(async (collection) => {
+      const locked = { $gt: ["$lockedUntil", now] };
+      return await collection.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              failures: {
+                $cond: [
+                  locked,
+                  "$failures",
+                  { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+                ],
+              },
+              lastFailureAt: { $cond: [locked, "$lastFailureAt", now] },
+              expiresAt: { $cond: [locked, "$expiresAt", expiresAt] },
+            },
+          },
+          {
+            $set: {
+              lockedUntil: {
+                $cond: [
+                  { $or: [locked, { $lt: ["$failures", maxFailures] }] },
+                  "$lockedUntil",
+                  {
+                    $add: [
+                      now,
+                      {
+                        $multiply: [
+                          1000,
+                          {
+                            $min: [
+                              maxSeconds,
+                              {
+                                $multiply: [
+                                  baseSeconds,
+                                  {
+                                    $pow: [
+                                      2,
+                                      { $subtract: ["$failures", maxFailures] },
+                                    ],
+                                  },
+                                ],
+                              },
+                            ],
+                          },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, returnDocument: "before" },
+      );
+    });
+  }
+
+  // Takes back a counted attempt, and restores the previous lockout if the one the
+  // attempt set is still in place
+  releaseAttempt(key, { lockedUntil, previousLockedUntil }) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne({ key }, [
+        {
+          $set: {
+            failures: { $max: [0, { $subtract: ["$failures", 1] }] },
+            lockedUntil: {
+              $cond: [
+                lockedUntil ? { $eq: ["$lockedUntil", lockedUntil] } : false,
+                previousLockedUntil ?? null,
+                "$lockedUntil",
+              ],
+            },
+          },
+        },
+      ]);
+    });
+  }
+
+  clearLoginAttempts(key) {
+    return this._executeQuery(async (collection) => {
+      return await collection.deleteOne({ key });
+    });
+  }
+}
+
+export const loginAttemptRepository = new LoginAttemptRepository();
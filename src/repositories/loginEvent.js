@@ -0,0 +1,70 @@
+import { getMongoInstance } from "../config/database.js";
+import { loginEventModel } from "../models/loginEvent.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class LoginEventRepository {
+  constructor() {
+    this.collectionName = loginEventModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { createdAt: -1 },
+          name: "created_at",
+        },
+        {
+          key: { email: 1, createdAt: -1 },
+          name: "email_created_at",
+        },
+        {
+          key: { ip: 1, createdAt: -1 },
+          name: "ip_created_at",
+        },
+      ]);
+    });
+  }
+
+  createLoginEvent(loginEventData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...loginEventData,
+        createdAt: new Date(),
+      });
+    });
+  }
+
+  getLoginEvents(filter, limit) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    });
+  }
+}
+
+export const loginEventRepository = new LoginEventRepository();
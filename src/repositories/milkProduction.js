@@ -1,5 +1,7 @@
+import { MongoBulkWriteError, ObjectId } from "mongodb";
 import { getMongoInstance } from "../config/database.js";
 import { milkProductionModel } from "../models/milkProduction.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class MilkProductionRepository {
   constructor() {
@@ -14,67 +16,374 @@ class MilkProductionRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
 
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { farm_id: 1, day: 1 },
+          name: "farm_day_unique",
+          unique: true,
+          // One live record per farm and day. Records are created with an explicit null
+          // deletedAt, so deleted ones and records older than the day field are left out
+          partialFilterExpression: {
+            day: { $type: "string" },
+            deletedAt: { $type: "null" },
+          },
+        },
+      ]);
+    });
+  }
+
+  getMilkProductionById(milkProductionId, { includeDeleted = false } = {}) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({
+        _id: milkProductionId,
+        ...(!includeDeleted && { deletedAt: null }),
+      });
+    });
+  }
+
   getAllMilkProductionsByFarmId(farmId) {
     return this._executeQuery(async (collection) => {
       return await collection
         .find({
           farm_id: farmId,
+          deletedAt: null,
         })
         .sort({ date: -1 })
         .toArray();
     });
   }
 
-  getMilkProductionsByYearAndMonth(farmId, startOfMonth, endOfMonth) {
+  // Records of the given farms in a period: live ones, or those deleted together with
+  // their farm when the farm's deletedAt is given
+  _matchFarmsAndPeriod(farmIds, startDate, endDate, deletedAt = null) {
+    return {
+      $match: {
+        farm_id: { $in: farmIds },
+        deletedAt,
+        date: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      },
+    };
+  }
+
+  getMilkProductionsByYearAndMonth(
+    farmId,
+    startOfMonth,
+    endOfMonth,
+    { deletedAt = null } = {},
+  ) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .aggregate([
+          this._matchFarmsAndPeriod(
+            [farmId],
+            startOfMonth,
+            endOfMonth,
+            deletedAt,
+          ),
+          {
+            $sort: { date: 1 },
+          },
+          {
+            $project: {
+              date: 1,
+              volume_liters: 1,
+              collections: 1,
+            },
+          },
+        ])
+        .toArray();
+    });
+  }
+
+  // Statistics of the daily volumes of each farm per period of the given unit (day, week,
+  // month or year; weeks start on Monday), only for periods with deliveries
+  getProductionAnalytics(farmIds, startDate, endDate, unit) {
     return this._executeQuery(async (collection) => {
       return await collection
         .aggregate([
+          this._matchFarmsAndPeriod(farmIds, startDate, endDate),
+          // Daily totals first, so days with several records count once
           {
-            $match: {
-              farm_id: farmId,
-              date: {
-                $gte: startOfMonth,
-                $lte: endOfMonth,
+            $group: {
+              _id: {
+                farm_id: "$farm_id",
+                day: { $dateTrunc: { date: "$date", unit: "day" } },
               },
+              volume_liters: { $sum: "$volume_liters" },
             },
           },
+          // Pushes each period's volumes in ascending order, for the median
           {
-            $sort: { date: 1 },
+            $sort: { volume_liters: 1 },
+          },
+          {
+            $group: {
+              _id: {
+                farm_id: "$_id.farm_id",
+                start: {
+                  $dateTrunc: {
+                    date: "$_id.day",
+                    unit,
+                    startOfWeek: "monday",
+                  },
+                },
+              },
+              total: { $sum: "$volume_liters" },
+              mean: { $avg: "$volume_liters" },
+              min: { $min: "$volume_liters" },
+              max: { $max: "$volume_liters" },
+              std_dev: { $stdDevPop: "$volume_liters" },
+              volumes: { $push: "$volume_liters" },
+            },
           },
           {
             $project: {
-              date: 1,
-              volume_liters: 1,
+              _id: 0,
+              farm_id: "$_id.farm_id",
+              start: "$_id.start",
+              total: 1,
+              mean: 1,
+              min: 1,
+              max: 1,
+              std_dev: 1,
+              days_with_delivery: { $size: "$volumes" },
+              median: {
+                $let: {
+                  vars: {
+                    middle: {
+                      $floor: { $divide: [{ $size: "$volumes" }, 2] },
+                    },
+                  },
+                  in: {
+                    $cond: [
+                      { $eq: [{ $mod: [{ $size: "$volumes" }, 2] }, 1] },
+                      { $arrayElemAt: ["$volumes", "$$middle"] },
+                      {
+                        $avg: [
+                          {
+                            $arrayElemAt: [
+                              "$volumes",
+                              { $subtract: ["$$middle", 1] },
+                            ],
+                          },
+                          { $arrayElemAt: ["$volumes", "$$middle"] },
+                        ],
+                      },
+                    ],
+                  },
+                },
+              },
             },
           },
+          {
+            $sort: { farm_id: 1, start: 1 },
+          },
         ])
         .toArray();
     });
   }
 
+  getFarmIdsWithProductionInPeriod(startDate, endDate) {
+    return this._executeQuery(async (collection) => {
+      return await collection.distinct("farm_id", {
+        deletedAt: null,
+        date: {
+          $gte: startDate,
+          $lte: endDate,
+        },
+      });
+    });
+  }
+
+  // Live records of a farm in a period, usually a single day
+  getMilkProductionsByFarmAndPeriod(farmId, startDate, endDate) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find({
+          farm_id: farmId,
+          date: { $gte: startDate, $lte: endDate },
+          deletedAt: null,
+        })
+        .sort({ createdAt: 1 })
+        .toArray();
+    });
+  }
+
+  // Farms and days with more than one live record, with the records of each
+  getDuplicateMilkProductions(filter) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .aggregate([
+          { $match: { ...filter, deletedAt: null } },
+          { $sort: { createdAt: 1 } },
+          {
+            $group: {
+              _id: {
+                farm_id: "$farm_id",
+                day: {
+                  $dateToString: { format: "%Y-%m-%d", date: "$date" },
+                },
+              },
+              count: { $sum: 1 },
+              total_volume_liters: { $sum: "$volume_liters" },
+              records: {
+                $push: {
+                  _id: "$_id",
+                  date: "$date",
+                  volume_liters: "$volume_liters",
+                  createdAt: "$createdAt",
+                },
+              },
+            },
+          },
+          { $match: { count: { $gt: 1 } } },
+          {
+            $project: {
+              _id: 0,
+              farm_id: "$_id.farm_id",
+              day: "$_id.day",
+              count: 1,
+              total_volume_liters: 1,
+              records: 1,
+            },
+          },
+          { $sort: { farm_id: 1, day: 1 } },
+        ])
+        .toArray();
+    });
+  }
+
+  // Farm and date of the records of the given farms in a period, to detect duplicates
+  getMilkProductionDates(farmIds, startDate, endDate) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(
+          {
+            farm_id: { $in: farmIds },
+            date: { $gte: startDate, $lte: endDate },
+            deletedAt: null,
+          },
+          { projection: { farm_id: 1, date: 1 } },
+        )
+        .toArray();
+    });
+  }
+
+  // Farm and date of the live records of a farm, or of those deleted together with it
+  getMilkProductionDatesByFarmId(farmId, deletedAt = null) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(
+          { farm_id: farmId, deletedAt },
+          { projection: { farm_id: 1, date: 1 } },
+        )
+        .toArray();
+    });
+  }
+
+  // Farm and date of the live records of a farmer, or of those deleted together with them
+  getMilkProductionDatesByFarmerId(farmerId, deletedAt = null) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(
+          { farmer_id: farmerId, deletedAt },
+          { projection: { farm_id: 1, date: 1 } },
+        )
+        .toArray();
+    });
+  }
+
   createMilkProduction(farmData) {
     return this._executeQuery(async (collection) => {
       return await collection.insertOne({
         ...farmData,
+        deletedAt: null,
         createdAt: new Date(),
         updatedAt: new Date(),
       });
     });
   }
 
-  updateMilkProduction(milkProductionId, farmData) {
+  // Inserts the records independently of each other; records that collide with an
+  // existing farm and day are skipped and their positions returned in duplicateIndexes
+  createMilkProductions(milkProductions) {
+    return this._executeQuery(async (collection) => {
+      const now = new Date();
+      const documents = milkProductions.map((milkProduction) => ({
+        _id: new ObjectId(),
+        ...milkProduction,
+        deletedAt: null,
+        createdAt: now,
+        updatedAt: now,
+      }));
+
+      let duplicateIndexes = [];
+      try {
+        await collection.insertMany(documents, { ordered: false });
+      } catch (error) {
+        const writeErrors = [].concat(error.writeErrors ?? []);
+        if (
+          !(error instanceof MongoBulkWriteError) ||
+          writeErrors.length === 0 ||
+          writeErrors.some(({ code }) => code !== 11000)
+        ) {
+          throw error;
+        }
+        duplicateIndexes = writeErrors.map(({ index }) => index);
+      }
+
+      return {
+        insertedIds: documents.map(({ _id }, index) =>
+          duplicateIndexes.includes(index) ? null : _id,
+        ),
+        duplicateIndexes,
+      };
+    });
+  }
+
+  // Sets the volume (and collections) of a farm's day, creating its record if there is none yet
+  upsertMilkProductionDay(farmId, day, productionData, newRecordData) {
+    return this._executeQuery(async (collection) => {
+      const now = new Date();
+      return await collection.findOneAndUpdate(
+        { farm_id: farmId, day, deletedAt: null },
+        {
+          $set: { ...productionData, updatedAt: now },
+          $setOnInsert: { ...newRecordData, createdAt: now },
+        },
+        { upsert: true, returnDocument: "after", includeResultMetadata: true },
+      );
+    });
+  }
+
+  updateMilkProduction(milkProductionId, milkProductionData) {
     return this._executeQuery(async (collection) => {
       return await collection.updateOne(
         {
           _id: milkProductionId,
+          deletedAt: null,
         },
         {
           $set: {
-            ...farmData,
+            ...milkProductionData,
             updatedAt: new Date(),
           },
         },
@@ -82,6 +391,99 @@ class MilkProductionRepository {
     });
   }
 
+  // Adds a shift's collection to a record, unless the shift is already recorded, and sets
+  // the daily total to the collections' sum, rounded like the service's
+  addMilkProductionCollection(milkProductionId, milkCollection) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        {
+          _id: milkProductionId,
+          deletedAt: null,
+          "collections.shift": { $ne: milkCollection.shift },
+        },
+        [
+          {
+            $set: {
+              collections: {
+                $concatArrays: [
+                  { $ifNull: ["$collections", []] },
+                  [{ $literal: milkCollection }],
+                ],
+              },
+              updatedAt: new Date(),
+            },
+          },
+          {
+            $set: {
+              volume_liters: {
+                $round: [{ $sum: "$collections.volume_liters" }, 3],
+              },
+            },
+          },
+        ],
+      );
+    });
+  }
+
+  softDeleteMilkProduction(milkProductionId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: milkProductionId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  softDeleteAllMilkProductionsByFarmerId(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farmer_id: farmerId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  softDeleteAllMilkProductionsByFarmId(farmId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farm_id: farmId, deletedAt: null },
+        { $set: { deletedAt } },
+      );
+    });
+  }
+
+  // Restored records get an explicit null deletedAt, as new ones, so the unique index
+  // on farm and day covers them again
+  restoreMilkProduction(milkProductionId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { _id: milkProductionId, deletedAt },
+        { $set: { deletedAt: null, updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Restores only the records deleted together with the farmer
+  restoreAllMilkProductionsByFarmerId(farmerId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farmer_id: farmerId, deletedAt },
+        { $set: { deletedAt: null, updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Restores only the records deleted together with the farm
+  restoreAllMilkProductionsByFarmId(farmId, deletedAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { farm_id: farmId, deletedAt },
+        { $set: { deletedAt: null, updatedAt: new Date() } },
+      );
+    });
+  }
+
+  // Permanently removes the record
   deleteMilkProduction(milkProductionId) {
     return this._executeQuery(async (collection) => {
       return await collection.deleteOne({
@@ -1,5 +1,6 @@
 import { getMongoInstance } from "../config/database.js";
 import { paymentModel } from "../models/payment.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class PaymentRepository {
   constructor() {
@@ -14,16 +15,66 @@ class PaymentRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
 
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      // Payments stored before statuses existed are drafts, and the unique index below
+      // only covers payments with their cancelled flag set
+      await collection.updateMany(
+        { status: null },
+        { $set: { status: "draft" } },
+      );
+      await collection.updateMany({ cancelled: { $exists: false } }, [
+        { $set: { cancelled: { $eq: ["$status", "cancelled"] } } },
+      ]);
+      // Replaced by farm_year_month_active_unique, whose filter older servers support
+      if (await collection.indexExists("farm_year_month_unique")) {
+        await collection.dropIndex("farm_year_month_unique");
+      }
+
+      return await collection.createIndexes([
+        {
+          key: { farm_id: 1, year: 1, month: 1 },
+          name: "farm_year_month_active_unique",
+          unique: true,
+          // Cancelled payments do not block issuing a new payment for the period
+          partialFilterExpression: { cancelled: false },
+        },
+        {
+          key: { idempotency_key: 1 },
+          name: "idempotency_key_unique",
+          unique: true,
+          partialFilterExpression: { idempotency_key: { $type: "string" } },
+        },
+      ]);
+    });
+  }
+
+  getPaymentById(paymentId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({ _id: paymentId });
+    });
+  }
+
   async getPricePerLiterByFarmAndMonth(farmId, year, month) {
     return this._executeQuery(async (collection) => {
       return await collection.findOne({
         farm_id: farmId,
         year: year,
         month: month,
+        status: { $ne: "cancelled" },
       });
     });
   }
@@ -34,22 +85,72 @@ class PaymentRepository {
         .find({
           farm_id: farmId,
           year: year,
+          status: { $ne: "cancelled" },
         })
         .sort({ month: 1 })
         .toArray();
     });
   }
 
-  createPayment(paymentData) {
+  getPaymentsByPeriod(year, month) {
+    return this._executeQuery(async (collection) => {
+      return await collection
+        .find(
+          { year: year, month: month },
+          { projection: { farm_id: 1, status: 1 } },
+        )
+        .toArray();
+    });
+  }
+
+  getPaymentByIdempotencyKey(idempotencyKey) {
     return this._executeQuery(async (collection) => {
-      return await collection.insertOne({
-        ...paymentData,
-        createdAt: new Date(),
-        updatedAt: new Date(),
+      return await collection.findOne({ idempotency_key: idempotencyKey });
+    });
+  }
+
+  countPaymentsByPricingRuleId(pricingRuleId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.countDocuments({
+        pricing_rule_id: pricingRuleId,
       });
     });
   }
 
+  // The payment of the most recent period calculated with a pricing rule
+  getLatestPaymentByPricingRuleId(pricingRuleId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne(
+        { pricing_rule_id: pricingRuleId },
+        { sort: { year: -1, month: -1 } },
+      );
+    });
+  }
+
+  countPaymentsByFarmIds(farmIds) {
+    return this._executeQuery(async (collection) => {
+      return await collection.countDocuments({ farm_id: { $in: farmIds } });
+    });
+  }
+
+  createPayment(paymentData) {
+    return this._executeQuery(async (collection) => {
+      try {
+        return await collection.insertOne({
+          ...paymentData,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+      } catch (error) {
+        // Duplicate key: a payment for the same period or idempotency key already exists
+        if (error.code === 11000) {
+          return null;
+        }
+        throw error;
+      }
+    });
+  }
+
   updatePayment(paymentId, paymentData) {
     return this._executeQuery(async (collection) => {
       return await collection.updateOne(
@@ -66,6 +167,91 @@ class PaymentRepository {
     });
   }
 
+  markPaymentStale(farmId, year, month) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        {
+          farm_id: farmId,
+          year: year,
+          month: month,
+          status: { $in: ["draft", null] },
+          stale: { $ne: true },
+        },
+        {
+          $set: {
+            stale: true,
+            stale_since: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+      );
+    });
+  }
+
+  replaceCalculation(paymentId, calculation, revision) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        {
+          _id: paymentId,
+          // Payments created before statuses existed are drafts
+          status: { $in: ["draft", null] },
+        },
+        {
+          $set: {
+            ...calculation,
+            stale: false,
+            updatedAt: new Date(),
+          },
+          $unset: { stale_since: "" },
+          $push: { revisions: revision },
+        },
+        { returnDocument: "after" },
+      );
+    });
+  }
+
+  updateAdjustments(paymentId, adjustments, calculation) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        {
+          _id: paymentId,
+          // Payments created before statuses existed are drafts
+          status: { $in: ["draft", null] },
+        },
+        {
+          $set: {
+            adjustments,
+            ...calculation,
+            updatedAt: new Date(),
+          },
+        },
+        { returnDocument: "after" },
+      );
+    });
+  }
+
+  transitionPayment(paymentId, fromStatus, transition) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        {
+          _id: paymentId,
+          // Payments created before statuses existed are drafts
+          status:
+            fromStatus === "draft" ? { $in: ["draft", null] } : fromStatus,
+        },
+        {
+          $set: {
+            status: transition.to,
+            cancelled: transition.to === "cancelled",
+            updatedAt: new Date(),
+          },
+          $push: { status_history: transition },
+        },
+        { returnDocument: "after" },
+      );
+    });
+  }
+
   deletePayment(paymentId) {
     return this._executeQuery(async (collection) => {
       return await collection.deleteOne({
@@ -0,0 +1,149 @@
+import { getMongoInstance } from "../config/database.js";
+import { pricingRuleModel } from "../models/pricingRule.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class PricingRuleRepository {
+  constructor() {
+    this.collectionName = pricingRuleModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        { key: { version: 1 }, name: "version_unique", unique: true },
+      ]);
+    });
+  }
+
+  getAllPricingRules() {
+    return this._executeQuery(async (collection) => {
+      return await collection.find().sort({ effective_from: -1 }).toArray();
+    });
+  }
+
+  getPricingRuleById(pricingRuleId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({ _id: pricingRuleId });
+    });
+  }
+
+  getPricingRuleInForce(referenceDate) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne(
+        {
+          effective_from: { $lte: referenceDate },
+          $or: [
+            { effective_to: null },
+            { effective_to: { $gte: referenceDate } },
+          ],
+        },
+        { sort: { effective_from: -1 } },
+      );
+    });
+  }
+
+  getOverlappingPricingRule(effectiveFrom, effectiveTo, excludedId = null) {
+    return this._executeQuery(async (collection) => {
+      const filter = {
+        $or: [
+          { effective_to: null },
+          { effective_to: { $gte: effectiveFrom } },
+        ],
+      };
+
+      if (effectiveTo) {
+        filter.effective_from = { $lte: effectiveTo };
+      }
+
+      if (excludedId) {
+        filter._id = { $ne: excludedId };
+      }
+
+      return await collection.findOne(filter);
+    });
+  }
+
+  getLatestVersion() {
+    return this._executeQuery(async (collection) => {
+      const latest = await collection.findOne(
+        {},
+        { sort: { version: -1 }, projection: { version: 1 } },
+      );
+      return latest?.version || 0;
+    });
+  }
+
+  createPricingRule(pricingRuleData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...pricingRuleData,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+    });
+  }
+
+  // Inserts the rule only if the collection is empty
+  createPricingRuleIfNone(pricingRuleData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        {},
+        {
+          $setOnInsert: {
+            ...pricingRuleData,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          },
+        },
+        { upsert: true },
+      );
+    });
+  }
+
+  updatePricingRule(pricingRuleId, pricingRuleData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        {
+          _id: pricingRuleId,
+        },
+        {
+          $set: {
+            ...pricingRuleData,
+            updatedAt: new Date(),
+          },
+        },
+      );
+    });
+  }
+
+  deletePricingRule(pricingRuleId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.deleteOne({
+        _id: pricingRuleId,
+      });
+    });
+  }
+}
+
+export const pricingRuleRepository = new PricingRuleRepository();
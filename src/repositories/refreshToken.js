@@ -0,0 +1,102 @@
+import { getMongoInstance } from "../config/database.js";
+import { refreshTokenModel } from "../models/refreshToken.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class RefreshTokenRepository {
+  constructor() {
+    this.collectionName = refreshTokenModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { token_hash: 1 },
+          name: "token_hash_unique",
+          unique: true,
+        },
+        {
+          key: { family_id: 1 },
+          name: "family_id",
+        },
+        {
+          key: { user_id: 1 },
+          name: "user_id",
+        },
+        {
+          // Expired refresh tokens are removed automatically
+          key: { expiresAt: 1 },
+          name: "expires_at_ttl",
+          expireAfterSeconds: 0,
+        },
+      ]);
+    });
+  }
+
+  createRefreshToken(refreshTokenData) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        ...refreshTokenData,
+        revokedAt: null,
+        createdAt: new Date(),
+      });
+    });
+  }
+
+  getRefreshTokenByHash(tokenHash) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne({ token_hash: tokenHash });
+    });
+  }
+
+  rotateRefreshToken(refreshTokenId, replacedBy) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        { _id: refreshTokenId, revokedAt: null },
+        { $set: { revokedAt: new Date(), replaced_by: replacedBy } },
+        { returnDocument: "after" },
+      );
+    });
+  }
+
+  revokeRefreshTokenFamily(familyId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { family_id: familyId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      );
+    });
+  }
+
+  revokeRefreshTokensByUserId(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateMany(
+        { user_id: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+      );
+    });
+  }
+}
+
+export const refreshTokenRepository = new RefreshTokenRepository();
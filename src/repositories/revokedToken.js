@@ -0,0 +1,90 @@
+import { getMongoInstance } from "../config/database.js";
+import { revokedTokenModel } from "../models/revokedToken.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
+
+class RevokedTokenRepository {
+  constructor() {
+    this.collectionName = revokedTokenModel.collectionName;
+    this.dbInstance = getMongoInstance();
+  }
+
+  async _executeQuery(callback) {
+    let client;
+    try {
+      client = await this.dbInstance.connect();
+      const collection = client.collection(this.collectionName);
+      return await callback(collection);
+    } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
+      throw new Error(`Database operation failed: ${error.message}`);
+    }
+  }
+
+  createIndexes() {
+    return this._executeQuery(async (collection) => {
+      return await collection.createIndexes([
+        {
+          key: { jti: 1 },
+          name: "jti",
+          partialFilterExpression: { jti: { $type: "string" } },
+        },
+        {
+          key: { user_id: 1, revokedAt: -1 },
+          name: "user_id_revoked_at",
+        },
+        {
+          // Entries are only needed until the revoked access tokens expire on their own
+          key: { expiresAt: 1 },
+          name: "expires_at_ttl",
+          expireAfterSeconds: 0,
+        },
+      ]);
+    });
+  }
+
+  revokeToken(jti, expiresAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.updateOne(
+        { jti },
+        { $setOnInsert: { jti, revokedAt: new Date(), expiresAt } },
+        { upsert: true },
+      );
+    });
+  }
+
+  revokeTokensByUserId(userId, expiresAt) {
+    return this._executeQuery(async (collection) => {
+      return await collection.insertOne({
+        user_id: userId,
+        revokedAt: new Date(),
+        expiresAt,
+      });
+    });
+  }
+
+  isTokenRevoked(jti, userId, issuedAt) {
+    return this._executeQuery(async (collection) => {
+      // Tokens issued in the same millisecond as the revocation are revoked too
+      const conditions = [{ user_id: userId, revokedAt: { $gte: issuedAt } }];
+      if (jti) {
+        conditions.push({ jti });
+      }
+
+      const revokedToken = await collection.findOne(
+        { $or: conditions },
+        { projection: { _id: 1 } },
+      );
+      return revokedToken !== null;
+    });
+  }
+}
+
+export const revokedTokenRepository = new RevokedTokenRepository();
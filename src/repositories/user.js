@@ -1,5 +1,6 @@
 import { getMongoInstance } from "../config/database.js";
 import { userModel } from "../models/user.js";
+import { ConflictError, DomainError } from "../utils/errors.js";
 
 class UserRepository {
   constructor() {
@@ -14,6 +15,15 @@ class UserRepository {
       const collection = client.collection(this.collectionName);
       return await callback(collection);
     } catch (error) {
+      if (error instanceof DomainError) {
+        throw error;
+      }
+      // Duplicate key on a unique index
+      if (error.code === 11000) {
+        throw new ConflictError(
+          "A record with the same unique values already exists",
+        );
+      }
       throw new Error(`Database operation failed: ${error.message}`);
     }
   }
@@ -21,12 +31,44 @@ class UserRepository {
   async getAllUsers() {
     return this._executeQuery(async (collection) => {
       return await collection
-        .find({}, { projection: { email: 1 } })
+        .find({}, { projection: { email: 1, role: 1, farmer_id: 1 } })
         .sort({ createdAt: -1 })
         .toArray();
     });
   }
 
+  async getUserById(userId) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOne(
+        { _id: userId },
+        { projection: { password: 0 } },
+      );
+    });
+  }
+
+  async updateUserRole(userId, role) {
+    return this._executeQuery(async (collection) => {
+      return await collection.findOneAndUpdate(
+        { _id: userId },
+        { $set: { role, updatedAt: new Date() } },
+        { returnDocument: "after", projection: { email: 1, role: 1 } },
+      );
+    });
+  }
+
+  async updateUserFarmer(userId, farmerId) {
+    return this._executeQuery(async (collection) => {
+      const update = farmerId
+        ? { $set: { farmer_id: farmerId, updatedAt: new Date() } }
+        : { $unset: { farmer_id: "" }, $set: { updatedAt: new Date() } };
+
+      return await collection.findOneAndUpdate({ _id: userId }, update, {
+        returnDocument: "after",
+        projection: { email: 1, role: 1, farmer_id: 1 },
+      });
+    });
+  }
+
   async deleteUser(userId) {
     return this._executeQuery(async (collection) => {
       return await collection.deleteOne({ _id: userId });
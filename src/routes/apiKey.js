@@ -0,0 +1,196 @@
+import express from "express";
+import { apiKeyController } from "../controllers/apiKey.js";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+class ApiKeyRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  initializeRoutes() {
+    // API keys are managed by their owners through a login session, never with another API key
+    const verifySession = authMiddleware.verifyToken({ allowApiKey: false });
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     ApiKey:
+     *       type: object
+     *       properties:
+     *         _id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c99"
+     *         user_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c80"
+     *         name:
+     *           type: string
+     *           example: "Truck ABC-1234"
+     *         prefix:
+     *           type: string
+     *           example: "9f2c41d0"
+     *         scopes:
+     *           type: array
+     *           items:
+     *             type: string
+     *           example: ["milk-productions:write"]
+     *         lastUsedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         revokedAt:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /api/api-keys:
+     *   get:
+     *     summary: List your API keys
+     *     tags: [ApiKeys]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Your API keys, newest first. Secrets are never returned.
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/ApiKey'
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get("/", verifySession, (req, res, next) =>
+      apiKeyController.getApiKeys(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/api-keys:
+     *   post:
+     *     summary: Create an API key
+     *     description: Creates a key for machine-to-machine clients, sent in the `X-API-Key` header. The key acts as you, limited to its scopes, which must be permissions your role grants. The plaintext key is returned only in this response.
+     *     tags: [ApiKeys]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [name, scopes]
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: "Truck ABC-1234"
+     *               scopes:
+     *                 type: array
+     *                 items:
+     *                   type: string
+     *                 example: ["milk-productions:write"]
+     *     responses:
+     *       201:
+     *         description: API key created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/ApiKey'
+     *                 - type: object
+     *                   properties:
+     *                     key:
+     *                       type: string
+     *                       example: "mpk_9f2c41d0_Zq3v..."
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: A scope is not granted by your role
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/",
+      verifySession,
+      this.validateRequest([
+        check("name")
+          .isString()
+          .trim()
+          .notEmpty()
+          .withMessage("Name is required"),
+        check("scopes")
+          .isArray({ min: 1 })
+          .withMessage("Scopes must be a non-empty array"),
+        check("scopes.*")
+          .isIn(Object.values(PERMISSIONS))
+          .withMessage(
+            `Each scope must be one of: ${Object.values(PERMISSIONS).join(", ")}`,
+          ),
+      ]),
+      (req, res, next) => apiKeyController.createApiKey(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/api-keys/{id}:
+     *   delete:
+     *     summary: Revoke one of your API keys
+     *     tags: [ApiKeys]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c99"
+     *         required: true
+     *         description: The API key ID
+     *     responses:
+     *       200:
+     *         description: API key revoked
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       404:
+     *         description: API key not found or already revoked
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete("/:id", verifySession, (req, res, next) =>
+      apiKeyController.revokeApiKey(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const apiKeyRoutes = new ApiKeyRoutes().getRouter();
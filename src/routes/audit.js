@@ -0,0 +1,195 @@
+import express from "express";
+import { auditController } from "../controllers/audit.js";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from "../services/audit.js";
+
+class AuditRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  initializeRoutes() {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     AuditLogEntry:
+     *       type: object
+     *       properties:
+     *         _id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c99"
+     *         actor_id:
+     *           type: string
+     *           nullable: true
+     *           description: The user who made the change, null for system jobs and self-registration
+     *           example: "60d21b4667d0d8992e610c80"
+     *         api_key_id:
+     *           type: string
+     *           nullable: true
+     *           description: The API key the change was made with, if any
+     *         action:
+     *           type: string
+     *           enum: [create, update, delete, restore, purge]
+     *           example: "update"
+     *         entity_type:
+     *           type: string
+     *           enum: [farmer, farm, milk_production, lab_result, payment, user]
+     *           example: "farm"
+     *         entity_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         before:
+     *           type: object
+     *           nullable: true
+     *           description: Values before the change; on updates, only the fields that changed
+     *           example: { "distance_to_factory_km": 40 }
+     *         after:
+     *           type: object
+     *           nullable: true
+     *           description: Values after the change; on updates, only the fields that changed
+     *           example: { "distance_to_factory_km": 45 }
+     *         request_id:
+     *           type: string
+     *           nullable: true
+     *           description: ID of the request that made the change, as returned in the `X-Request-Id` header
+     *           example: "3f1c1f5e-4b7a-4a53-9a57-8f0f3c8d2b11"
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /api/audit:
+     *   get:
+     *     summary: Retrieve the audit log of create, update and delete operations
+     *     tags: [Audit]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: entity
+     *         schema:
+     *           type: string
+     *           enum: [farmer, farm, milk_production, lab_result, payment, user]
+     *           example: "farm"
+     *         description: Only changes to this type of entity
+     *       - in: query
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         description: Only changes to the entity with this ID
+     *       - in: query
+     *         name: actor
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c80"
+     *         description: Only changes made by this user
+     *       - in: query
+     *         name: action
+     *         schema:
+     *           type: string
+     *           enum: [create, update, delete, restore, purge]
+     *         description: Only this kind of change
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-01-01T00:00:00Z"
+     *         description: Start of the period (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-01-31T23:59:59Z"
+     *         description: End of the period (inclusive)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 1000
+     *           default: 100
+     *         description: Maximum number of entries returned
+     *     responses:
+     *       200:
+     *         description: Audit log entries, most recent first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/AuditLogEntry'
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.AUDIT_READ),
+      this.validateRequest([
+        check("entity")
+          .optional()
+          .isIn(Object.values(AUDIT_ENTITY_TYPES))
+          .withMessage(
+            `Entity must be one of: ${Object.values(AUDIT_ENTITY_TYPES).join(", ")}`,
+          ),
+        check("id").optional().isMongoId().withMessage("ID must be a valid ID"),
+        check("actor")
+          .optional()
+          .isMongoId()
+          .withMessage("Actor must be a valid user ID"),
+        check("action")
+          .optional()
+          .isIn(Object.values(AUDIT_ACTIONS))
+          .withMessage(
+            `Action must be one of: ${Object.values(AUDIT_ACTIONS).join(", ")}`,
+          ),
+        check("from")
+          .optional()
+          .isISO8601()
+          .withMessage("From must be a valid date"),
+        check("to")
+          .optional()
+          .isISO8601()
+          .withMessage("To must be a valid date"),
+        check("limit")
+          .optional()
+          .isInt({ min: 1, max: 1000 })
+          .withMessage("Limit must be between 1 and 1000"),
+      ]),
+      (req, res, next) => auditController.getAuditLog(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const auditRoutes = new AuditRoutes().getRouter();
@@ -1,7 +1,9 @@
 import express from "express";
 import { authController } from "../controllers/auth.js";
-import { check } from "express-validator";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
+import { authMiddleware } from "../middlewares/auth.js";
 
 class AuthRoutes {
   constructor() {
@@ -9,6 +11,17 @@ class AuthRoutes {
     this.initializeRoutes();
   }
 
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
   initializeRoutes() {
     // Allowed fields for the register route
     const allowedFieldsForRegister = ["email", "password"];
@@ -67,19 +80,22 @@ class AuthRoutes {
      *                       example: 671f77672d0b2f1c584cc1bd
      *       400:
      *         description: Error Bad Request
+     *       409:
+     *         description: User already exists
      *       500:
      *         description: Internal server error
      */
     this.router.post(
       "/register",
-      [
-        check("email").isEmail().withMessage("Invalid email format"),
+      validateRegisterFields.validate(),
+      this.validateRequest([
+        check("email").isString().isEmail().withMessage("Invalid email format"),
         check("password")
+          .isString()
           .isLength({ min: 8 })
           .withMessage("Password must be at least 8 characters"),
-        validateRegisterFields.validate(),
-      ],
-      (req, res) => authController.register(req, res),
+      ]),
+      (req, res, next) => authController.register(req, res, next),
     );
 
     /**
@@ -88,7 +104,7 @@ class AuthRoutes {
      *   post:
      *     summary: Authenticate a user
      *     tags: [Auth]
-     *     description: Log in a user using their email and password to receive a JWT token.
+     *     description: Log in a user using their email and password to receive a short-lived JWT token and a refresh token.
      *     requestBody:
      *       required: true
      *       content:
@@ -120,18 +136,238 @@ class AuthRoutes {
      *                 token:
      *                   type: string
      *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+     *                 refreshToken:
+     *                   type: string
+     *                   example: 3q2-7wY0bXlGk1Qy8mQ0V2m9s4r0Jt1nB6aZ...
      *       400:
+     *         description: Error Bad Request
+     *       401:
      *         description: Invalid credentials
+     *       403:
+     *         description: Email address not verified (only when REQUIRE_EMAIL_VERIFICATION is enabled)
+     *       429:
+     *         description: Too many failed login attempts for this email or IP address. The `Retry-After` header gives the seconds to wait.
+     *         headers:
+     *           Retry-After:
+     *             schema:
+     *               type: integer
+     *               example: 60
      *       500:
      *         description: Internal server error
      */
     this.router.post(
       "/login",
-      [
-        check("email").isEmail().withMessage("Invalid email format"),
-        check("password").notEmpty().withMessage("Password is required"),
-      ],
-      (req, res) => authController.login(req, res),
+      this.validateRequest([
+        check("email").isString().isEmail().withMessage("Invalid email format"),
+        check("password")
+          .isString()
+          .notEmpty()
+          .withMessage("Password is required"),
+      ]),
+      (req, res, next) => authController.login(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/auth/forgot-password:
+     *   post:
+     *     summary: Request a password reset
+     *     tags: [Auth]
+     *     description: Emails a single-use password reset token to the account's address. The response is the same whether or not an account exists for the email.
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - email
+     *             properties:
+     *               email:
+     *                 type: string
+     *                 format: email
+     *                 example: user@example.com
+     *     responses:
+     *       200:
+     *         description: Request accepted
+     *       400:
+     *         description: Error Bad Request
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/forgot-password",
+      this.validateRequest([
+        check("email").isString().isEmail().withMessage("Invalid email format"),
+      ]),
+      (req, res, next) => authController.forgotPassword(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/auth/reset-password:
+     *   post:
+     *     summary: Reset a password
+     *     tags: [Auth]
+     *     description: Sets a new password with a token received from forgot-password. The token can be used once and expires after PASSWORD_RESET_TOKEN_TTL_MINUTES. Resetting the password also verifies the email address and ends all of the user's sessions.
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - token
+     *               - password
+     *             properties:
+     *               token:
+     *                 type: string
+     *                 example: 7Jc0q2mZkP4vXw9yB1nR6tL3sD8fH5gA0eU...
+     *               password:
+     *                 type: string
+     *                 format: password
+     *                 description: The new password, minimum length 8 characters
+     *                 example: newpassword123
+     *     responses:
+     *       200:
+     *         description: Password reset successfully
+     *       400:
+     *         description: Invalid, expired or already used token, or validation failed
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/reset-password",
+      this.validateRequest([
+        check("token").isString().notEmpty().withMessage("Token is required"),
+        check("password")
+          .isString()
+          .isLength({ min: 8 })
+          .withMessage("Password must be at least 8 characters"),
+      ]),
+      (req, res, next) => authController.resetPassword(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/auth/verify-email:
+     *   get:
+     *     summary: Verify an email address
+     *     tags: [Auth]
+     *     description: Target of the link emailed on registration. The token can be used once and expires after EMAIL_VERIFICATION_TOKEN_TTL_HOURS.
+     *     parameters:
+     *       - in: query
+     *         name: token
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: The verification token from the emailed link
+     *     responses:
+     *       200:
+     *         description: Email verified successfully
+     *       400:
+     *         description: Invalid, expired or already used token
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/verify-email",
+      this.validateRequest([
+        check("token").isString().notEmpty().withMessage("Token is required"),
+      ]),
+      (req, res, next) => authController.verifyEmail(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/auth/refresh:
+     *   post:
+     *     summary: Refresh an access token
+     *     tags: [Auth]
+     *     description: Exchanges a refresh token for a new JWT token and a new refresh token. Each refresh token can be used once; reusing one revokes every refresh token issued from the same login.
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - refreshToken
+     *             properties:
+     *               refreshToken:
+     *                 type: string
+     *                 example: 3q2-7wY0bXlGk1Qy8mQ0V2m9s4r0Jt1nB6aZ...
+     *     responses:
+     *       200:
+     *         description: Tokens refreshed successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 token:
+     *                   type: string
+     *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+     *                 refreshToken:
+     *                   type: string
+     *                   example: Vb9kq0pZ2eX4mT7yR1sW8uN3cL6hD5fJ0gA...
+     *       400:
+     *         description: Error Bad Request
+     *       401:
+     *         description: Invalid, expired or reused refresh token
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/refresh",
+      this.validateRequest([
+        check("refreshToken")
+          .isString()
+          .notEmpty()
+          .withMessage("Refresh token is required"),
+      ]),
+      (req, res, next) => authController.refresh(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/auth/logout:
+     *   post:
+     *     summary: Log out
+     *     tags: [Auth]
+     *     security:
+     *       - bearerAuth: []
+     *     description: Revokes the current JWT token and, when provided, the refresh token of the session.
+     *     requestBody:
+     *       required: false
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               refreshToken:
+     *                 type: string
+     *                 example: Vb9kq0pZ2eX4mT7yR1sW8uN3cL6hD5fJ0gA...
+     *     responses:
+     *       200:
+     *         description: Logged out successfully
+     *       400:
+     *         description: Error Bad Request
+     *       401:
+     *         description: Unauthorized
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/logout",
+      authMiddleware.verifyToken(),
+      this.validateRequest([
+        check("refreshToken")
+          .optional()
+          .isString()
+          .withMessage("Refresh token must be a string"),
+      ]),
+      (req, res, next) => authController.logout(req, res, next),
     );
   }
 
@@ -0,0 +1,179 @@
+import express from "express";
+import { exchangeRateController } from "../controllers/exchangeRate.js";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+class ExchangeRateRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  initializeRoutes() {
+    /**
+     * @swagger
+     * /api/exchange-rates:
+     *   get:
+     *     summary: Retrieve stored exchange rates
+     *     tags: [ExchangeRates]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: base
+     *         schema:
+     *           type: string
+     *           example: "BRL"
+     *         description: Base currency code
+     *       - in: query
+     *         name: quote
+     *         schema:
+     *           type: string
+     *           example: "USD"
+     *         description: Quote currency code
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2024-01-01"
+     *         description: Start date (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2024-12-31"
+     *         description: End date (inclusive)
+     *     responses:
+     *       200:
+     *         description: A list of exchange rates, most recent first
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.EXCHANGE_RATES_READ),
+      this.validateRequest([
+        check("base")
+          .optional()
+          .isISO4217()
+          .withMessage("Base must be a valid currency code"),
+        check("quote")
+          .optional()
+          .isISO4217()
+          .withMessage("Quote must be a valid currency code"),
+        check("from")
+          .optional()
+          .isISO8601()
+          .withMessage("From must be a valid date"),
+        check("to")
+          .optional()
+          .isISO8601()
+          .withMessage("To must be a valid date"),
+      ]),
+      (req, res, next) =>
+        exchangeRateController.getExchangeRates(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/exchange-rates:
+     *   post:
+     *     summary: Load exchange rates
+     *     description: Stores one rate per currency pair per date. Loading a rate for a pair and date that already exists replaces it.
+     *     tags: [ExchangeRates]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               rates:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   properties:
+     *                     base_currency:
+     *                       type: string
+     *                       example: "BRL"
+     *                     quote_currency:
+     *                       type: string
+     *                       example: "USD"
+     *                     date:
+     *                       type: string
+     *                       format: date
+     *                       example: "2024-05-31"
+     *                     rate:
+     *                       type: number
+     *                       example: 0.1923
+     *                     source:
+     *                       type: string
+     *                       example: "Central Bank PTAX"
+     *     responses:
+     *       201:
+     *         description: Exchange rates successfully loaded
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.EXCHANGE_RATES_WRITE),
+      this.validateRequest([
+        check("rates")
+          .isArray({ min: 1 })
+          .withMessage("Rates must be a non-empty array"),
+        check("rates.*.base_currency")
+          .isISO4217()
+          .withMessage("Base currency must be a valid currency code"),
+        check("rates.*.quote_currency")
+          .isISO4217()
+          .withMessage("Quote currency must be a valid currency code"),
+        check("rates.*.date")
+          .isISO8601()
+          .withMessage("Date must be a valid date"),
+        check("rates.*.rate")
+          .isFloat({ gt: 0 })
+          .withMessage("Rate must be a positive number"),
+      ]),
+      (req, res, next) =>
+        exchangeRateController.loadExchangeRates(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const exchangeRateRoutes = new ExchangeRateRoutes().getRouter();
@@ -1,7 +1,11 @@
 import express from "express";
 import { farmController } from "../controllers/farm.js";
 import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
+import { FARM_EDITABLE_FIELDS } from "../services/farm.js";
 
 class FarmRoutes {
   constructor() {
@@ -14,7 +18,7 @@ class FarmRoutes {
       await Promise.all(validations.map((validation) => validation.run(req)));
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError("Validation failed", errors.array()));
       }
       next();
     };
@@ -42,13 +46,18 @@ class FarmRoutes {
      *         description: Farm data
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Farm not found
      *       500:
      *         description: Internal server error
      */
-    this.router.get("/:id", authMiddleware.verifyToken(), (req, res) =>
-      farmController.getFarmById(req, res),
+    this.router.get(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMS_READ),
+      (req, res, next) => farmController.getFarmById(req, res, next),
     );
 
     /**
@@ -74,6 +83,10 @@ class FarmRoutes {
      *                 type: string
      *                 example: "Green Valley Farm"
      *                 description: The name of the farm
+     *               code:
+     *                 type: string
+     *                 example: "GVF-001"
+     *                 description: Optional unique code of the farm, used to identify it in bulk imports
      *               location:
      *                 type: object
      *                 properties:
@@ -94,17 +107,30 @@ class FarmRoutes {
      *         description: Farm successfully created
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
      *         description: Bad request, validation failed
+     *       404:
+     *         description: Farmer not found or deleted
+     *       409:
+     *         description: Another farm already has this code
      *       500:
      *         description: Internal server error
      */
     this.router.post(
       "/",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMS_WRITE),
       this.validateRequest([
         check("farmer_id").notEmpty().withMessage("Farmer ID cannot be empty"),
         check("name").notEmpty().withMessage("Farm name cannot be empty"),
+        check("code")
+          .optional()
+          .isString()
+          .trim()
+          .notEmpty()
+          .withMessage("Farm code cannot be empty"),
         check("location.lat")
           .isFloat()
           .withMessage("Latitude must be a number"),
@@ -115,7 +141,7 @@ class FarmRoutes {
           .isFloat()
           .withMessage("Distance to factory must be a number"),
       ]),
-      (req, res) => farmController.createFarm(req, res),
+      (req, res, next) => farmController.createFarm(req, res, next),
     );
 
     /**
@@ -145,6 +171,10 @@ class FarmRoutes {
      *                 type: string
      *                 example: "Blue Hills Farm"
      *                 description: The name of the farm
+     *               code:
+     *                 type: string
+     *                 example: "BHF-002"
+     *                 description: Unique code of the farm, used to identify it in bulk imports
      *               location:
      *                 type: object
      *                 properties:
@@ -165,21 +195,33 @@ class FarmRoutes {
      *         description: Farm successfully updated
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
-     *         description: Bad request, validation failed
+     *         description: Bad request, validation failed or fields other than the editable ones sent
      *       404:
      *         description: Farm not found
+     *       409:
+     *         description: Another farm already has this code
      *       500:
      *         description: Internal server error
      */
     this.router.patch(
       "/:id",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMS_WRITE),
+      new ValidateNoExtraFieldsMiddleware(FARM_EDITABLE_FIELDS).validate(),
       this.validateRequest([
         check("name")
           .optional()
           .notEmpty()
           .withMessage("Farm name cannot be empty"),
+        check("code")
+          .optional()
+          .isString()
+          .trim()
+          .notEmpty()
+          .withMessage("Farm code cannot be empty"),
         check("location.lat")
           .optional()
           .isFloat()
@@ -193,7 +235,7 @@ class FarmRoutes {
           .isFloat()
           .withMessage("Distance to factory must be a number"),
       ]),
-      (req, res) => farmController.updateFarm(req, res),
+      (req, res, next) => farmController.updateFarm(req, res, next),
     );
 
     /**
@@ -201,6 +243,7 @@ class FarmRoutes {
      * /api/farms/{id}:
      *   delete:
      *     summary: Delete a farm by ID
+     *     description: Soft-deletes the farm together with its milk production. They stay out of every listing and calculation, and can be brought back with `POST /api/farms/{id}/restore`. The farm's payments stay readable.
      *     tags: [Farms]
      *     security:
      *       - bearerAuth: []
@@ -217,13 +260,98 @@ class FarmRoutes {
      *         description: Farm successfully deleted
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Farm not found
      *       500:
      *         description: Internal server error
      */
-    this.router.delete("/:id", authMiddleware.verifyToken(), (req, res) =>
-      farmController.deleteFarm(req, res),
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMS_WRITE),
+      (req, res, next) => farmController.deleteFarm(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farms/{id}/restore:
+     *   post:
+     *     summary: Restore a deleted farm
+     *     description: Restores a deleted farm with the milk production deleted along with it. A farm deleted with its farmer is restored by restoring the farmer.
+     *     tags: [Farms]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *     responses:
+     *       200:
+     *         description: Farm restored successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found
+     *       409:
+     *         description: The farm is not deleted, or its farmer is deleted
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/restore",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMS_WRITE),
+      (req, res, next) => farmController.restoreFarm(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farms/{id}/purge:
+     *   delete:
+     *     summary: Permanently remove a deleted farm
+     *     description: Permanently removes a deleted farm with all its milk production. Farms with payments cannot be purged. Admin only.
+     *     tags: [Farms]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *     responses:
+     *       200:
+     *         description: Farm purged successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found
+     *       409:
+     *         description: The farm is not deleted, or has payments
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:id/purge",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.RECORDS_PURGE),
+      (req, res, next) => farmController.purgeFarm(req, res, next),
     );
   }
 
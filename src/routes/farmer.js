@@ -1,7 +1,11 @@
 import express from "express";
 import { farmerController } from "../controllers/farmer.js";
 import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
+import { FARMER_EDITABLE_FIELDS } from "../services/farmer.js";
 
 class FarmerRoutes {
   constructor() {
@@ -14,7 +18,7 @@ class FarmerRoutes {
       await Promise.all(validations.map((validation) => validation.run(req)));
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError("Validation failed", errors.array()));
       }
       next();
     };
@@ -58,13 +62,18 @@ class FarmerRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
      *         description: Internal server error
      */
-    this.router.get("/", authMiddleware.verifyToken(), (req, res) =>
-      farmerController.getAllFarmers(req, res),
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_READ),
+      (req, res, next) => farmerController.getAllFarmers(req, res, next),
     );
 
     /**
@@ -90,13 +99,18 @@ class FarmerRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
      *         description: Internal server error
      */
-    this.router.get("/:id", authMiddleware.verifyToken(), (req, res) =>
-      farmerController.getFarmer(req, res),
+    this.router.get(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_READ),
+      (req, res, next) => farmerController.getFarmer(req, res, next),
     );
 
     /**
@@ -130,6 +144,8 @@ class FarmerRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
@@ -138,12 +154,13 @@ class FarmerRoutes {
     this.router.post(
       "/",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_WRITE),
       this.validateRequest([
         check("name").notEmpty().withMessage("Name cannot be empty"),
         check("email").isEmail().withMessage("Valid email is required"),
         check("phone").notEmpty().withMessage("Phone number cannot be empty"),
       ]),
-      (req, res) => farmerController.createFarmer(req, res),
+      (req, res, next) => farmerController.createFarmer(req, res, next),
     );
 
     /**
@@ -185,6 +202,8 @@ class FarmerRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
@@ -193,6 +212,8 @@ class FarmerRoutes {
     this.router.patch(
       "/:id",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_WRITE),
+      new ValidateNoExtraFieldsMiddleware(FARMER_EDITABLE_FIELDS).validate(),
       this.validateRequest([
         check("name").optional().notEmpty().withMessage("Name cannot be empty"),
         check("email")
@@ -204,7 +225,7 @@ class FarmerRoutes {
           .notEmpty()
           .withMessage("Phone number cannot be empty"),
       ]),
-      (req, res) => farmerController.updateFarmer(req, res),
+      (req, res, next) => farmerController.updateFarmer(req, res, next),
     );
 
     /**
@@ -212,6 +233,7 @@ class FarmerRoutes {
      * /api/farmers/{id}:
      *   delete:
      *     summary: Delete a farmer by ID
+     *     description: Soft-deletes the farmer together with their farms and milk production. They stay out of every listing and calculation, and can be brought back with `POST /api/farmers/{id}/restore`. Payments of their farms stay readable.
      *     tags: [Farmers]
      *     security:
      *       - bearerAuth: []
@@ -230,13 +252,98 @@ class FarmerRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
      *         description: Internal server error
      */
-    this.router.delete("/:id", authMiddleware.verifyToken(), (req, res) =>
-      farmerController.deleteFarmerCascade(req, res),
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_WRITE),
+      (req, res, next) => farmerController.deleteFarmerCascade(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farmers/{id}/restore:
+     *   post:
+     *     summary: Restore a deleted farmer
+     *     description: Restores a deleted farmer with the farms and milk production deleted along with them. Records deleted separately before stay deleted.
+     *     tags: [Farmers]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farmer ID
+     *     responses:
+     *       200:
+     *         description: Farmer restored successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farmer not found
+     *       409:
+     *         description: The farmer is not deleted
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/restore",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.FARMERS_WRITE),
+      (req, res, next) => farmerController.restoreFarmer(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farmers/{id}/purge:
+     *   delete:
+     *     summary: Permanently remove a deleted farmer
+     *     description: Permanently removes a deleted farmer with all their farms and milk production. Farmers whose farms have payments cannot be purged. Admin only.
+     *     tags: [Farmers]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farmer ID
+     *     responses:
+     *       200:
+     *         description: Farmer purged successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farmer not found
+     *       409:
+     *         description: The farmer is not deleted, or their farms have payments
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:id/purge",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.RECORDS_PURGE),
+      (req, res, next) => farmerController.purgeFarmer(req, res, next),
     );
   }
 
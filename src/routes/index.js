@@ -3,9 +3,15 @@ import { authRoutes } from "./auth.js";
 import { userRoutes } from "./user.js";
 import { farmerRoutes } from "./farmer.js";
 import { farmRoutes } from "./farm.js";
+import { labResultRoutes } from "./labResult.js";
 import { milkProductionRoutes } from "./milkProduction.js";
 import { swaggerRoutes } from "./swagger.js";
 import { paymentRoutes } from "./payment.js";
+import { pricingRuleRoutes } from "./pricingRule.js";
+import { exchangeRateRoutes } from "./exchangeRate.js";
+import { apiKeyRoutes } from "./apiKey.js";
+import { loginEventRoutes } from "./loginEvent.js";
+import { auditRoutes } from "./audit.js";
 
 /**
  * Class responsible for configuring and managing the main router for the application.
@@ -28,9 +34,15 @@ class MainRouter {
     this.router.use("/auth", authRoutes);
     this.router.use("/users", userRoutes);
     this.router.use("/farmers", farmerRoutes);
+    this.router.use("/farms/:farmId/lab-results", labResultRoutes);
     this.router.use("/farms", farmRoutes);
     this.router.use("/milk-productions", milkProductionRoutes);
     this.router.use("/payments", paymentRoutes);
+    this.router.use("/pricing-rules", pricingRuleRoutes);
+    this.router.use("/exchange-rates", exchangeRateRoutes);
+    this.router.use("/api-keys", apiKeyRoutes);
+    this.router.use("/login-events", loginEventRoutes);
+    this.router.use("/audit", auditRoutes);
   }
 
   /**
@@ -0,0 +1,383 @@
+import express from "express";
+import { labResultController } from "../controllers/labResult.js";
+import { body, check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { QUALITY_PARAMETERS } from "../services/labResult.js";
+
+class LabResultRoutes {
+  constructor() {
+    // Mounted under a farm, whose ID comes from the parent path
+    this.router = express.Router({ mergeParams: true });
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  periodValidations() {
+    return [
+      check("farmId").isMongoId().withMessage("Farm ID must be a valid ID"),
+      check("year").isInt({ min: 1900 }).withMessage("Invalid year"),
+      check("month")
+        .isInt({ min: 1, max: 12 })
+        .withMessage("Month must be between 1 and 12"),
+    ];
+  }
+
+  initializeRoutes() {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     LabResult:
+     *       type: object
+     *       description: The laboratory analysis of a farm's milk for a month. Measures the lab did not report are null.
+     *       properties:
+     *         _id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c9a"
+     *         farm_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         year:
+     *           type: integer
+     *           example: 2024
+     *         month:
+     *           type: integer
+     *           example: 5
+     *         fat_percent:
+     *           type: number
+     *           nullable: true
+     *           example: 3.8
+     *         protein_percent:
+     *           type: number
+     *           nullable: true
+     *           example: 3.2
+     *         scc_cells_per_ml:
+     *           type: integer
+     *           nullable: true
+     *           description: Somatic cell count
+     *           example: 350000
+     *         tbc_cfu_per_ml:
+     *           type: integer
+     *           nullable: true
+     *           description: Total bacterial count
+     *           example: 45000
+     *         laboratory:
+     *           type: string
+     *           nullable: true
+     *           example: "Clínica do Leite"
+     *         sampled_at:
+     *           type: string
+     *           format: date-time
+     *           nullable: true
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *         updatedAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /api/farms/{farmId}/lab-results:
+     *   get:
+     *     summary: List the lab results of a farm
+     *     tags: [LabResults]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *       - in: query
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           example: 2024
+     *         description: Only the results of this year
+     *     responses:
+     *       200:
+     *         description: The farm's lab results, most recent period first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/LabResult'
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.LAB_RESULTS_READ),
+      this.validateRequest([
+        check("farmId").isMongoId().withMessage("Farm ID must be a valid ID"),
+        check("year")
+          .optional()
+          .isInt({ min: 1900 })
+          .withMessage("Invalid year"),
+      ]),
+      (req, res, next) => labResultController.getLabResults(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farms/{farmId}/lab-results/{year}/{month}:
+     *   get:
+     *     summary: Get the lab results of a farm for a month
+     *     tags: [LabResults]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *       - in: path
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           example: 2024
+     *         required: true
+     *       - in: path
+     *         name: month
+     *         schema:
+     *           type: integer
+     *           example: 5
+     *         required: true
+     *         description: The month (1-12)
+     *     responses:
+     *       200:
+     *         description: The lab results
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/LabResult'
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found, or no lab results for the month
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/:year/:month",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.LAB_RESULTS_READ),
+      this.validateRequest(this.periodValidations()),
+      (req, res, next) => labResultController.getLabResult(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farms/{farmId}/lab-results/{year}/{month}:
+     *   put:
+     *     summary: Set the lab results of a farm for a month
+     *     description: Creates or replaces the month's lab results; measures left out are stored as not measured. The quality bands of the pricing rule apply them to the month's payment, whose draft is flagged as stale.
+     *     tags: [LabResults]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *       - in: path
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           example: 2024
+     *         required: true
+     *       - in: path
+     *         name: month
+     *         schema:
+     *           type: integer
+     *           example: 5
+     *         required: true
+     *         description: The month (1-12)
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             description: At least one measure is required
+     *             properties:
+     *               fat_percent:
+     *                 type: number
+     *                 example: 3.8
+     *               protein_percent:
+     *                 type: number
+     *                 example: 3.2
+     *               scc_cells_per_ml:
+     *                 type: integer
+     *                 example: 350000
+     *               tbc_cfu_per_ml:
+     *                 type: integer
+     *                 example: 45000
+     *               laboratory:
+     *                 type: string
+     *                 example: "Clínica do Leite"
+     *               sampled_at:
+     *                 type: string
+     *                 format: date-time
+     *                 example: "2024-05-20T09:00:00Z"
+     *     responses:
+     *       200:
+     *         description: Lab results replaced
+     *       201:
+     *         description: Lab results created
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found or deleted
+     *       409:
+     *         description: The month already has an approved or paid payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.put(
+      "/:year/:month",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.LAB_RESULTS_WRITE),
+      this.validateRequest([
+        ...this.periodValidations(),
+        body()
+          .custom((labResult) =>
+            Object.values(QUALITY_PARAMETERS).some(
+              (parameter) => labResult[parameter] !== undefined,
+            ),
+          )
+          .withMessage(
+            `At least one measure is required: ${Object.values(QUALITY_PARAMETERS).join(", ")}`,
+          ),
+        check("fat_percent")
+          .optional()
+          .isFloat({ min: 0, max: 100 })
+          .withMessage("Fat must be a percentage"),
+        check("protein_percent")
+          .optional()
+          .isFloat({ min: 0, max: 100 })
+          .withMessage("Protein must be a percentage"),
+        check("scc_cells_per_ml")
+          .optional()
+          .isInt({ min: 0 })
+          .withMessage("Somatic cell count must be a non-negative integer"),
+        check("tbc_cfu_per_ml")
+          .optional()
+          .isInt({ min: 0 })
+          .withMessage("Total bacterial count must be a non-negative integer"),
+        check("laboratory")
+          .optional()
+          .isString()
+          .trim()
+          .notEmpty()
+          .withMessage("Laboratory cannot be empty"),
+        check("sampled_at")
+          .optional()
+          .isISO8601()
+          .withMessage("Sampled at must be a valid date"),
+      ]),
+      (req, res, next) => labResultController.setLabResult(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/farms/{farmId}/lab-results/{year}/{month}:
+     *   delete:
+     *     summary: Delete the lab results of a farm for a month
+     *     description: The month's payment no longer gets quality adjustments; its draft is flagged as stale.
+     *     tags: [LabResults]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *       - in: path
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           example: 2024
+     *         required: true
+     *       - in: path
+     *         name: month
+     *         schema:
+     *           type: integer
+     *           example: 5
+     *         required: true
+     *         description: The month (1-12)
+     *     responses:
+     *       200:
+     *         description: Lab results deleted
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: No lab results for the month
+     *       409:
+     *         description: The month already has an approved or paid payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:year/:month",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.LAB_RESULTS_WRITE),
+      this.validateRequest(this.periodValidations()),
+      (req, res, next) => labResultController.deleteLabResult(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const labResultRoutes = new LabResultRoutes().getRouter();
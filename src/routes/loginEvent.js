@@ -0,0 +1,165 @@
+import express from "express";
+import { loginEventController } from "../controllers/loginEvent.js";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+class LoginEventRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  initializeRoutes() {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     LoginEvent:
+     *       type: object
+     *       properties:
+     *         _id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c99"
+     *         email:
+     *           type: string
+     *           example: "user@example.com"
+     *         user_id:
+     *           type: string
+     *           nullable: true
+     *           description: The user the email belongs to, null if no user has it
+     *           example: "60d21b4667d0d8992e610c80"
+     *         ip:
+     *           type: string
+     *           example: "203.0.113.7"
+     *         user_agent:
+     *           type: string
+     *           example: "Mozilla/5.0"
+     *         success:
+     *           type: boolean
+     *           example: false
+     *         reason:
+     *           type: string
+     *           nullable: true
+     *           enum: [invalid_credentials, locked, email_not_verified]
+     *           example: "invalid_credentials"
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     */
+
+    /**
+     * @swagger
+     * /api/login-events:
+     *   get:
+     *     summary: Retrieve login attempts
+     *     tags: [LoginEvents]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: email
+     *         schema:
+     *           type: string
+     *           example: "user@example.com"
+     *         description: Only attempts with this email
+     *       - in: query
+     *         name: ip
+     *         schema:
+     *           type: string
+     *           example: "203.0.113.7"
+     *         description: Only attempts from this IP address
+     *       - in: query
+     *         name: success
+     *         schema:
+     *           type: boolean
+     *         description: Only successful (true) or failed (false) attempts
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-01-01T00:00:00Z"
+     *         description: Start of the period (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-01-31T23:59:59Z"
+     *         description: End of the period (inclusive)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 1000
+     *           default: 100
+     *         description: Maximum number of events returned
+     *     responses:
+     *       200:
+     *         description: Login events, most recent first
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/LoginEvent'
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.LOGIN_EVENTS_READ),
+      this.validateRequest([
+        check("email")
+          .optional()
+          .isEmail()
+          .withMessage("Email must be a valid email"),
+        check("ip").optional().isIP().withMessage("IP must be a valid address"),
+        check("success")
+          .optional()
+          .isBoolean({ strict: true })
+          .withMessage("Success must be true or false"),
+        check("from")
+          .optional()
+          .isISO8601()
+          .withMessage("From must be a valid date"),
+        check("to")
+          .optional()
+          .isISO8601()
+          .withMessage("To must be a valid date"),
+        check("limit")
+          .optional()
+          .isInt({ min: 1, max: 1000 })
+          .withMessage("Limit must be between 1 and 1000"),
+      ]),
+      (req, res, next) => loginEventController.getLoginEvents(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const loginEventRoutes = new LoginEventRoutes().getRouter();
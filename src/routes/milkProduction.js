@@ -1,7 +1,21 @@
 import express from "express";
 import { milkProductionController } from "../controllers/milkProduction.js";
 import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { authMiddleware } from "../middlewares/auth.js";
+import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { parseCsv } from "../utils/csv.js";
+import {
+  ANALYTICS_GRANULARITIES,
+  MILKING_SHIFTS,
+} from "../services/milkProduction.js";
+
+// Largest number of rows accepted by a bulk import
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || "10000");
+
+// Largest number of farms compared by a production analytics request
+const ANALYTICS_MAX_FARMS = 100;
 
 class MilkProductionRoutes {
   constructor() {
@@ -14,13 +28,443 @@ class MilkProductionRoutes {
       await Promise.all(validations.map((validation) => validation.run(req)));
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  // Rules for the values of a record, shared by the single-record route and the rows of a bulk import
+  productionValidations() {
+    return [
+      check("date").isISO8601().withMessage("Valid date is required"),
+      ...this.volumeValidations(),
+    ];
+  }
+
+  // Rules for the volume of a day, given directly or as the collections of its shifts
+  volumeValidations({ optional = false } = {}) {
+    return [
+      check("volume_liters")
+        .custom(
+          (value, { req }) =>
+            value === undefined || req.body.collections === undefined,
+        )
+        .withMessage(
+          "Send either the volume in liters or the collections, not both",
+        ),
+      // Required unless the collections are sent; an optional volume is checked when sent
+      check("volume_liters")
+        .if((value, { req }) =>
+          optional ? value !== undefined : req.body.collections === undefined,
+        )
+        .isFloat({ gt: 0 })
+        .withMessage("Volume in liters must be a positive number"),
+      check("collections")
+        .optional()
+        .isArray({ min: 1, max: Object.keys(MILKING_SHIFTS).length })
+        .withMessage("Collections must be a non-empty array, one per shift")
+        .bail()
+        .custom(
+          (collections) =>
+            new Set(collections.map((collection) => collection?.shift)).size ===
+            collections.length,
+        )
+        .withMessage("Each shift may be collected once a day"),
+      ...this.collectionValidations("collections.*."),
+    ];
+  }
+
+  // Rules for the collection of a shift, found at the given path prefix of the body
+  collectionValidations(prefix = "") {
+    return [
+      check(`${prefix}shift`)
+        .isIn(Object.values(MILKING_SHIFTS))
+        .withMessage(
+          `Shift must be one of: ${Object.values(MILKING_SHIFTS).join(", ")}`,
+        ),
+      check(`${prefix}time`)
+        .optional()
+        .isISO8601()
+        .withMessage("Time must be a valid date"),
+      check(`${prefix}volume_liters`)
+        .isFloat({ gt: 0 })
+        .withMessage("Volume in liters must be a positive number"),
+      check(`${prefix}collector_id`)
+        .optional()
+        .isMongoId()
+        .withMessage("Collector ID must be a valid ID"),
+      check(`${prefix}tank_temperature_c`)
+        .optional()
+        .isFloat({ min: -5, max: 40 })
+        .withMessage("Tank temperature must be between -5 and 40 °C"),
+    ];
+  }
+
+  // Rules for the farm and day of the routes addressing a farm's daily record
+  farmDayValidations() {
+    return [
+      check("farmId").isMongoId().withMessage("Farm ID must be a valid ID"),
+      check("date")
+        .isDate({ format: "YYYY-MM-DD", strictMode: true })
+        .withMessage("Date must be a valid day (YYYY-MM-DD)"),
+    ];
+  }
+
+  // Reads the rows of a bulk import, sent as a JSON array or as CSV, into req.importRows
+  parseImportRows() {
+    return (req, res, next) => {
+      let rows;
+      try {
+        rows = req.is("text/csv") ? parseCsv(req.body) : req.body;
+      } catch (error) {
+        return next(error);
+      }
+
+      if (!Array.isArray(rows) || rows.length === 0) {
+        return next(
+          new ValidationError(
+            "The body must be a non-empty JSON array of rows or a CSV file",
+          ),
+        );
       }
+      if (rows.length > IMPORT_MAX_ROWS) {
+        return next(
+          new ValidationError(
+            `An import may have at most ${IMPORT_MAX_ROWS} rows`,
+          ),
+        );
+      }
+
+      req.importRows = rows;
+      next();
+    };
+  }
+
+  // Runs the validations on every row of a bulk import, keeping the errors of each row
+  // in req.importRows instead of rejecting the whole request
+  validateRows(validations) {
+    return async (req, res, next) => {
+      const rows = [];
+      for (const [index, data] of req.importRows.entries()) {
+        const rowRequest = { body: data };
+        await Promise.all(
+          validations.map((validation) => validation.run(rowRequest)),
+        );
+        rows.push({
+          row: index + 1,
+          data: rowRequest.body,
+          errors: validationResult(rowRequest).array(),
+        });
+      }
+      req.importRows = rows;
       next();
     };
   }
 
   initializeRoutes() {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     MilkProductionCollection:
+     *       type: object
+     *       description: The milk collected from a farm in one shift
+     *       required: [shift, volume_liters]
+     *       properties:
+     *         shift:
+     *           type: string
+     *           enum: [morning, afternoon, evening]
+     *           example: "morning"
+     *         time:
+     *           type: string
+     *           format: date-time
+     *           example: "2023-05-15T06:30:00Z"
+     *         volume_liters:
+     *           type: number
+     *           example: 65.5
+     *         collector_id:
+     *           type: string
+     *           description: The user who collected the milk
+     *           example: "60d21b4667d0d8992e610c80"
+     *         tank_temperature_c:
+     *           type: number
+     *           description: Temperature of the farm's cooling tank at collection, in °C
+     *           example: 4.2
+     *     MilkProductionDuplicate:
+     *       type: object
+     *       description: A farm and day with more than one record
+     *       properties:
+     *         farm_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         day:
+     *           type: string
+     *           format: date
+     *           example: "2023-05-15"
+     *         count:
+     *           type: integer
+     *           example: 2
+     *         total_volume_liters:
+     *           type: number
+     *           example: 241
+     *         records:
+     *           type: array
+     *           description: The day's records, oldest first
+     *           items:
+     *             type: object
+     *             properties:
+     *               _id:
+     *                 type: string
+     *                 example: "671fb60052aeb10e9dbd1f01"
+     *               date:
+     *                 type: string
+     *                 format: date-time
+     *                 example: "2023-05-15T06:00:00.000Z"
+     *               volume_liters:
+     *                 type: number
+     *                 example: 120.5
+     *               createdAt:
+     *                 type: string
+     *                 format: date-time
+     */
+
+    /**
+     * @swagger
+     * /api/milk-productions/duplicates:
+     *   get:
+     *     summary: List farms and days with more than one milk production record
+     *     description: A farm has a single record per day (UTC). Records stored before this rule may break it; this report lists them so they can be merged or deleted.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: farm_id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         description: Only the records of this farm
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2023-01-01T00:00:00Z"
+     *         description: Start of the period (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date-time
+     *           example: "2023-12-31T23:59:59Z"
+     *         description: End of the period (inclusive)
+     *     responses:
+     *       200:
+     *         description: The duplicated farms and days, by farm and day
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/MilkProductionDuplicate'
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/duplicates",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      this.validateRequest([
+        check("farm_id")
+          .optional()
+          .isMongoId()
+          .withMessage("Farm ID must be a valid ID"),
+        check("from")
+          .optional()
+          .isISO8601()
+          .withMessage("From must be a valid date"),
+        check("to")
+          .optional()
+          .isISO8601()
+          .withMessage("To must be a valid date"),
+      ]),
+      (req, res, next) =>
+        milkProductionController.getDuplicateMilkProductions(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     ProductionAnalyticsBucket:
+     *       type: object
+     *       description: Statistics of a farm's daily volumes over a period. Periods without deliveries have a zero total and null statistics.
+     *       properties:
+     *         start:
+     *           type: string
+     *           format: date-time
+     *           description: Start of the period, or of the range if the period began earlier
+     *           example: "2024-05-01T00:00:00.000Z"
+     *         end:
+     *           type: string
+     *           format: date-time
+     *           description: End of the period, or of the range if the period ends later
+     *           example: "2024-05-31T23:59:59.999Z"
+     *         total:
+     *           type: number
+     *           example: 3720.5
+     *         mean:
+     *           type: number
+     *           nullable: true
+     *           description: Mean volume of the days with delivery
+     *           example: 124.02
+     *         median:
+     *           type: number
+     *           nullable: true
+     *           example: 123.5
+     *         min:
+     *           type: number
+     *           nullable: true
+     *           example: 98
+     *         max:
+     *           type: number
+     *           nullable: true
+     *           example: 150.25
+     *         std_dev:
+     *           type: number
+     *           nullable: true
+     *           description: Population standard deviation of the daily volumes
+     *           example: 11.37
+     *         days_with_delivery:
+     *           type: integer
+     *           example: 30
+     *         days_without_delivery:
+     *           type: integer
+     *           example: 1
+     *     ProductionAnalytics:
+     *       type: object
+     *       properties:
+     *         from:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-01-01T00:00:00.000Z"
+     *         to:
+     *           type: string
+     *           format: date-time
+     *           example: "2024-12-31T23:59:59.999Z"
+     *         granularity:
+     *           type: string
+     *           enum: [day, week, month, year]
+     *           example: "month"
+     *         farms:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               farm_id:
+     *                 type: string
+     *                 example: "60d21b4667d0d8992e610c85"
+     *               buckets:
+     *                 type: array
+     *                 items:
+     *                   $ref: '#/components/schemas/ProductionAnalyticsBucket'
+     */
+
+    /**
+     * @swagger
+     * /api/milk-productions/analytics:
+     *   get:
+     *     summary: Production statistics of farms over a date range
+     *     description: Groups each farm's daily volumes (UTC days) into days, weeks starting on Monday, months or years, and returns the total, mean, median, minimum, maximum and standard deviation of each period, with its days with and without delivery. Every period of the range is listed, including those without deliveries.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: farmIds
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85,60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: Comma-separated IDs of the farms
+     *       - in: query
+     *         name: from
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2024-01-01"
+     *         required: true
+     *         description: First day of the range (inclusive)
+     *       - in: query
+     *         name: to
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2024-12-31"
+     *         required: true
+     *         description: Last day of the range (inclusive)
+     *       - in: query
+     *         name: granularity
+     *         schema:
+     *           type: string
+     *           enum: [day, week, month, year]
+     *           default: month
+     *         description: Length of the periods
+     *     responses:
+     *       200:
+     *         description: The statistics of each farm, in the order requested, by period
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/ProductionAnalytics'
+     *       400:
+     *         description: Bad request, validation failed, or the range covers too many periods
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/analytics",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_READ),
+      this.validateRequest([
+        check("farmIds")
+          .isString()
+          .withMessage("Farm IDs are required")
+          .bail()
+          .custom((value) =>
+            value
+              .split(",")
+              .every((farmId) => /^[0-9a-f]{24}$/i.test(farmId.trim())),
+          )
+          .withMessage("Farm IDs must be a comma-separated list of valid IDs")
+          .custom((value) => value.split(",").length <= ANALYTICS_MAX_FARMS)
+          .withMessage(`At most ${ANALYTICS_MAX_FARMS} farms are allowed`),
+        check("from").isISO8601().withMessage("From must be a valid date"),
+        check("to").isISO8601().withMessage("To must be a valid date"),
+        check("granularity")
+          .optional()
+          .isIn(Object.values(ANALYTICS_GRANULARITIES))
+          .withMessage(
+            `Granularity must be one of: ${Object.values(ANALYTICS_GRANULARITIES).join(", ")}`,
+          ),
+      ]),
+      (req, res, next) =>
+        milkProductionController.getProductionAnalytics(req, res, next),
+    );
+
     /**
      * @swagger
      * /api/milk-productions/{id}:
@@ -69,24 +513,34 @@ class MilkProductionRoutes {
      *                         example: "671fb60052aeb10e9dbd1f01"
      *                       volume_liters:
      *                         type: number
+     *                         description: The day's total, the sum of its collections when there are any
      *                         example: 120.5
      *                       date:
      *                         type: string
      *                         format: date-time
      *                         example: "2023-05-10T14:30:00.000Z"
+     *                       collections:
+     *                         type: array
+     *                         description: The collections of each shift, morning first, when the day was recorded by shift
+     *                         items:
+     *                           $ref: '#/components/schemas/MilkProductionCollection'
      *                 averageLiters:
      *                   type: string
+     *                   description: Average volume per day with production
      *                   example: "120.50"
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
-     *         description: Farm not found
+     *         description: Farm not found, or no milk production in the period
      *       500:
      *         description: Internal server error
      */
     this.router.get(
       "/:id",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_READ),
       this.validateRequest([
         check("id").notEmpty().withMessage("Farm ID cannot be empty"),
         check("year").isInt({ min: 1900 }).withMessage("Invalid year"),
@@ -94,8 +548,12 @@ class MilkProductionRoutes {
           .isInt({ min: 1, max: 12 })
           .withMessage("Month must be between 1 and 12"),
       ]),
-      (req, res) =>
-        milkProductionController.getMilkProductionByYearAndMonth(req, res),
+      (req, res, next) =>
+        milkProductionController.getMilkProductionByYearAndMonth(
+          req,
+          res,
+          next,
+        ),
     );
 
     /**
@@ -103,9 +561,11 @@ class MilkProductionRoutes {
      * /api/milk-productions:
      *   post:
      *     summary: Create a new milk production record
+     *     description: A farm has a single record per day (UTC). To set a day's volume whether or not it has a record, use `PUT /api/milk-productions/by-farm/{farmId}/{date}`.
      *     tags: [MilkProductions]
      *     security:
      *       - bearerAuth: []
+     *       - apiKeyAuth: []
      *     requestBody:
      *       required: true
      *       content:
@@ -129,36 +589,346 @@ class MilkProductionRoutes {
      *               volume_liters:
      *                 type: number
      *                 example: 120.5
-     *                 description: The volume of milk produced in liters
+     *                 description: The volume of milk produced in liters. Required unless the collections are sent.
+     *               collections:
+     *                 type: array
+     *                 description: The collections of each shift, instead of the volume, which is their sum
+     *                 items:
+     *                   $ref: '#/components/schemas/MilkProductionCollection'
      *     responses:
      *       201:
      *         description: Milk production record created successfully
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
-     *         description: Bad request, validation failed
+     *         description: Bad request, validation failed or the farm does not belong to the farmer
+     *       404:
+     *         description: Farm not found or deleted
+     *       409:
+     *         description: The farm already has a record that day, or the month already has an approved or paid payment
      *       500:
      *         description: Internal server error
      */
     this.router.post(
       "/",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
       this.validateRequest([
         check("farmer_id").notEmpty().withMessage("Farmer ID cannot be empty"),
         check("farm_id").notEmpty().withMessage("Farm ID cannot be empty"),
-        check("date").isISO8601().withMessage("Valid date is required"),
-        check("volume_liters")
-          .isFloat({ gt: 0 })
-          .withMessage("Volume in liters must be a positive number"),
+        ...this.productionValidations(),
+      ]),
+      (req, res, next) =>
+        milkProductionController.createMilkProduction(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     MilkProductionImportRow:
+     *       type: object
+     *       description: One delivery. The farm is given by `farm_id` or `farm_code`; `farmer_id` is optional and, if given, must own the farm.
+     *       properties:
+     *         farm_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         farm_code:
+     *           type: string
+     *           example: "GVF-001"
+     *         farmer_id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c80"
+     *         date:
+     *           type: string
+     *           format: date-time
+     *           example: "2023-05-15T06:00:00Z"
+     *         volume_liters:
+     *           type: number
+     *           example: 120.5
+     *         collections:
+     *           type: array
+     *           description: The collections of each shift, instead of the volume (JSON imports only)
+     *           items:
+     *             $ref: '#/components/schemas/MilkProductionCollection'
+     *     MilkProductionImportReport:
+     *       type: object
+     *       properties:
+     *         dry_run:
+     *           type: boolean
+     *           example: false
+     *         total:
+     *           type: integer
+     *           example: 3
+     *         accepted:
+     *           type: integer
+     *           example: 1
+     *         rejected:
+     *           type: integer
+     *           example: 1
+     *         duplicates:
+     *           type: integer
+     *           example: 1
+     *         rows:
+     *           type: array
+     *           items:
+     *             type: object
+     *             properties:
+     *               row:
+     *                 type: integer
+     *                 description: Position of the row in the import, starting at 1 (CSV header and blank lines excluded)
+     *                 example: 2
+     *               status:
+     *                 type: string
+     *                 enum: [accepted, rejected, duplicate]
+     *                 example: "rejected"
+     *               id:
+     *                 type: string
+     *                 description: ID of the created record, for accepted rows outside a dry run
+     *               reason:
+     *                 type: string
+     *                 example: "Farm not found"
+     *               errors:
+     *                 type: array
+     *                 description: Invalid fields, when the row failed validation
+     *                 items:
+     *                   type: object
+     */
+
+    /**
+     * @swagger
+     * /api/milk-productions/import:
+     *   post:
+     *     summary: Import milk production records in bulk
+     *     description: >
+     *       Takes a JSON array of rows or a CSV file (`Content-Type: text/csv`) whose header names the
+     *       columns `farm_id`, `farm_code`, `farmer_id`, `date` and `volume_liters`. Each row is validated
+     *       with the rules of `POST /api/milk-productions` and reported on its own: rows failing validation,
+     *       for an unknown farm or in a month with an approved or paid payment are rejected, and rows for a
+     *       farm and day that already has a record, stored or earlier in the import, are duplicates. The
+     *       accepted rows are inserted in batches, unless `dry_run` is set.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: dry_run
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Report the outcome of every row without saving anything
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: array
+     *             items:
+     *               $ref: '#/components/schemas/MilkProductionImportRow'
+     *         text/csv:
+     *           schema:
+     *             type: string
+     *             example: "farm_code,date,volume_liters\nGVF-001,2023-05-15,120.5\nGVF-001,2023-05-16,118"
+     *     responses:
+     *       200:
+     *         description: The import report
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/MilkProductionImportReport'
+     *       400:
+     *         description: The body is not a non-empty array of rows or valid CSV, or has too many rows
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       413:
+     *         description: The body exceeds the size limit of imports
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/import",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      this.validateRequest([
+        check("dry_run")
+          .optional()
+          .isBoolean({ strict: true })
+          .withMessage("Dry run must be true or false"),
+      ]),
+      this.parseImportRows(),
+      this.validateRows([
+        check("farm_id")
+          .custom((value, { req }) => Boolean(value || req.body.farm_code))
+          .withMessage("Farm ID or farm code is required"),
+        check("farm_id")
+          .optional()
+          .isMongoId()
+          .withMessage("Farm ID must be a valid ID"),
+        check("farm_code")
+          .optional()
+          .isString()
+          .withMessage("Farm code must be a string"),
+        check("farmer_id")
+          .optional()
+          .isMongoId()
+          .withMessage("Farmer ID must be a valid ID"),
+        ...this.productionValidations(),
+      ]),
+      (req, res, next) =>
+        milkProductionController.importMilkProductions(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/milk-productions/by-farm/{farmId}/{date}:
+     *   put:
+     *     summary: Set the milk production of a farm on a day
+     *     description: Updates the volume of the farm's record for the day, or creates the record if there is none, so retrying a request never duplicates it. Draft payments of the day's month are flagged as stale.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *       - apiKeyAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The farm ID
+     *       - in: path
+     *         name: date
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2023-05-15"
+     *         required: true
+     *         description: The day (UTC), as YYYY-MM-DD
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               volume_liters:
+     *                 type: number
+     *                 example: 120.5
+     *                 description: The volume of milk produced in liters. Required unless the collections are sent.
+     *               collections:
+     *                 type: array
+     *                 description: The collections of each shift, instead of the volume, which is their sum
+     *                 items:
+     *                   $ref: '#/components/schemas/MilkProductionCollection'
+     *     responses:
+     *       200:
+     *         description: The day's record was updated
+     *       201:
+     *         description: The day's record was created
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found or deleted
+     *       409:
+     *         description: The farm has several records that day, the volume of a day recorded by shift was sent without its collections, or the month already has an approved or paid payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.put(
+      "/by-farm/:farmId/:date",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      this.validateRequest([
+        ...this.farmDayValidations(),
+        ...this.volumeValidations(),
       ]),
-      (req, res) => milkProductionController.createMilkProduction(req, res),
+      (req, res, next) =>
+        milkProductionController.upsertMilkProductionDay(req, res, next),
     );
 
+    /**
+     * @swagger
+     * /api/milk-productions/by-farm/{farmId}/{date}/collections:
+     *   post:
+     *     summary: Add the collection of a shift to a farm's day
+     *     description: Adds the collection to the farm's record for the day, creating the record if there is none, and its volume to the day's total. Each shift is collected once a day. Draft payments of the day's month are flagged as stale.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *       - apiKeyAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: farmId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The farm ID
+     *       - in: path
+     *         name: date
+     *         schema:
+     *           type: string
+     *           format: date
+     *           example: "2023-05-15"
+     *         required: true
+     *         description: The day (UTC), as YYYY-MM-DD
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MilkProductionCollection'
+     *     responses:
+     *       200:
+     *         description: The collection was added to the day's record
+     *       201:
+     *         description: The day's record was created with the collection
+     *       400:
+     *         description: Bad request, validation failed
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Farm not found or deleted
+     *       409:
+     *         description: The shift is already recorded, the day's volume was recorded without collections, the farm has several records that day, or the month already has an approved or paid payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/by-farm/:farmId/:date/collections",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      this.validateRequest([
+        ...this.farmDayValidations(),
+        ...this.collectionValidations(),
+      ]),
+      (req, res, next) =>
+        milkProductionController.addMilkProductionCollection(req, res, next),
+    );
+
+    // The farm, farmer and deletion of a record change only through their own operations
+    const validateUpdateFields = new ValidateNoExtraFieldsMiddleware([
+      "date",
+      "volume_liters",
+      "collections",
+    ]);
+
     /**
      * @swagger
      * /api/milk-productions/{id}:
      *   patch:
      *     summary: Update a milk production record by ID
+     *     description: Only the date, the volume and the collections can be changed; other fields are rejected.
      *     tags: [MilkProductions]
      *     security:
      *       - bearerAuth: []
@@ -185,33 +955,42 @@ class MilkProductionRoutes {
      *               volume_liters:
      *                 type: number
      *                 example: 135.0
-     *                 description: The volume of milk produced in liters
+     *                 description: The volume of milk produced in liters, for records without collections
+     *               collections:
+     *                 type: array
+     *                 description: New collections of each shift, replacing the record's and its volume
+     *                 items:
+     *                   $ref: '#/components/schemas/MilkProductionCollection'
      *     responses:
      *       200:
      *         description: Milk production record updated successfully
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
-     *         description: Bad request, validation failed
+     *         description: Bad request, validation failed or fields other than date, volume and collections sent
      *       404:
      *         description: Milk production record not found
+     *       409:
+     *         description: The farm already has a record on the new day, the volume of a record with collections was sent without them, or the month already has an approved or paid payment
      *       500:
      *         description: Internal server error
      */
     this.router.patch(
       "/:id",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      validateUpdateFields.validate(),
       this.validateRequest([
         check("date")
           .optional()
           .isISO8601()
           .withMessage("Valid date is required"),
-        check("volume_liters")
-          .optional()
-          .isFloat({ gt: 0 })
-          .withMessage("Volume in liters must be a positive number"),
+        ...this.volumeValidations({ optional: true }),
       ]),
-      (req, res) => milkProductionController.updateMilkProduction(req, res),
+      (req, res, next) =>
+        milkProductionController.updateMilkProduction(req, res, next),
     );
 
     /**
@@ -219,6 +998,7 @@ class MilkProductionRoutes {
      * /api/milk-productions/{id}:
      *   delete:
      *     summary: Delete a milk production record by ID
+     *     description: Soft-deletes the record. It stays out of every listing and calculation, and can be brought back with `POST /api/milk-productions/{id}/restore`.
      *     tags: [MilkProductions]
      *     security:
      *       - bearerAuth: []
@@ -235,13 +1015,103 @@ class MilkProductionRoutes {
      *         description: Milk production record deleted successfully
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Milk production record not found
+     *       409:
+     *         description: The month already has an approved or paid payment
      *       500:
      *         description: Internal server error
      */
-    this.router.delete("/:id", authMiddleware.verifyToken(), (req, res) =>
-      milkProductionController.deleteMilkProduction(req, res),
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      (req, res, next) =>
+        milkProductionController.deleteMilkProduction(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/milk-productions/{id}/restore:
+     *   post:
+     *     summary: Restore a deleted milk production record
+     *     description: Restores a deleted milk production record. A record deleted with its farm is restored by restoring the farm. Draft payments of its month are flagged as stale.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The milk production record ID
+     *     responses:
+     *       200:
+     *         description: Milk production record restored successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Milk production record not found
+     *       409:
+     *         description: The record is not deleted, its farm is deleted or has another record that day, or the month already has an approved or paid payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/restore",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.MILK_PRODUCTIONS_WRITE),
+      (req, res, next) =>
+        milkProductionController.restoreMilkProduction(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/milk-productions/{id}/purge:
+     *   delete:
+     *     summary: Permanently remove a deleted milk production record
+     *     description: Permanently removes a deleted milk production record. Records of a month with a payment cannot be purged. Admin only.
+     *     tags: [MilkProductions]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The milk production record ID
+     *     responses:
+     *       200:
+     *         description: Milk production record purged successfully
+     *       400:
+     *         description: Invalid ID format
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Milk production record not found
+     *       409:
+     *         description: The record is not deleted, or its month has a payment
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:id/purge",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.RECORDS_PURGE),
+      (req, res, next) =>
+        milkProductionController.purgeMilkProduction(req, res, next),
     );
   }
 
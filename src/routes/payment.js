@@ -1,7 +1,10 @@
 import express from "express";
 import { paymentController } from "../controllers/payment.js";
-import { check, validationResult } from "express-validator";
+import { check, header, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
 
 class PaymentRoutes {
   constructor() {
@@ -14,13 +17,189 @@ class PaymentRoutes {
       await Promise.all(validations.map((validation) => validation.run(req)));
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return next(new ValidationError("Validation failed", errors.array()));
       }
       next();
     };
   }
 
+  presentationValidations() {
+    const supportedCurrencies = new Set(Intl.supportedValuesOf("currency"));
+    const toList = (value) =>
+      String(value)
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+    return [
+      check("currencies")
+        .optional()
+        .custom((value) =>
+          toList(value).every((currency) =>
+            supportedCurrencies.has(currency.toUpperCase()),
+          ),
+        )
+        .withMessage(
+          "Currencies must be a comma-separated list of ISO 4217 codes",
+        ),
+      check("locales")
+        .optional()
+        .custom((value) => {
+          const locales = toList(value);
+          try {
+            return (
+              Intl.NumberFormat.supportedLocalesOf(locales).length ===
+              locales.length
+            );
+          } catch {
+            return false;
+          }
+        })
+        .withMessage(
+          "Locales must be a comma-separated list of supported locales",
+        ),
+    ];
+  }
+
   initializeRoutes() {
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     PaymentBreakdown:
+     *       type: object
+     *       description: Line items of the price formula (volume × base price) − (cost per km × distance) + (bonus × liters), the quality adjustments of the month's lab results, plus manual adjustments
+     *       properties:
+     *         volume_liters:
+     *           type: number
+     *           example: 12000
+     *         base_price_per_liter:
+     *           type: number
+     *           example: 1.95
+     *         distance_km:
+     *           type: number
+     *           example: 60
+     *         cost_per_km:
+     *           type: number
+     *           example: 0.06
+     *         bonus_per_liter:
+     *           type: number
+     *           example: 0.01
+     *         gross_volume_value:
+     *           type: number
+     *           example: 23400
+     *         transport_deduction:
+     *           type: number
+     *           example: 3.6
+     *         production_bonus:
+     *           type: number
+     *           example: 120
+     *         quality_adjustments:
+     *           type: array
+     *           description: One line item per quality band of the pricing rule matched by the month's lab results
+     *           items:
+     *             type: object
+     *             properties:
+     *               parameter:
+     *                 type: string
+     *                 enum: [fat_percent, protein_percent, scc_cells_per_ml, tbc_cfu_per_ml]
+     *                 example: "fat_percent"
+     *               label:
+     *                 type: string
+     *                 nullable: true
+     *                 example: "Fat above 3.5%"
+     *               value:
+     *                 type: number
+     *                 description: The measured value
+     *                 example: 3.8
+     *               min:
+     *                 type: number
+     *                 nullable: true
+     *                 example: 3.5
+     *               max:
+     *                 type: number
+     *                 nullable: true
+     *                 example: null
+     *               adjustment_per_liter:
+     *                 type: number
+     *                 example: 0.02
+     *               amount:
+     *                 type: number
+     *                 description: Premium, or penalty if negative
+     *                 example: 240
+     *         quality_total:
+     *           type: number
+     *           example: 240
+     *           description: Sum of the quality premiums and penalties
+     *         subtotal:
+     *           type: number
+     *           example: 23756.4
+     *           description: Result of the price formula and quality adjustments, before manual adjustments
+     *         adjustments_total:
+     *           type: number
+     *           example: -500
+     *           description: Sum of credits minus deductions
+     *         net_total:
+     *           type: number
+     *           example: 23256.4
+     *         effective_price_per_liter:
+     *           type: number
+     *           example: 1.9797
+     *     PaymentAdjustment:
+     *       type: object
+     *       properties:
+     *         _id:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c95"
+     *         type:
+     *           type: string
+     *           enum: [deduction, credit]
+     *           example: "deduction"
+     *         amount:
+     *           type: number
+     *           example: 500
+     *         reason:
+     *           type: string
+     *           example: "Advance paid on the 15th"
+     *         createdBy:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c80"
+     *         createdAt:
+     *           type: string
+     *           format: date-time
+     *     PresentedPrice:
+     *       type: object
+     *       nullable: true
+     *       description: Price in one currency, or null when no exchange rate is loaded for the period
+     *       properties:
+     *         amount:
+     *           type: number
+     *           example: 1.9597
+     *         formatted:
+     *           type: object
+     *           additionalProperties:
+     *             type: string
+     *           example:
+     *             pt-BR: "R$ 1,96"
+     *             en-US: "R$1.96"
+     *     ExchangeRateUsed:
+     *       type: object
+     *       nullable: true
+     *       description: Rate used to convert from BRL, or null when no rate was loaded in the EXCHANGE_RATE_MAX_AGE_DAYS before the end of the period
+     *       properties:
+     *         pair:
+     *           type: string
+     *           example: "BRL/USD"
+     *         rate:
+     *           type: number
+     *           example: 0.1923
+     *         date:
+     *           type: string
+     *           format: date-time
+     *           description: Date of the rate, which may precede the end of the period
+     *           example: "2023-05-31T00:00:00.000Z"
+     */
+
     /**
      * @swagger
      * /api/payments/{id}/price-per-liter:
@@ -53,6 +232,20 @@ class PaymentRoutes {
      *           example: 5
      *         required: true
      *         description: The month of the payment (1-12)
+     *       - in: query
+     *         name: currencies
+     *         schema:
+     *           type: string
+     *           example: "BRL,USD,EUR"
+     *         required: false
+     *         description: Comma-separated ISO 4217 currency codes to present the price in (default BRL,USD)
+     *       - in: query
+     *         name: locales
+     *         schema:
+     *           type: string
+     *           example: "pt-BR,en-US,es-AR"
+     *         required: false
+     *         description: Comma-separated locales to format each price for (default pt-BR,en-US)
      *     responses:
      *       200:
      *         description: The price per liter data for the specified farm, year, and month
@@ -63,21 +256,38 @@ class PaymentRoutes {
      *               properties:
      *                 price_per_liter:
      *                   type: object
-     *                   properties:
-     *                     br:
-     *                       type: string
-     *                       example: "R$ 1.80"
-     *                     en:
-     *                       type: string
-     *                       example: "$0.35"
+     *                   description: Price per liter keyed by currency code
+     *                   additionalProperties:
+     *                     $ref: '#/components/schemas/PresentedPrice'
+     *                 exchange_rates:
+     *                   type: object
+     *                   description: Exchange rates used, keyed by currency code
+     *                   additionalProperties:
+     *                     $ref: '#/components/schemas/ExchangeRateUsed'
      *                 total_payment:
      *                   type: number
      *                   example: 1050.75
      *                 total_volume_liters:
      *                   type: number
      *                   example: 3000
+     *                 breakdown:
+     *                   $ref: '#/components/schemas/PaymentBreakdown'
+     *                 adjustments:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/PaymentAdjustment'
+     *                 status:
+     *                   type: string
+     *                   enum: [draft, approved, paid, cancelled]
+     *                   example: "draft"
+     *                 stale:
+     *                   type: boolean
+     *                   example: false
+     *                   description: True when milk production changed after the payment was calculated
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
      *         description: Bad request, validation failed
      *       404:
@@ -88,6 +298,7 @@ class PaymentRoutes {
     this.router.get(
       "/:id/price-per-liter",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_READ),
       this.validateRequest([
         check("id").notEmpty().withMessage("Farm ID cannot be empty"),
         check("year")
@@ -96,8 +307,10 @@ class PaymentRoutes {
         check("month")
           .isInt({ min: 1, max: 12 })
           .withMessage("Month must be between 1 and 12"),
+        ...this.presentationValidations(),
       ]),
-      (req, res) => paymentController.getPricePerLiterByFarmAndMonth(req, res),
+      (req, res, next) =>
+        paymentController.getPricePerLiterByFarmAndMonth(req, res, next),
     );
 
     /**
@@ -123,6 +336,20 @@ class PaymentRoutes {
      *           example: 2023
      *         required: true
      *         description: The year for which to fetch the payment data
+     *       - in: query
+     *         name: currencies
+     *         schema:
+     *           type: string
+     *           example: "BRL,USD,EUR"
+     *         required: false
+     *         description: Comma-separated ISO 4217 currency codes to present the price in (default BRL,USD)
+     *       - in: query
+     *         name: locales
+     *         schema:
+     *           type: string
+     *           example: "pt-BR,en-US,es-AR"
+     *         required: false
+     *         description: Comma-separated locales to format each price for (default pt-BR,en-US)
      *     responses:
      *       200:
      *         description: The price per liter data for each month of the specified year
@@ -138,21 +365,38 @@ class PaymentRoutes {
      *                     example: 5
      *                   price_per_liter:
      *                     type: object
-     *                     properties:
-     *                       br:
-     *                         type: string
-     *                         example: "R$ 1.85"
-     *                       en:
-     *                         type: string
-     *                         example: "$0.36"
+     *                     description: Price per liter keyed by currency code
+     *                     additionalProperties:
+     *                       $ref: '#/components/schemas/PresentedPrice'
+     *                   exchange_rates:
+     *                     type: object
+     *                     description: Exchange rates used, keyed by currency code
+     *                     additionalProperties:
+     *                       $ref: '#/components/schemas/ExchangeRateUsed'
      *                   total_payment:
      *                     type: number
      *                     example: 1100.50
      *                   total_volume_liters:
      *                     type: number
      *                     example: 3100
+     *                   breakdown:
+     *                     $ref: '#/components/schemas/PaymentBreakdown'
+     *                   adjustments:
+     *                     type: array
+     *                     items:
+     *                       $ref: '#/components/schemas/PaymentAdjustment'
+     *                   status:
+     *                     type: string
+     *                     enum: [draft, approved, paid, cancelled]
+     *                     example: "draft"
+     *                   stale:
+     *                     type: boolean
+     *                     example: false
+     *                     description: True when milk production changed after the payment was calculated
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
      *         description: Bad request, validation failed
      *       404:
@@ -163,23 +407,138 @@ class PaymentRoutes {
     this.router.get(
       "/:id/price-per-liter-year",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_READ),
       this.validateRequest([
         check("id").notEmpty().withMessage("Farm ID cannot be empty"),
         check("year")
           .isInt({ min: 1900 })
           .withMessage("Year must be a valid integer"),
+        ...this.presentationValidations(),
       ]),
-      (req, res) => paymentController.getPricePerLiterByFarmAndYear(req, res),
+      (req, res, next) =>
+        paymentController.getPricePerLiterByFarmAndYear(req, res, next),
     );
 
+    /**
+     * @swagger
+     * /api/payments/{id}/statement.pdf:
+     *   get:
+     *     summary: Download the monthly statement of a payment as PDF
+     *     description: Lists each daily delivery, the pricing rule applied, the transport deduction, the bonus, the adjustments and the net amount, formatted for pt-BR.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     responses:
+     *       200:
+     *         description: The statement
+     *         content:
+     *           application/pdf:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment not found
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/:id/statement.pdf",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_READ),
+      (req, res, next) => paymentController.getPaymentStatement(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/statement-year.pdf:
+     *   get:
+     *     summary: Download the yearly statement of a farm as PDF
+     *     description: Summarizes the year and includes the monthly statement of each payment, cancelled payments excluded.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c85"
+     *         required: true
+     *         description: The farm ID
+     *       - in: query
+     *         name: year
+     *         schema:
+     *           type: integer
+     *           example: 2024
+     *         required: true
+     *         description: Year for the statement
+     *     responses:
+     *       200:
+     *         description: The statement
+     *         content:
+     *           application/pdf:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed
+     *       404:
+     *         description: Farm not found, or no payments in the year
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/:id/statement-year.pdf",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_READ),
+      this.validateRequest([
+        check("year")
+          .isInt({ min: 1900 })
+          .withMessage("Year must be a valid integer"),
+      ]),
+      (req, res, next) => paymentController.getYearlyStatement(req, res, next),
+    );
+
+    // Amounts and adjustments are computed or added through their own endpoints
+    const validateCreateFields = new ValidateNoExtraFieldsMiddleware([
+      "farm_id",
+      "year",
+      "month",
+    ]);
+
     /**
      * @swagger
      * /api/payments:
      *   post:
      *     summary: Create a new payment
+     *     description: Computes the monthly volume and stores the payment breakdown produced by the pricing rule in force for the period. Creation is idempotent — if the farm already has a payment for the period, or the Idempotency-Key was already used, the existing payment is returned with 200.
      *     tags: [Payments]
      *     security:
      *       - bearerAuth: []
+     *     parameters:
+     *       - in: header
+     *         name: Idempotency-Key
+     *         schema:
+     *           type: string
+     *           example: "5f1c2a9e-7d1b-4c7e-9a51-8f0b6b0e2c11"
+     *         required: false
+     *         description: Client-generated key that makes retries of the same request return the original payment
      *     requestBody:
      *       required: true
      *       content:
@@ -197,31 +556,451 @@ class PaymentRoutes {
      *                 type: number
      *                 example: 5
      *     responses:
+     *       200:
+     *         description: A payment already exists for this farm and period, or for this Idempotency-Key, and is returned unchanged
      *       201:
      *         description: Payment successfully created
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
      *         description: Bad request, validation failed
+     *       404:
+     *         description: Farm not found, or no pricing rule in force for the period
      *       500:
      *         description: Internal server error
      */
     this.router.post(
       "/",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      validateCreateFields.validate(),
       this.validateRequest([
         check("farm_id").notEmpty().withMessage("Farm ID cannot be empty"),
-        check("year").isInt().withMessage("Year must be a number"),
-        check("month").isInt().withMessage("Month must be a number"),
+        check("year")
+          .isInt({ min: 1900 })
+          .withMessage("Year must be a valid integer"),
+        check("month")
+          .isInt({ min: 1, max: 12 })
+          .withMessage("Month must be between 1 and 12"),
+        header("Idempotency-Key")
+          .optional()
+          .isLength({ min: 1, max: 255 })
+          .withMessage("Idempotency-Key must be between 1 and 255 characters"),
+      ]),
+      (req, res, next) => paymentController.createPayment(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/close-month:
+     *   post:
+     *     summary: Close a month by creating the payments of every farm
+     *     description: Creates the payment of every farm with milk production in the given month. Farms that already have a payment for the month are skipped. The same operation runs automatically when the payment closing job is enabled.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               year:
+     *                 type: number
+     *                 example: 2023
+     *               month:
+     *                 type: number
+     *                 example: 5
+     *     responses:
+     *       200:
+     *         description: Per-farm summary of the closing
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 year:
+     *                   type: integer
+     *                   example: 2023
+     *                 month:
+     *                   type: integer
+     *                   example: 5
+     *                 created:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       farm_id:
+     *                         type: string
+     *                         example: "60d21b4667d0d8992e610c85"
+     *                       payment_id:
+     *                         type: string
+     *                         example: "60d21b4667d0d8992e610c86"
+     *                 skipped:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       farm_id:
+     *                         type: string
+     *                         example: "60d21b4667d0d8992e610c85"
+     *                       payment_id:
+     *                         type: string
+     *                         example: "60d21b4667d0d8992e610c86"
+     *                       reason:
+     *                         type: string
+     *                         example: "Payment already exists for this period"
+     *                 failed:
+     *                   type: array
+     *                   items:
+     *                     type: object
+     *                     properties:
+     *                       farm_id:
+     *                         type: string
+     *                         example: "60d21b4667d0d8992e610c85"
+     *                       error:
+     *                         type: string
+     *                         example: "No pricing rule in force for 5/2023"
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/close-month",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      this.validateRequest([
+        check("year")
+          .isInt({ min: 1900 })
+          .withMessage("Year must be a valid integer"),
+        check("month")
+          .isInt({ min: 1, max: 12 })
+          .withMessage("Month must be between 1 and 12"),
+      ]),
+      (req, res, next) => paymentController.closeMonth(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/recalculate:
+     *   post:
+     *     summary: Recalculate a payment from the current milk production
+     *     description: Payments are flagged as stale when milk production of their month is created, changed or deleted after closing. Recalculating replaces the amounts with the current ones and keeps the previous values in the payment's revision history.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     responses:
+     *       200:
+     *         description: The recalculated payment, including its revision history
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment not found
+     *       409:
+     *         description: Only draft payments can be recalculated
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/recalculate",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      (req, res, next) => paymentController.recalculatePayment(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/adjustments:
+     *   post:
+     *     summary: Add a manual adjustment to a draft payment
+     *     description: Adds a deduction (e.g. quality penalty, advance already paid) or a credit. Adjustments are kept as line items and included in the payment's net total.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [type, amount, reason]
+     *             properties:
+     *               type:
+     *                 type: string
+     *                 enum: [deduction, credit]
+     *                 example: "deduction"
+     *               amount:
+     *                 type: number
+     *                 example: 500
+     *                 description: Positive amount in BRL; the type defines its sign
+     *               reason:
+     *                 type: string
+     *                 example: "Advance paid on the 15th"
+     *     responses:
+     *       201:
+     *         description: The updated payment, including its adjustments and net total
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed
+     *       404:
+     *         description: Payment not found
+     *       409:
+     *         description: Only draft payments can be adjusted
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/adjustments",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      this.validateRequest([
+        check("type")
+          .isIn(["deduction", "credit"])
+          .withMessage("Type must be deduction or credit"),
+        check("amount")
+          .isFloat({ gt: 0 })
+          .withMessage("Amount must be a positive number"),
+        check("reason")
+          .isString()
+          .trim()
+          .notEmpty()
+          .withMessage("Reason is required"),
       ]),
-      (req, res) => paymentController.createPayment(req, res),
+      (req, res, next) => paymentController.addAdjustment(req, res, next),
     );
 
+    /**
+     * @swagger
+     * /api/payments/{id}/adjustments/{adjustmentId}:
+     *   delete:
+     *     summary: Remove a manual adjustment from a draft payment
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *       - in: path
+     *         name: adjustmentId
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c95"
+     *         required: true
+     *         description: The adjustment ID
+     *     responses:
+     *       200:
+     *         description: The updated payment, including its adjustments and net total
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment or adjustment not found
+     *       409:
+     *         description: Only draft payments can be adjusted
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:id/adjustments/:adjustmentId",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      (req, res, next) => paymentController.removeAdjustment(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/approve:
+     *   post:
+     *     summary: Approve a draft payment
+     *     description: Moves the payment from draft to approved. Its amounts can no longer change, and milk production of its month is locked. Stale payments must be recalculated first.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     responses:
+     *       200:
+     *         description: The updated payment, including its status history
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment not found
+     *       409:
+     *         description: Transition not allowed from the payment's current status
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/approve",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_APPROVE),
+      (req, res, next) => paymentController.approvePayment(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/pay:
+     *   post:
+     *     summary: Mark an approved payment as paid
+     *     description: Moves the payment from approved to paid.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     requestBody:
+     *       required: false
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reference:
+     *                 type: string
+     *                 example: "TED 000123456"
+     *                 description: Optional reference of the bank transfer or receipt
+     *     responses:
+     *       200:
+     *         description: The updated payment, including its status history
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment not found
+     *       409:
+     *         description: Transition not allowed from the payment's current status
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/pay",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_APPROVE),
+      this.validateRequest([
+        check("reference")
+          .optional()
+          .isString()
+          .notEmpty()
+          .withMessage("Reference must be a non-empty string"),
+      ]),
+      (req, res, next) => paymentController.markPaymentAsPaid(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/payments/{id}/cancel:
+     *   post:
+     *     summary: Cancel a payment
+     *     description: Cancels a draft or approved payment. Paid payments cannot be cancelled. A new payment can be created for the period afterwards.
+     *     tags: [Payments]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c86"
+     *         required: true
+     *         description: The payment ID
+     *     requestBody:
+     *       required: false
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               reason:
+     *                 type: string
+     *                 example: "Volume disputed by the farmer"
+     *                 description: Optional reason for the cancellation
+     *     responses:
+     *       200:
+     *         description: The updated payment, including its status history
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Payment not found
+     *       409:
+     *         description: Transition not allowed from the payment's current status
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/:id/cancel",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_APPROVE),
+      this.validateRequest([
+        check("reason")
+          .optional()
+          .isString()
+          .notEmpty()
+          .withMessage("Reason must be a non-empty string"),
+      ]),
+      (req, res, next) => paymentController.cancelPayment(req, res, next),
+    );
+
+    // Computed amounts change only through recalculation, never by direct edits
+    const validateUpdateFields = new ValidateNoExtraFieldsMiddleware(["notes"]);
+
     /**
      * @swagger
      * /api/payments/{id}:
      *   patch:
-     *     summary: Partially update a payment by ID
+     *     summary: Update the notes of a payment by ID
+     *     description: Only notes can be edited. Amounts are computed from milk production and change through recalculation or adjustments while the payment is a draft.
      *     tags: [Payments]
      *     security:
      *       - bearerAuth: []
@@ -240,26 +1019,16 @@ class PaymentRoutes {
      *           schema:
      *             type: object
      *             properties:
-     *               year:
-     *                 type: number
-     *                 example: 2023
-     *               month:
-     *                 type: number
-     *                 example: 5
-     *               price_per_liter:
-     *                 type: number
-     *                 example: 1.85
-     *               total_volume_liters:
-     *                 type: number
-     *                 example: 3500
-     *               total_payment:
-     *                 type: number
-     *                 example: 6475.50
+     *               notes:
+     *                 type: string
+     *                 example: "Paid together with the March advance"
      *     responses:
      *       200:
      *         description: Payment successfully updated
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       400:
      *         description: Bad request, validation failed
      *       404:
@@ -270,30 +1039,19 @@ class PaymentRoutes {
     this.router.patch(
       "/:id",
       authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      validateUpdateFields.validate(),
       this.validateRequest([
-        check("year").optional().isInt().withMessage("Year must be a number"),
-        check("month").optional().isInt().withMessage("Month must be a number"),
-        check("price_per_liter")
-          .optional()
-          .isFloat()
-          .withMessage("Price per liter must be a number"),
-        check("total_volume_liters")
-          .optional()
-          .isFloat()
-          .withMessage("Total volume must be a number"),
-        check("total_payment")
-          .optional()
-          .isFloat()
-          .withMessage("Total payment must be a number"),
+        check("notes").isString().withMessage("Notes must be a string"),
       ]),
-      (req, res) => paymentController.updatePayment(req, res),
+      (req, res, next) => paymentController.updatePayment(req, res, next),
     );
 
     /**
      * @swagger
      * /api/payments/{id}:
      *   delete:
-     *     summary: Delete a payment by ID
+     *     summary: Delete a draft payment by ID
      *     tags: [Payments]
      *     security:
      *       - bearerAuth: []
@@ -310,13 +1068,20 @@ class PaymentRoutes {
      *         description: Payment successfully deleted
      *       401:
      *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Payment not found
+     *       409:
+     *         description: Only draft payments can be deleted
      *       500:
      *         description: Internal server error
      */
-    this.router.delete("/:id", authMiddleware.verifyToken(), (req, res) =>
-      paymentController.deletePayment(req, res),
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PAYMENTS_WRITE),
+      (req, res, next) => paymentController.deletePayment(req, res, next),
     );
   }
 
@@ -0,0 +1,457 @@
+import express from "express";
+import { pricingRuleController } from "../controllers/pricingRule.js";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
+import { authMiddleware } from "../middlewares/auth.js";
+import { ValidateNoExtraFieldsMiddleware } from "../middlewares/validateExtraFields.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { QUALITY_PARAMETERS } from "../services/labResult.js";
+
+class PricingRuleRoutes {
+  constructor() {
+    this.router = express.Router();
+    this.initializeRoutes();
+  }
+
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
+  periodValidations() {
+    return [
+      check("periods.*.start_month")
+        .isInt({ min: 1, max: 12 })
+        .withMessage("Start month must be between 1 and 12"),
+      check("periods.*.end_month")
+        .isInt({ min: 1, max: 12 })
+        .withMessage("End month must be between 1 and 12"),
+      check("periods.*.base_price_per_liter")
+        .isFloat({ min: 0 })
+        .withMessage("Base price per liter must be a non-negative number"),
+      check("periods.*.distance_threshold_km")
+        .isFloat({ min: 0 })
+        .withMessage("Distance threshold must be a non-negative number"),
+      check("periods.*.cost_per_km_up_to_threshold")
+        .isFloat({ min: 0 })
+        .withMessage(
+          "Cost per km up to threshold must be a non-negative number",
+        ),
+      check("periods.*.cost_per_km_above_threshold")
+        .isFloat({ min: 0 })
+        .withMessage(
+          "Cost per km above threshold must be a non-negative number",
+        ),
+      check("periods.*.bonus_volume_threshold_liters")
+        .isFloat({ min: 0 })
+        .withMessage("Bonus volume threshold must be a non-negative number"),
+      check("periods.*.bonus_per_liter")
+        .isFloat({ min: 0 })
+        .withMessage("Bonus per liter must be a non-negative number"),
+    ];
+  }
+
+  qualityBandValidations() {
+    return [
+      check("quality_bands")
+        .optional()
+        .isArray()
+        .withMessage("Quality bands must be an array"),
+      check("quality_bands.*")
+        .custom(
+          (band) =>
+            (band?.min ?? null) !== null || (band?.max ?? null) !== null,
+        )
+        .withMessage("A quality band needs a min, a max or both"),
+      check("quality_bands.*.parameter")
+        .isIn(Object.values(QUALITY_PARAMETERS))
+        .withMessage(
+          `Parameter must be one of: ${Object.values(QUALITY_PARAMETERS).join(", ")}`,
+        ),
+      check("quality_bands.*.label")
+        .optional()
+        .isString()
+        .withMessage("Label must be a string"),
+      check("quality_bands.*.min")
+        .optional({ values: "null" })
+        .isFloat({ min: 0 })
+        .withMessage("Min must be a non-negative number"),
+      check("quality_bands.*.max")
+        .optional({ values: "null" })
+        .isFloat({ min: 0 })
+        .withMessage("Max must be a non-negative number"),
+      check("quality_bands.*.adjustment_per_liter")
+        .isFloat()
+        .withMessage("Adjustment per liter must be a number"),
+    ];
+  }
+
+  initializeRoutes() {
+    // The version and timestamps are assigned by the service
+    const validatePricingRuleFields = new ValidateNoExtraFieldsMiddleware([
+      "name",
+      "effective_from",
+      "effective_to",
+      "periods",
+      "quality_bands",
+    ]);
+
+    /**
+     * @swagger
+     * components:
+     *   schemas:
+     *     PricingPeriod:
+     *       type: object
+     *       properties:
+     *         start_month:
+     *           type: integer
+     *           example: 1
+     *         end_month:
+     *           type: integer
+     *           example: 6
+     *         base_price_per_liter:
+     *           type: number
+     *           example: 1.8
+     *         distance_threshold_km:
+     *           type: number
+     *           example: 50
+     *         cost_per_km_up_to_threshold:
+     *           type: number
+     *           example: 0.05
+     *         cost_per_km_above_threshold:
+     *           type: number
+     *           example: 0.06
+     *         bonus_volume_threshold_liters:
+     *           type: number
+     *           example: 10000
+     *         bonus_per_liter:
+     *           type: number
+     *           example: 0
+     *     QualityBand:
+     *       type: object
+     *       description: >
+     *         Adds `adjustment_per_liter` (negative for a penalty) to the price of every liter delivered in
+     *         a month whose lab results put the parameter at or above `min` and below `max`. Bands of the
+     *         same parameter must not overlap.
+     *       required: [parameter, adjustment_per_liter]
+     *       properties:
+     *         parameter:
+     *           type: string
+     *           enum: [fat_percent, protein_percent, scc_cells_per_ml, tbc_cfu_per_ml]
+     *           example: "scc_cells_per_ml"
+     *         label:
+     *           type: string
+     *           example: "SCC above 500,000 cells/mL"
+     *         min:
+     *           type: number
+     *           nullable: true
+     *           description: Lower bound (inclusive); leave empty for no lower bound
+     *           example: 500000
+     *         max:
+     *           type: number
+     *           nullable: true
+     *           description: Upper bound (exclusive); leave empty for no upper bound
+     *           example: null
+     *         adjustment_per_liter:
+     *           type: number
+     *           example: -0.03
+     */
+
+    /**
+     * @swagger
+     * /api/pricing-rules:
+     *   get:
+     *     summary: Retrieve all pricing rule versions
+     *     tags: [PricingRules]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: A list of pricing rules, most recent first
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PRICING_RULES_READ),
+      (req, res, next) =>
+        pricingRuleController.getAllPricingRules(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/pricing-rules/{id}:
+     *   get:
+     *     summary: Get a pricing rule by ID
+     *     tags: [PricingRules]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c90"
+     *         required: true
+     *         description: The pricing rule ID
+     *     responses:
+     *       200:
+     *         description: Pricing rule data
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Pricing rule not found
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.get(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PRICING_RULES_READ),
+      (req, res, next) => pricingRuleController.getPricingRule(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/pricing-rules:
+     *   post:
+     *     summary: Create a new pricing rule version
+     *     description: The periods must cover each month of the year exactly once, and the effective range must not overlap another rule. The optional quality bands adjust the price by the farm's lab results. The version number is assigned automatically.
+     *     tags: [PricingRules]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: "2024 price table"
+     *               effective_from:
+     *                 type: string
+     *                 format: date
+     *                 example: "2024-01-01"
+     *               effective_to:
+     *                 type: string
+     *                 format: date
+     *                 nullable: true
+     *                 example: null
+     *                 description: Leave empty for an open-ended rule
+     *               periods:
+     *                 type: array
+     *                 items:
+     *                   $ref: '#/components/schemas/PricingPeriod'
+     *                 example:
+     *                   - start_month: 1
+     *                     end_month: 6
+     *                     base_price_per_liter: 1.8
+     *                     distance_threshold_km: 50
+     *                     cost_per_km_up_to_threshold: 0.05
+     *                     cost_per_km_above_threshold: 0.06
+     *                     bonus_volume_threshold_liters: 10000
+     *                     bonus_per_liter: 0
+     *                   - start_month: 7
+     *                     end_month: 12
+     *                     base_price_per_liter: 1.95
+     *                     distance_threshold_km: 50
+     *                     cost_per_km_up_to_threshold: 0.05
+     *                     cost_per_km_above_threshold: 0.06
+     *                     bonus_volume_threshold_liters: 10000
+     *                     bonus_per_liter: 0.01
+     *               quality_bands:
+     *                 type: array
+     *                 items:
+     *                   $ref: '#/components/schemas/QualityBand'
+     *                 example:
+     *                   - parameter: fat_percent
+     *                     min: 3.5
+     *                     adjustment_per_liter: 0.02
+     *                   - parameter: scc_cells_per_ml
+     *                     min: 500000
+     *                     adjustment_per_liter: -0.03
+     *     responses:
+     *       201:
+     *         description: Pricing rule successfully created
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed or unknown fields sent
+     *       409:
+     *         description: Effective range overlaps another pricing rule
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.post(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PRICING_RULES_WRITE),
+      validatePricingRuleFields.validate(),
+      this.validateRequest([
+        check("name").optional().notEmpty().withMessage("Name cannot be empty"),
+        check("effective_from")
+          .isISO8601()
+          .withMessage("Effective from must be a valid date"),
+        check("effective_to")
+          .optional({ values: "null" })
+          .isISO8601()
+          .withMessage("Effective to must be a valid date"),
+        check("periods")
+          .isArray({ min: 1 })
+          .withMessage("Periods must be a non-empty array"),
+        ...this.periodValidations(),
+        ...this.qualityBandValidations(),
+      ]),
+      (req, res, next) =>
+        pricingRuleController.createPricingRule(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/pricing-rules/{id}:
+     *   patch:
+     *     summary: Partially update a pricing rule by ID
+     *     description: A rule already used by a payment only accepts a new name and the end of its effective range, which must still cover those payments; new prices go into a new version.
+     *     tags: [PricingRules]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c90"
+     *         required: true
+     *         description: The pricing rule ID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               name:
+     *                 type: string
+     *                 example: "2024 price table"
+     *               effective_from:
+     *                 type: string
+     *                 format: date
+     *                 example: "2024-01-01"
+     *               effective_to:
+     *                 type: string
+     *                 format: date
+     *                 nullable: true
+     *                 example: "2024-12-31"
+     *               periods:
+     *                 type: array
+     *                 items:
+     *                   $ref: '#/components/schemas/PricingPeriod'
+     *               quality_bands:
+     *                 type: array
+     *                 items:
+     *                   $ref: '#/components/schemas/QualityBand'
+     *     responses:
+     *       200:
+     *         description: Pricing rule successfully updated
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       400:
+     *         description: Bad request, validation failed or unknown fields sent
+     *       404:
+     *         description: Pricing rule not found
+     *       409:
+     *         description: Effective range overlaps another pricing rule, or the rule is used by payments and the change would alter them
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.patch(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PRICING_RULES_WRITE),
+      validatePricingRuleFields.validate(),
+      this.validateRequest([
+        check("name").optional().notEmpty().withMessage("Name cannot be empty"),
+        check("effective_from")
+          .optional()
+          .isISO8601()
+          .withMessage("Effective from must be a valid date"),
+        check("effective_to")
+          .optional({ values: "null" })
+          .isISO8601()
+          .withMessage("Effective to must be a valid date"),
+        check("periods")
+          .optional()
+          .isArray({ min: 1 })
+          .withMessage("Periods must be a non-empty array"),
+        ...this.periodValidations(),
+        ...this.qualityBandValidations(),
+      ]),
+      (req, res, next) =>
+        pricingRuleController.updatePricingRule(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/pricing-rules/{id}:
+     *   delete:
+     *     summary: Delete a pricing rule by ID
+     *     description: Rules already used by a payment cannot be deleted; close their effective range instead.
+     *     tags: [PricingRules]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *           example: "60d21b4667d0d8992e610c90"
+     *         required: true
+     *         description: The pricing rule ID
+     *     responses:
+     *       200:
+     *         description: Pricing rule successfully deleted
+     *       401:
+     *         description: Unauthorized - Invalid or missing token
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Pricing rule not found
+     *       409:
+     *         description: Pricing rule is referenced by payments
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.PRICING_RULES_WRITE),
+      (req, res, next) =>
+        pricingRuleController.deletePricingRule(req, res, next),
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export const pricingRuleRoutes = new PricingRuleRoutes().getRouter();
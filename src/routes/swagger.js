@@ -38,6 +38,38 @@ class SwaggerConfig {
               scheme: "bearer",
               bearerFormat: "JWT",
             },
+            apiKeyAuth: {
+              type: "apiKey",
+              in: "header",
+              name: "X-API-Key",
+            },
+          },
+          schemas: {
+            // Body of every error response, following RFC 7807 (application/problem+json)
+            ProblemDetails: {
+              type: "object",
+              properties: {
+                type: { type: "string", example: "about:blank" },
+                title: { type: "string", example: "Not Found" },
+                status: { type: "integer", example: 404 },
+                detail: { type: "string", example: "Farm not found" },
+                instance: {
+                  type: "string",
+                  example: "/api/farms/60d21b4667d0d8992e610c85",
+                },
+                request_id: {
+                  type: "string",
+                  description:
+                    "ID of the request, also returned in the X-Request-Id header",
+                  example: "3f1c1f5e-4b7a-4a53-9a57-8f0f3c8d2b11",
+                },
+                errors: {
+                  type: "array",
+                  description: "Invalid fields, on validation errors",
+                  items: { type: "object" },
+                },
+              },
+            },
           },
         },
         security: [
@@ -66,10 +98,35 @@ class SwaggerConfig {
             name: "MilkProductions",
             description: "Operations related to milk productions", // Tag for milk-production-related endpoints
           },
+          {
+            name: "LabResults",
+            description: "Operations related to milk quality lab results", // Tag for lab-result-related endpoints
+          },
           {
             name: "Payments",
             description: "Operations related to payments", // Tag for payment-related endpoints
           },
+          {
+            name: "PricingRules",
+            description: "Operations related to versioned pricing rules", // Tag for pricing-rule-related endpoints
+          },
+          {
+            name: "ExchangeRates",
+            description: "Operations related to exchange rates", // Tag for exchange-rate-related endpoints
+          },
+          {
+            name: "ApiKeys",
+            description:
+              "Operations related to API keys for machine-to-machine clients", // Tag for API-key-related endpoints
+          },
+          {
+            name: "LoginEvents",
+            description: "Audit trail of login attempts", // Tag for login-event-related endpoints
+          },
+          {
+            name: "Audit",
+            description: "Audit trail of create, update and delete operations", // Tag for audit-log-related endpoints
+          },
         ],
       },
       apis: ["./src/routes/*.js"], // Path to the API routes for Swagger documentation generation
@@ -126,6 +183,17 @@ class SwaggerConfig {
       "<tr><td>Bonus for production above 10,000 L</td><td>-</td><td>$0.01</td></tr>" +
       "</tbody>" +
       "</table>" +
+      "<p>The table above is the reference price table. The values actually applied are managed as versioned pricing rules " +
+      "through <code>/api/pricing-rules</code>, and each payment records the rule version that produced it.</p>" +
+      "<p>A rule may also define quality bands that add or subtract an amount per liter according to the farm's monthly " +
+      "lab results (fat, protein, somatic cell count and total bacterial count), recorded at <code>/api/farms/{farmId}/lab-results</code>. " +
+      "Each band matched appears as a separate line item of the payment breakdown.</p>" +
+      "<h4>Errors</h4>" +
+      "<p>Errors are returned as <code>application/problem+json</code> (RFC 7807) documents, described by the " +
+      "<code>ProblemDetails</code> schema: <code>status</code>, a <code>title</code>, a human-readable <code>detail</code> " +
+      "and, for validation errors, the invalid fields in <code>errors</code>.</p>" +
+      "<p>Every response carries an <code>X-Request-Id</code> header, taken from the request when the client sends one. " +
+      "Error bodies repeat it in <code>request_id</code>, and the audit log at <code>/api/audit</code> records it with each change.</p>" +
       "<h4>Technologies Used:</h4>" +
       "<ul>" +
       "<li>JavaScript (ES6)</li>" +
@@ -146,7 +214,7 @@ class SwaggerConfig {
       "<h2>How to Test the API:</h2>" +
       "<ol>" +
       "<li><strong>Create a User</strong>: Create a user with an email and password that meet minimum security criteria.</li>" +
-      "<li><strong>Log in</strong>: Authenticate the user to obtain a JWT token, necessary to access protected API resources.</li>" +
+      "<li><strong>Log in</strong>: Authenticate the user to obtain a JWT token, necessary to access protected API resources, and a refresh token to renew it.</li>" +
       "<li><strong>Add a Farmer</strong>: Register a farmer by providing information such as name, email, and phone number.</li>" +
       "<li><strong>Add a Farm</strong>: Link the farm to the farmer and provide details such as location (latitude and longitude) and distance to the factory.</li>" +
       "<li><strong>Record Milk Production</strong>: Log the daily production in liters, specifying the date, farmer, and associated farm.</li>" +
@@ -157,7 +225,9 @@ class SwaggerConfig {
       "<li>The distance from the farm to the factory, applying a cost per kilometer traveled.</li>" +
       "<li>Bonus for production exceeding 10,000 liters in the second half of the year.</li>" +
       "</ul>" +
-      "Based on these factors, the system calculates the final amount paid to the farmer, displaying the price in both Brazilian and English numeric formats for easy understanding and international reporting." +
+      "Based on these factors, the system calculates the final amount paid to the farmer, displaying the price in both Brazilian and English numeric formats for easy understanding and international reporting. " +
+      "Other currencies and locales can be requested with the <code>currencies</code> and <code>locales</code> query parameters, " +
+      "and conversions use the exchange rate loaded for the payment's month through <code>/api/exchange-rates</code>." +
       "</li>" +
       "</ol>"
     );
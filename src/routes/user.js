@@ -1,6 +1,9 @@
 import express from "express";
+import { check, validationResult } from "express-validator";
+import { ValidationError } from "../utils/errors.js";
 import { userController } from "../controllers/user.js";
 import { authMiddleware } from "../middlewares/auth.js";
+import { PERMISSIONS, ROLES } from "../config/permissions.js";
 
 class UserRoutes {
   constructor() {
@@ -8,6 +11,17 @@ class UserRoutes {
     this.initializeRoutes();
   }
 
+  validateRequest(validations) {
+    return async (req, res, next) => {
+      await Promise.all(validations.map((validation) => validation.run(req)));
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return next(new ValidationError("Validation failed", errors.array()));
+      }
+      next();
+    };
+  }
+
   initializeRoutes() {
     /**
      * @swagger
@@ -31,17 +45,148 @@ class UserRoutes {
      *                   email:
      *                     type: string
      *                     example: user@example.com
+     *                   role:
+     *                     type: string
+     *                     enum: [admin, factory_operator, field_collector, farmer]
+     *                     example: farmer
+     *                   farmer_id:
+     *                     type: string
+     *                     example: 60d21b4667d0d8992e610c84
      *       400:
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
      *         description: Internal server error
      */
-    this.router.get("/", authMiddleware.verifyToken(), (req, res) =>
-      userController.getAllUsers(req, res),
+    this.router.get(
+      "/",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.USERS_READ),
+      (req, res, next) => userController.getAllUsers(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/users/{id}/role:
+     *   patch:
+     *     summary: Assign a role to a user
+     *     tags: [Users]
+     *     security:
+     *       - bearerAuth: []
+     *     description: Admin only. Changes the role of a user and revokes their sessions, so the new role applies from their next login. Admins cannot change their own role.
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *         required: true
+     *         description: The user ID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - role
+     *             properties:
+     *               role:
+     *                 type: string
+     *                 enum: [admin, factory_operator, field_collector, farmer]
+     *                 example: field_collector
+     *     responses:
+     *       200:
+     *         description: Role assigned successfully
+     *       400:
+     *         description: Error Bad Request
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: Not found
+     *       409:
+     *         description: Admins cannot change their own role
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.patch(
+      "/:id/role",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.USERS_MANAGE),
+      this.validateRequest([
+        check("role")
+          .isIn(Object.values(ROLES))
+          .withMessage(
+            `Role must be one of: ${Object.values(ROLES).join(", ")}`,
+          ),
+      ]),
+      (req, res, next) => userController.updateUserRole(req, res, next),
+    );
+
+    /**
+     * @swagger
+     * /api/users/{id}/farmer:
+     *   patch:
+     *     summary: Link a user to a farmer
+     *     tags: [Users]
+     *     security:
+     *       - bearerAuth: []
+     *     description: Admin only. Links a user account to a farmer record. Users with the farmer role can then read only that farmer's farms, milk production and payments. Send null to remove the link. The user's sessions are revoked so the change applies from their next login.
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         schema:
+     *           type: string
+     *         required: true
+     *         description: The user ID
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - farmer_id
+     *             properties:
+     *               farmer_id:
+     *                 type: string
+     *                 nullable: true
+     *                 example: 60d21b4667d0d8992e610c84
+     *     responses:
+     *       200:
+     *         description: User linked successfully
+     *       400:
+     *         description: Error Bad Request
+     *       401:
+     *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
+     *       404:
+     *         description: User or farmer not found
+     *       500:
+     *         description: Internal server error
+     */
+    this.router.patch(
+      "/:id/farmer",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.USERS_MANAGE),
+      this.validateRequest([
+        check("farmer_id")
+          .exists()
+          .withMessage("Farmer ID is required")
+          .bail()
+          // null removes the link
+          .if((value) => value !== null)
+          .isMongoId()
+          .withMessage("Farmer ID must be a valid ID"),
+      ]),
+      (req, res, next) => userController.linkUserToFarmer(req, res, next),
     );
 
     /**
@@ -52,7 +197,7 @@ class UserRoutes {
      *     tags: [Users]
      *     security:
      *       - bearerAuth: []
-     *     description: Deletes a user by their ID. Requires a valid JWT token.
+     *     description: Deletes a user by their ID and immediately revokes all of their sessions. Requires a valid JWT token.
      *     parameters:
      *       - in: path
      *         name: id
@@ -78,13 +223,18 @@ class UserRoutes {
      *         description: Error Bad Request
      *       401:
      *         description: Unauthorized
+     *       403:
+     *         description: Forbidden - Insufficient permissions
      *       404:
      *         description: Not found
      *       500:
      *         description: Internal server error
      */
-    this.router.delete("/:id", authMiddleware.verifyToken(), (req, res) =>
-      userController.deleteUser(req, res),
+    this.router.delete(
+      "/:id",
+      authMiddleware.verifyToken(),
+      authMiddleware.authorize(PERMISSIONS.USERS_MANAGE),
+      (req, res, next) => userController.deleteUser(req, res, next),
     );
   }
 
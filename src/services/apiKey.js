@@ -0,0 +1,146 @@
+import { createHash, randomBytes } from "crypto";
+import { ObjectId } from "mongodb";
+import { apiKeyRepository } from "../repositories/apiKey.js";
+import { hasPermissions } from "../config/permissions.js";
+import {
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+const KEY_PREFIX = "mpk";
+
+/**
+ * ApiKeyService Class
+ * Manages API keys used by machine-to-machine clients, such as the collection trucks'
+ * onboard devices. A key is shown only once, when created; only its SHA-256 hash is
+ * stored, together with a short prefix that identifies it in listings.
+ */
+class ApiKeyService {
+  /**
+   * Converts a string ID to ObjectId format, logging an error if the format is invalid.
+   * @param {string} id - ID to format.
+   * @returns {ObjectId} - Formatted ObjectId.
+   * @throws {ValidationError} - If the ID format is invalid.
+   */
+  _formatObjectId(id) {
+    try {
+      return ObjectId.createFromHexString(id);
+    } catch (error) {
+      logger.error(error);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Hashes an API key for storage and lookup.
+   * @param {string} apiKey - The plaintext API key.
+   * @returns {string} - SHA-256 hash of the key, hex encoded.
+   */
+  _hashKey(apiKey) {
+    return createHash("sha256").update(apiKey).digest("hex");
+  }
+
+  /**
+   * Creates an API key for a user. Keys can only be granted permissions the user's role has.
+   * @param {Object} user - The authenticated user (`userId` and `role` from the token).
+   * @param {Object} apiKeyData - `{ name, scopes }` of the new key.
+   * @returns {Promise<Object>} - The key's metadata and the plaintext `key`, which is not retrievable later.
+   * @throws {ForbiddenError} - If a scope is not granted by the user's role.
+   */
+  async createApiKey(user, { name, scopes }) {
+    logger.info(`Creating API key "${name}" for user ${user.userId}`);
+
+    if (!hasPermissions(user.role, scopes)) {
+      throw new ForbiddenError(
+        "API key scopes must be permissions granted by your role",
+      );
+    }
+
+    const prefix = randomBytes(4).toString("hex");
+    const key = `${KEY_PREFIX}_${prefix}_${randomBytes(32).toString("base64url")}`;
+
+    const apiKey = {
+      user_id: this._formatObjectId(user.userId),
+      name,
+      prefix,
+      key_hash: this._hashKey(key),
+      scopes: [...new Set(scopes)],
+    };
+
+    const { insertedId } = await apiKeyRepository.createApiKey(apiKey);
+
+    return {
+      _id: insertedId,
+      user_id: apiKey.user_id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      key,
+    };
+  }
+
+  /**
+   * Lists the API keys of a user, revoked ones included.
+   * @param {string} userId - ID of the user.
+   * @returns {Promise<Array>} - The keys' metadata, newest first.
+   */
+  async getApiKeys(userId) {
+    return await apiKeyRepository.getApiKeysByUserId(
+      this._formatObjectId(userId),
+    );
+  }
+
+  /**
+   * Revokes one of the user's API keys.
+   * @param {string} userId - ID of the user who owns the key.
+   * @param {string} apiKeyId - ID of the key to revoke.
+   * @returns {Promise<Object>} - The revoked key's metadata.
+   * @throws {NotFoundError} - If the user has no active key with this ID.
+   */
+  async revokeApiKey(userId, apiKeyId) {
+    logger.info(`Revoking API key ${apiKeyId} of user ${userId}`);
+    const apiKey = await apiKeyRepository.revokeApiKey(
+      this._formatObjectId(apiKeyId),
+      this._formatObjectId(userId),
+    );
+
+    if (!apiKey) {
+      throw new NotFoundError("API key not found");
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Revokes every API key of a user.
+   * @param {ObjectId} userId - ID of the user.
+   * @returns {Promise<void>}
+   */
+  async revokeUserApiKeys(userId) {
+    await apiKeyRepository.revokeApiKeysByUserId(userId);
+  }
+
+  /**
+   * Looks up an active API key and records that it was used.
+   * @param {string} key - The plaintext API key from the request.
+   * @returns {Promise<Object>} - The key's metadata.
+   * @throws {UnauthorizedError} - If the key is unknown or revoked.
+   */
+  async authenticate(key) {
+    const apiKey = await apiKeyRepository.getActiveApiKeyByHash(
+      this._hashKey(key),
+    );
+
+    if (!apiKey) {
+      throw new UnauthorizedError("Invalid API key");
+    }
+
+    await apiKeyRepository.touchApiKey(apiKey._id);
+    return apiKey;
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
@@ -0,0 +1,226 @@
+import { ObjectId } from "mongodb";
+import { auditLogRepository } from "../repositories/auditLog.js";
+import { ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+const AUDIT_ENTITY_TYPES = {
+  FARMER: "farmer",
+  FARM: "farm",
+  MILK_PRODUCTION: "milk_production",
+  LAB_RESULT: "lab_result",
+  PAYMENT: "payment",
+  USER: "user",
+};
+
+const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+};
+
+// Fields never copied into the audit log; a change to them is recorded without the values
+const REDACTED_FIELDS = ["password"];
+// Fields every write touches, which would only add noise to the diffs
+const IGNORED_FIELDS = ["updatedAt"];
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * AuditService Class
+ * Records who created, changed or deleted farmers, farms, milk production, lab results,
+ * payments and users, and when. Updates keep only the fields that changed, with their values before
+ * and after; creations and deletions keep the whole record.
+ */
+class AuditService {
+  /**
+   * Converts a string ID to ObjectId format, logging an error if the format is invalid.
+   * @param {string} id - ID to format.
+   * @returns {ObjectId} - Formatted ObjectId.
+   * @throws {ValidationError} - If the ID format is invalid.
+   */
+  _formatObjectId(id) {
+    try {
+      return ObjectId.createFromHexString(id);
+    } catch (error) {
+      logger.error(error);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Copies a record without its redacted and ignored fields.
+   * @param {Object|null} record - The record.
+   * @returns {Object|null} - The sanitized copy.
+   */
+  _sanitize(record) {
+    if (!record) {
+      return null;
+    }
+
+    const sanitized = {};
+    for (const [field, value] of Object.entries(record)) {
+      if (IGNORED_FIELDS.includes(field)) {
+        continue;
+      }
+      sanitized[field] = REDACTED_FIELDS.includes(field) ? "[redacted]" : value;
+    }
+    return sanitized;
+  }
+
+  /**
+   * Computes the fields that differ between two versions of a record.
+   * Values are compared by their JSON form, so ObjectIds and dates compare by value.
+   * @param {Object} before - The record before the change.
+   * @param {Object} after - The record after the change.
+   * @returns {Object} - `{ before, after }` with the changed fields only.
+   */
+  _diff(before, after) {
+    const diff = { before: {}, after: {} };
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+      if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+        diff.before[field] = before[field];
+        diff.after[field] = after[field];
+      }
+    }
+    return diff;
+  }
+
+  /**
+   * Builds an audit log entry.
+   * @param {Object|null} context - Request context; null for system changes.
+   * @param {string} action - One of AUDIT_ACTIONS.
+   * @param {string} entityType - One of AUDIT_ENTITY_TYPES.
+   * @param {ObjectId} entityId - ID of the changed record.
+   * @param {Object} changes - Sanitized `{ before, after }` values.
+   * @returns {Object} - The entry to store.
+   */
+  _buildEntry(context, action, entityType, entityId, changes) {
+    return {
+      actor_id: context?.actorId ? this._formatObjectId(context.actorId) : null,
+      api_key_id: context?.apiKeyId
+        ? this._formatObjectId(context.apiKeyId)
+        : null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      before: changes.before,
+      after: changes.after,
+      request_id: context?.requestId || null,
+    };
+  }
+
+  /**
+   * Records a change in the audit log. A failure to record is logged and never fails
+   * the change itself, which has already been made.
+   * @param {Object|null} context - Request context (see utils/requestContext.js); null for system changes.
+   * @param {string} action - One of AUDIT_ACTIONS.
+   * @param {string} entityType - One of AUDIT_ENTITY_TYPES.
+   * @param {ObjectId} entityId - ID of the changed record.
+   * @param {Object} [states] - `{ before, after }` versions of the record; before is null for creations, after for deletions.
+   * @returns {Promise<void>}
+   */
+  async record(context, action, entityType, entityId, { before, after } = {}) {
+    let changes = {
+      before: this._sanitize(before),
+      after: this._sanitize(after),
+    };
+
+    if (changes.before && changes.after) {
+      changes = this._diff(changes.before, changes.after);
+
+      if (Object.keys(changes.after).length === 0) {
+        return;
+      }
+    }
+
+    try {
+      await auditLogRepository.createAuditLogEntry(
+        this._buildEntry(context, action, entityType, entityId, changes),
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to record ${action} of ${entityType} ${entityId} in the audit log: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Records the creation of many records at once, e.g. by a bulk import. A failure to
+   * record is logged and never fails the import.
+   * @param {Object|null} context - Request context (see utils/requestContext.js); null for system changes.
+   * @param {string} entityType - One of AUDIT_ENTITY_TYPES.
+   * @param {Array<Object>} records - The created records, with their `_id`.
+   * @returns {Promise<void>}
+   */
+  async recordCreations(context, entityType, records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    try {
+      await auditLogRepository.createAuditLogEntries(
+        records.map((record) =>
+          this._buildEntry(
+            context,
+            AUDIT_ACTIONS.CREATE,
+            entityType,
+            record._id,
+            {
+              before: null,
+              after: this._sanitize(record),
+            },
+          ),
+        ),
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to record the creation of ${records.length} ${entityType} records in the audit log: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Lists audit log entries, most recent first.
+   * @param {Object} query - Optional `entity`, `id`, `actor`, `action`, `from`, `to` and `limit` filters.
+   * @returns {Promise<Array>} - The matching entries.
+   * @throws {ValidationError} - If an ID filter is not a valid ID.
+   */
+  async getAuditLog({ entity, id, actor, action, from, to, limit }) {
+    logger.info("Fetching audit log");
+    const filter = {};
+
+    if (entity) {
+      filter.entity_type = entity;
+    }
+    if (id) {
+      filter.entity_id = this._formatObjectId(id);
+    }
+    if (actor) {
+      filter.actor_id = this._formatObjectId(actor);
+    }
+    if (action) {
+      filter.action = action;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    return await auditLogRepository.getAuditLog(
+      filter,
+      limit ? parseInt(limit) : DEFAULT_LIMIT,
+    );
+  }
+}
+
+export { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS };
+export const auditService = new AuditService();
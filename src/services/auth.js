@@ -1,66 +1,511 @@
 import jwt from "jsonwebtoken";
+import { createHash, randomBytes, randomUUID } from "crypto";
+import { ObjectId } from "mongodb";
 import { userRepository } from "../repositories/auth.js";
+import { refreshTokenRepository } from "../repositories/refreshToken.js";
+import { revokedTokenRepository } from "../repositories/revokedToken.js";
+import { apiKeyService } from "./apiKey.js";
+import { loginThrottleService } from "./loginThrottle.js";
+import { loginEventService } from "./loginEvent.js";
+import { AUTH_TOKEN_TYPES, authTokenService } from "./authToken.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+import { getMailer } from "../providers/mailer.js";
 import dotenv from "dotenv";
 import { logger } from "../utils/logger.js";
+import { passwordHasher } from "../utils/password.js";
+import {
+  ConflictError,
+  ForbiddenError,
+  UnauthorizedError,
+  ValidationError,
+} from "../utils/errors.js";
+import { DEFAULT_ROLE, ROLES } from "../config/permissions.js";
 
 // Load environment variables from .env file
 dotenv.config();
 
 const SECRET_KEY = process.env.SECRET_KEY;
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(
+  process.env.ACCESS_TOKEN_TTL_SECONDS || "3600",
+);
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+);
+const PASSWORD_RESET_TOKEN_TTL_MINUTES = parseInt(
+  process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || "60",
+);
+const EMAIL_VERIFICATION_TOKEN_TTL_HOURS = parseInt(
+  process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || "48",
+);
+// When enabled, users cannot log in until they verify their email address
+const REQUIRE_EMAIL_VERIFICATION =
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+// Public base URL of the API, used in the links sent by email
+const APP_URL = (
+  process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/$/, "");
+// Users promoted to admin while they have no role assigned, so a first admin can be bootstrapped
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
 
 /**
  * AuthService Class
  * Handles user registration, login, and token verification with JWT.
+ * Access tokens are short-lived JWTs that can be revoked individually (by their `jti`)
+ * or per user. Refresh tokens are opaque, stored hashed, and rotated on every use;
+ * reusing a rotated refresh token revokes its whole family.
  */
 class AuthService {
+  /**
+   * Hashes a refresh token for storage and lookup.
+   * @param {string} refreshToken - The opaque refresh token.
+   * @returns {string} - SHA-256 hash of the token, hex encoded.
+   */
+  _hashRefreshToken(refreshToken) {
+    return createHash("sha256").update(refreshToken).digest("hex");
+  }
+
+  /**
+   * Resolves the role of a user. Users without a stored role are admins when their email
+   * is listed in ADMIN_EMAILS, and farmers otherwise.
+   * @param {Object} user - The user record or registration data.
+   * @returns {string} - The user's role.
+   */
+  resolveRole(user) {
+    if (user.role) {
+      return user.role;
+    }
+    return ADMIN_EMAILS.includes(user.email?.toLowerCase())
+      ? ROLES.ADMIN
+      : DEFAULT_ROLE;
+  }
+
+  /**
+   * Issues an access token and a refresh token for a user.
+   * The access token carries the user's role and linked farmer, so changes apply from the next token on.
+   * @param {Object} user - The authenticated user.
+   * @param {string} [familyId] - Refresh token family to continue; a new family is started if omitted.
+   * @returns {Promise<Object>} - `{ token, refreshToken, refreshTokenId }`.
+   */
+  async _issueTokens(user, familyId = randomUUID()) {
+    const userId = user._id;
+    const role = this.resolveRole(user);
+    // `iat` is in whole seconds; user-wide revocations are compared with the exact time
+    const payload = { userId, role, iatMs: Date.now() };
+    if (user.farmer_id) {
+      payload.farmerId = user.farmer_id;
+    }
+    const token = jwt.sign(payload, SECRET_KEY, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid: randomUUID(),
+    });
+
+    const refreshToken = randomBytes(48).toString("base64url");
+    const { insertedId } = await refreshTokenRepository.createRefreshToken({
+      user_id: userId,
+      token_hash: this._hashRefreshToken(refreshToken),
+      family_id: familyId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 86400 * 1000),
+    });
+
+    return { token, refreshToken, refreshTokenId: insertedId };
+  }
+
   /**
    * Registers a new user if not already in the database.
+   * The password is stored as a salted scrypt hash and the user starts with the read-only
+   * farmer role, unless their email is listed in ADMIN_EMAILS. A verification link is
+   * emailed to the new user.
    * @param {Object} userData - User data to register.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The newly created user data.
-   * @throws {Error} - If user already exists.
+   * @throws {ConflictError} - If user already exists.
    */
-  async register(userData) {
+  async register(userData, context = null) {
     const existingUser = await userRepository.getUserByEmail(userData.email);
     if (existingUser) {
-      throw new Error("User already exists");
+      throw new ConflictError("User already exists");
+    }
+
+    const user = {
+      ...userData,
+      password: await passwordHasher.hash(userData.password),
+      role: this.resolveRole(userData),
+      emailVerifiedAt: null,
+    };
+    const result = await userRepository.createUser(user);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.USER,
+      result.insertedId,
+      { after: user },
+    );
+
+    try {
+      await this.sendEmailVerification({
+        _id: result.insertedId,
+        email: userData.email,
+      });
+    } catch (error) {
+      // The account exists either way; a new link is sent with the next password reset
+      logger.error(
+        `Failed to send verification email to user ${result.insertedId}: ${error.message}`,
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Emails a user a link to verify their email address.
+   * @param {Object} user - The user, with `_id` and `email`.
+   * @returns {Promise<void>}
+   */
+  async sendEmailVerification(user) {
+    const token = await authTokenService.issueToken(
+      user._id,
+      AUTH_TOKEN_TYPES.EMAIL_VERIFICATION,
+      EMAIL_VERIFICATION_TOKEN_TTL_HOURS * 3600,
+    );
+
+    await getMailer().send({
+      to: user.email,
+      subject: "Verify your email address",
+      text:
+        "Confirm your email address by opening the link below:\n\n" +
+        `${APP_URL}/api/auth/verify-email?token=${token}\n\n` +
+        `The link expires in ${EMAIL_VERIFICATION_TOKEN_TTL_HOURS} hours.`,
+    });
+  }
+
+  /**
+   * Marks a user's email address as verified.
+   * @param {string} token - The verification token from the emailed link.
+   * @returns {Promise<void>}
+   * @throws {ValidationError} - If the token is invalid, expired or already used.
+   */
+  async verifyEmail(token) {
+    const authToken = await authTokenService.consumeToken(
+      token,
+      AUTH_TOKEN_TYPES.EMAIL_VERIFICATION,
+    );
+
+    if (!authToken) {
+      throw new ValidationError("Invalid or expired verification link");
+    }
+
+    logger.info(`Verifying email of user ${authToken.user_id}`);
+    await userRepository.markEmailVerified(authToken.user_id);
+  }
+
+  /**
+   * Emails a password reset token to a user. Unknown emails are ignored silently,
+   * so the response does not reveal which emails have an account.
+   * @param {string} email - Email of the account.
+   * @returns {Promise<void>}
+   */
+  async requestPasswordReset(email) {
+    const user = await userRepository.getUserByEmail(email);
+    if (!user) {
+      logger.info("Password reset requested for an unknown email");
+      return;
+    }
+
+    const token = await authTokenService.issueToken(
+      user._id,
+      AUTH_TOKEN_TYPES.PASSWORD_RESET,
+      PASSWORD_RESET_TOKEN_TTL_MINUTES * 60,
+    );
+
+    await getMailer().send({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        "A password reset was requested for your account. Use the token below with " +
+        `POST ${APP_URL}/api/auth/reset-password to choose a new password:\n\n` +
+        `${token}\n\n` +
+        `The token expires in ${PASSWORD_RESET_TOKEN_TTL_MINUTES} minutes. ` +
+        "If you did not request it, you can ignore this email.",
+    });
+  }
+
+  /**
+   * Sets a new password using a password reset token. The reset also verifies the
+   * email address, since the token was delivered to it, clears the login lockout of
+   * the account and ends all of the user's sessions.
+   * @param {string} token - The password reset token.
+   * @param {string} password - The new password.
+   * @returns {Promise<void>}
+   * @throws {ValidationError} - If the password is too short, or the token is invalid, expired or already used.
+   */
+  async resetPassword(token, password) {
+    // Checked before the token is consumed, so a rejected password does not use it up
+    if (typeof password !== "string" || password.length < 8) {
+      throw new ValidationError("Password must be at least 8 characters");
+    }
+
+    const authToken = await authTokenService.consumeToken(
+      token,
+      AUTH_TOKEN_TYPES.PASSWORD_RESET,
+    );
+    const user =
+      authToken && (await userRepository.getUserById(authToken.user_id));
+
+    if (!user) {
+      throw new ValidationError("Invalid or expired password reset token");
     }
 
-    return await userRepository.createUser(userData);
+    logger.info(`Resetting password of user ${user._id}`);
+    await userRepository.updatePassword(
+      user._id,
+      await passwordHasher.hash(password),
+    );
+    await userRepository.markEmailVerified(user._id);
+    await loginThrottleService.recordSuccess(user.email);
+    await this.revokeUserSessions(user._id);
   }
 
   /**
    * Authenticates a user and generates a JWT if credentials are valid.
+   * Failed attempts are counted per email and per IP address, and logins are refused
+   * while either is locked out. Every attempt is recorded as a login event.
+   * Accounts whose password was stored in plaintext are rehashed on a successful login.
+   * With REQUIRE_EMAIL_VERIFICATION, users must have verified their email address.
    * @param {string} email - User's email.
    * @param {string} password - User's password.
-   * @returns {Promise<Object>} - Object with the generated JWT.
-   * @throws {Error} - If credentials are invalid.
+   * @param {Object} [client] - `{ ip, userAgent }` of the client attempting to log in.
+   * @returns {Promise<Object>} - Object with the generated JWT and refresh token.
+   * @throws {TooManyRequestsError} - If the email or IP address is locked out.
+   * @throws {ForbiddenError} - If the email address must be verified first.
+   * @throws {UnauthorizedError} - If credentials are invalid.
    */
-  async login(email, password) {
+  async login(email, password, { ip, userAgent } = {}) {
+    const loginEvent = { email, ip, user_agent: userAgent };
+
+    let attempts;
+    try {
+      attempts = await loginThrottleService.reserveAttempts(email, ip);
+    } catch (error) {
+      await loginEventService.recordLoginEvent({
+        ...loginEvent,
+        user_id: null,
+        success: false,
+        reason: "locked",
+      });
+      throw error;
+    }
+
     const user = await userRepository.getUserByEmail(email);
-    if (!user || user.password !== password) {
-      throw new Error("Invalid credentials");
+    const passwordMatches = user
+      ? await passwordHasher.verify(password, user.password)
+      : await passwordHasher.verifyDummy(password);
+    if (!passwordMatches) {
+      await loginEventService.recordLoginEvent({
+        ...loginEvent,
+        user_id: user?._id || null,
+        success: false,
+        reason: "invalid_credentials",
+      });
+      throw new UnauthorizedError("Invalid credentials");
+    }
+
+    await loginThrottleService.releaseAttempts(attempts);
+    await loginThrottleService.recordSuccess(email);
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+      await loginEventService.recordLoginEvent({
+        ...loginEvent,
+        user_id: user._id,
+        success: false,
+        reason: "email_not_verified",
+      });
+      throw new ForbiddenError("Email address has not been verified");
     }
 
-    // Generate JWT with user ID and expiration
-    const token = jwt.sign({ userId: user._id }, SECRET_KEY, {
-      expiresIn: "1h",
+    await loginEventService.recordLoginEvent({
+      ...loginEvent,
+      user_id: user._id,
+      success: true,
+      reason: null,
     });
-    return { token };
+
+    if (!passwordHasher.isHashed(user.password)) {
+      logger.info(`Rehashing legacy plaintext password for user ${user._id}`);
+      await userRepository.updatePassword(
+        user._id,
+        await passwordHasher.hash(password),
+      );
+    }
+
+    const { token, refreshToken } = await this._issueTokens(user);
+    return { token, refreshToken };
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and a new refresh token.
+   * The presented refresh token is revoked; presenting it again is treated as theft
+   * and revokes every refresh token of the same family.
+   * @param {string} refreshToken - The refresh token to rotate.
+   * @returns {Promise<Object>} - Object with the new JWT and refresh token.
+   * @throws {UnauthorizedError} - If the refresh token is unknown, expired, revoked or reused.
+   */
+  async refresh(refreshToken) {
+    const storedToken = await refreshTokenRepository.getRefreshTokenByHash(
+      this._hashRefreshToken(refreshToken),
+    );
+
+    if (!storedToken || storedToken.expiresAt <= new Date()) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    if (storedToken.revokedAt) {
+      logger.warn(
+        `Reuse of revoked refresh token detected for user ${storedToken.user_id}; revoking its family`,
+      );
+      await refreshTokenRepository.revokeRefreshTokenFamily(
+        storedToken.family_id,
+      );
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const user = await userRepository.getUserById(storedToken.user_id);
+    if (!user) {
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    const tokens = await this._issueTokens(user, storedToken.family_id);
+    const rotatedToken = await refreshTokenRepository.rotateRefreshToken(
+      storedToken._id,
+      tokens.refreshTokenId,
+    );
+
+    if (!rotatedToken) {
+      // A concurrent request rotated the same refresh token first
+      await refreshTokenRepository.revokeRefreshTokenFamily(
+        storedToken.family_id,
+      );
+      throw new UnauthorizedError("Invalid refresh token");
+    }
+
+    return { token: tokens.token, refreshToken: tokens.refreshToken };
+  }
+
+  /**
+   * Ends a session: revokes the current access token and, when given, the refresh
+   * token family of the session.
+   * @param {Object} tokenPayload - Decoded payload of the current access token.
+   * @param {string} [refreshToken] - The session's refresh token.
+   * @returns {Promise<void>}
+   */
+  async logout(tokenPayload, refreshToken) {
+    if (tokenPayload.jti) {
+      await revokedTokenRepository.revokeToken(
+        tokenPayload.jti,
+        new Date(tokenPayload.exp * 1000),
+      );
+    }
+
+    if (refreshToken) {
+      const storedToken = await refreshTokenRepository.getRefreshTokenByHash(
+        this._hashRefreshToken(refreshToken),
+      );
+
+      if (storedToken && storedToken.user_id.equals(tokenPayload.userId)) {
+        await refreshTokenRepository.revokeRefreshTokenFamily(
+          storedToken.family_id,
+        );
+      }
+    }
   }
 
   /**
-   * Verifies the validity of a JWT.
+   * Revokes every session of a user: all refresh tokens and every access token
+   * issued before now.
+   * @param {ObjectId} userId - ID of the user.
+   * @returns {Promise<void>}
+   */
+  async revokeUserSessions(userId) {
+    logger.info(`Revoking all sessions of user ${userId}`);
+    await refreshTokenRepository.revokeRefreshTokensByUserId(userId);
+    await revokedTokenRepository.revokeTokensByUserId(
+      userId,
+      new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000),
+    );
+  }
+
+  /**
+   * Authenticates a request made with an API key, acting as the key's owner.
+   * The returned payload has the same shape as a decoded access token, plus the key's
+   * `apiKeyId` and `scopes`, which further restrict the owner's permissions.
+   * @param {string} key - The plaintext API key.
+   * @returns {Promise<Object>} - The request's user payload.
+   * @throws {UnauthorizedError} - If the key is invalid or its owner no longer exists.
+   */
+  async verifyApiKey(key) {
+    const apiKey = await apiKeyService.authenticate(key);
+    const user = await userRepository.getUserById(apiKey.user_id);
+
+    if (!user) {
+      throw new UnauthorizedError("Invalid API key");
+    }
+
+    return {
+      userId: user._id.toHexString(),
+      role: this.resolveRole(user),
+      farmerId: user.farmer_id?.toHexString(),
+      apiKeyId: apiKey._id.toHexString(),
+      scopes: apiKey.scopes,
+    };
+  }
+
+  /**
+   * Returns the data scope of a token. Farmers may only access data under their own
+   * farmer record; every other role is unrestricted.
+   * @param {Object} tokenPayload - Decoded payload of the access token.
+   * @returns {Object|null} - `{ farmerId }` for farmers (null if the account is not linked), or null if unrestricted.
+   */
+  getScope(tokenPayload) {
+    if (tokenPayload.role !== ROLES.FARMER) {
+      return null;
+    }
+    return {
+      farmerId: tokenPayload.farmerId
+        ? ObjectId.createFromHexString(tokenPayload.farmerId)
+        : null,
+    };
+  }
+
+  /**
+   * Verifies the validity of a JWT and that it has not been revoked.
    * @param {string} token - JWT to verify.
-   * @returns {Object} - Decoded payload if valid.
-   * @throws {Error} - If token is invalid or expired.
+   * @returns {Promise<Object>} - Decoded payload if valid.
+   * @throws {UnauthorizedError} - If token is invalid, expired or revoked.
    */
-  verifyToken(token) {
+  async verifyToken(token) {
+    let decoded;
     try {
-      return jwt.verify(token, SECRET_KEY);
+      decoded = jwt.verify(token, SECRET_KEY);
     } catch (error) {
       logger.error(error);
-      throw new Error("Invalid token");
+      throw new UnauthorizedError("Invalid token");
+    }
+
+    const revoked = await revokedTokenRepository.isTokenRevoked(
+      decoded.jti,
+      ObjectId.createFromHexString(decoded.userId),
+      // Tokens issued before `iatMs` existed count from the start of their second
+      new Date(decoded.iatMs ?? decoded.iat * 1000),
+    );
+
+    if (revoked) {
+      throw new UnauthorizedError("Token has been revoked");
     }
+
+    return decoded;
   }
 }
 
@@ -0,0 +1,61 @@
+import { createHash, randomBytes } from "crypto";
+import { authTokenRepository } from "../repositories/authToken.js";
+
+const AUTH_TOKEN_TYPES = {
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+};
+
+/**
+ * AuthTokenService Class
+ * Issues the single-use, expiring tokens sent by email to reset a password or verify
+ * an email address. Only the SHA-256 hash of a token is stored, and issuing a new token
+ * invalidates the user's previous unused tokens of the same type.
+ */
+class AuthTokenService {
+  /**
+   * Hashes a token for storage and lookup.
+   * @param {string} token - The plaintext token.
+   * @returns {string} - SHA-256 hash of the token, hex encoded.
+   */
+  _hashToken(token) {
+    return createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Issues a token for a user.
+   * @param {ObjectId} userId - ID of the user.
+   * @param {string} type - One of AUTH_TOKEN_TYPES.
+   * @param {number} ttlSeconds - Seconds until the token expires.
+   * @returns {Promise<string>} - The plaintext token, to be sent to the user.
+   */
+  async issueToken(userId, type, ttlSeconds) {
+    await authTokenRepository.invalidateAuthTokens(userId, type);
+
+    const token = randomBytes(32).toString("base64url");
+    await authTokenRepository.createAuthToken({
+      user_id: userId,
+      type,
+      token_hash: this._hashToken(token),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    });
+
+    return token;
+  }
+
+  /**
+   * Redeems a token, which cannot be used again afterwards.
+   * @param {string} token - The plaintext token.
+   * @param {string} type - The expected token type.
+   * @returns {Promise<Object|null>} - The token record, or null if unknown, expired, already used or of another type.
+   */
+  async consumeToken(token, type) {
+    return await authTokenRepository.consumeAuthToken(
+      this._hashToken(token),
+      type,
+    );
+  }
+}
+
+export { AUTH_TOKEN_TYPES };
+export const authTokenService = new AuthTokenService();
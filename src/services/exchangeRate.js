@@ -0,0 +1,64 @@
+import { exchangeRateRepository } from "../repositories/exchangeRate.js";
+import { logger } from "../utils/logger.js";
+
+class ExchangeRateService {
+  /**
+   * Fetches stored exchange rates, optionally filtered by pair and date range.
+   * @param {Object} query - Filters to apply.
+   * @param {string} [query.base] - Base currency code.
+   * @param {string} [query.quote] - Quote currency code.
+   * @param {string} [query.from] - Start date (inclusive).
+   * @param {string} [query.to] - End date (inclusive).
+   * @returns {Promise<Array>} - List of exchange rates.
+   */
+  async getExchangeRates({ base, quote, from, to }) {
+    logger.info("Fetching exchange rates");
+    const filter = {};
+
+    if (base) {
+      filter.base_currency = base.toUpperCase();
+    }
+    if (quote) {
+      filter.quote_currency = quote.toUpperCase();
+    }
+    if (from || to) {
+      filter.date = {};
+      if (from) {
+        filter.date.$gte = new Date(from);
+      }
+      if (to) {
+        filter.date.$lte = new Date(to);
+      }
+    }
+
+    return await exchangeRateRepository.getExchangeRates(filter);
+  }
+
+  /**
+   * Loads exchange rates, replacing any rate already stored for the same pair and date.
+   * @param {Array<Object>} rates - Rates with base_currency, quote_currency, date and rate.
+   * @returns {Promise<Object>} - Number of rates inserted and updated.
+   */
+  async loadExchangeRates(rates) {
+    logger.info(`Loading ${rates.length} exchange rate(s)`);
+    const ratesFormatted = rates.map(
+      ({ base_currency, quote_currency, date, rate, source }) => ({
+        base_currency: base_currency.toUpperCase(),
+        quote_currency: quote_currency.toUpperCase(),
+        date: new Date(date),
+        rate: parseFloat(rate),
+        source: source || "manual",
+      }),
+    );
+
+    const result =
+      await exchangeRateRepository.upsertExchangeRates(ratesFormatted);
+
+    return {
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount,
+    };
+  }
+}
+
+export const exchangeRateService = new ExchangeRateService();
@@ -1,79 +1,296 @@
 import { ObjectId } from "mongodb";
 import { farmRepository } from "../repositories/farm.js";
+import { farmerRepository } from "../repositories/farmer.js";
 import { milkProductionRepository } from "../repositories/milkProduction.js";
+import { labResultRepository } from "../repositories/labResult.js";
+import { paymentRepository } from "../repositories/payment.js";
 import { logger } from "../utils/logger.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+import { paymentService } from "./payment.js";
+
+// Fields of a farm that updates may change; its farmer and deletion have their own rules
+const FARM_EDITABLE_FIELDS = [
+  "name",
+  "code",
+  "location",
+  "distance_to_factory_km",
+];
 
 class FarmService {
   /**
    * Converts a string ID to an ObjectId format, logging an error if the format is invalid.
    * @param {string} id - The ID to format.
    * @returns {ObjectId} - The formatted ObjectId.
-   * @throws {Error} - If the ID format is invalid.
+   * @throws {ValidationError} - If the ID format is invalid.
    */
   _formatObjectId(id) {
     try {
       return ObjectId.createFromHexString(id);
     } catch (error) {
       logger.error(error);
-      throw new Error(`Invalid ID format: ${id}`);
+      throw new ValidationError(`Invalid ID format: ${id}`);
     }
   }
 
   /**
    * Fetches farm details by ID.
    * @param {string} farmId - The farm ID to fetch.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
    * @returns {Promise<Object>} - The farm data.
+   * @throws {NotFoundError} - If the farm does not exist or is outside the caller's scope.
    */
-  async getFarmById(farmId) {
+  async getFarmById(farmId, scope = null) {
     logger.info(`Fetching farm and milk production with ID: ${farmId}`);
     const farmIdFormatted = this._formatObjectId(farmId);
-    return await farmRepository.getFarmById(farmIdFormatted);
+    const farm = await farmRepository.getFarmById(farmIdFormatted, scope);
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+    return farm;
   }
 
   /**
    * Creates a new farm entry in the database.
    * @param {Object} farmData - Data for the new farm.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The created farm data.
+   * @throws {NotFoundError} - If the farmer does not exist or is deleted.
    */
-  async createFarm(farmData) {
+  async createFarm(farmData, context = null) {
     logger.info("Creating a new farm");
     const { farmer_id, ...rest } = farmData;
     const farmerIdFormatted = this._formatObjectId(farmer_id);
+
+    if (!(await farmerRepository.getFarmerRecordById(farmerIdFormatted))) {
+      throw new NotFoundError("Farmer not found");
+    }
     const farmDataFormatted = {
       ...rest,
       farmer_id: farmerIdFormatted,
     };
-    return await farmRepository.createFarm(farmDataFormatted);
+    const result = await farmRepository.createFarm(farmDataFormatted);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.FARM,
+      result.insertedId,
+      { after: await farmRepository.getFarmRecordById(result.insertedId) },
+    );
+
+    return result;
   }
 
   /**
    * Updates an existing farm's details.
    * @param {string} farmId - The ID of the farm to update.
    * @param {Object} farmData - The updated farm data.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The updated farm data.
+   * @throws {NotFoundError} - If the farm does not exist.
    */
-  async updateFarm(farmId, farmData) {
+  async updateFarm(farmId, farmData, context = null) {
     logger.info(`Updating farm with ID: ${farmId}`);
     const farmIdFormatted = this._formatObjectId(farmId);
-    return await farmRepository.updateFarm(farmIdFormatted, farmData);
+    const farm = await farmRepository.getFarmRecordById(farmIdFormatted);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const farmDataFormatted = Object.fromEntries(
+      Object.entries(farmData).filter(([field]) =>
+        FARM_EDITABLE_FIELDS.includes(field),
+      ),
+    );
+    const result = await farmRepository.updateFarm(
+      farmIdFormatted,
+      farmDataFormatted,
+    );
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.FARM,
+      farmIdFormatted,
+      {
+        before: farm,
+        after: await farmRepository.getFarmRecordById(farmIdFormatted),
+      },
+    );
+
+    return result;
   }
 
   /**
-   * Deletes a farm and associated milk production records.
+   * Soft-deletes a farm and associated milk production records. Both are marked with
+   * the same deletedAt, so they can be restored together. Draft payments covering the
+   * deleted records are marked stale.
    * @param {string} farmId - The ID of the farm to delete.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Result of deletion for farm and milk production data.
+   * @throws {NotFoundError} - If the farm does not exist.
+   * @throws {ConflictError} - If an approved or paid payment covers the farm's milk production.
    */
-  async deleteFarm(farmId) {
+  async deleteFarm(farmId, context = null) {
     logger.info(`Deleting farm with ID: ${farmId}`);
     const farmIdFormatted = this._formatObjectId(farmId);
+    const farm = await farmRepository.getFarmRecordById(farmIdFormatted);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const dates = (
+      await milkProductionRepository.getMilkProductionDatesByFarmId(
+        farmIdFormatted,
+      )
+    ).map(({ date }) => date);
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, dates);
+
+    const deletedAt = new Date();
     const [farms, milk_production] = await Promise.all([
+      farmRepository.softDeleteFarm(farmIdFormatted, deletedAt),
+      milkProductionRepository.softDeleteAllMilkProductionsByFarmId(
+        farmIdFormatted,
+        deletedAt,
+      ),
+    ]);
+    await paymentService.markPaymentsStale(farmIdFormatted, dates);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.FARM,
+      farmIdFormatted,
+      { before: farm },
+    );
+
+    return { farms, milk_production };
+  }
+
+  /**
+   * Fetches a soft-deleted farm record.
+   * @param {ObjectId} farmId - The ID of the farm.
+   * @returns {Promise<Object>} - The deleted farm.
+   * @throws {NotFoundError} - If the farm does not exist.
+   * @throws {ConflictError} - If the farm is not deleted.
+   */
+  async _getDeletedFarmOrFail(farmId) {
+    const farm = await farmRepository.getFarmRecordById(farmId, {
+      includeDeleted: true,
+    });
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+    if (!farm.deletedAt) {
+      throw new ConflictError("Farm is not deleted");
+    }
+
+    return farm;
+  }
+
+  /**
+   * Restores a soft-deleted farm with the milk production records deleted along with it.
+   * A farm deleted with its farmer is restored by restoring the farmer. Draft payments
+   * covering the restored records are marked stale.
+   * @param {string} farmId - The ID of the farm to restore.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the restoration for farm and milk production data.
+   * @throws {NotFoundError} - If the farm does not exist.
+   * @throws {ConflictError} - If the farm is not deleted, its farmer is deleted, or an approved or paid payment covers the records to restore.
+   */
+  async restoreFarm(farmId, context = null) {
+    logger.info(`Restoring farm with ID: ${farmId}`);
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const farm = await this._getDeletedFarmOrFail(farmIdFormatted);
+
+    if (!(await farmerRepository.getFarmerRecordById(farm.farmer_id))) {
+      throw new ConflictError(
+        "The farm's farmer is deleted; restore the farmer first",
+      );
+    }
+
+    const dates = (
+      await milkProductionRepository.getMilkProductionDatesByFarmId(
+        farmIdFormatted,
+        farm.deletedAt,
+      )
+    ).map(({ date }) => date);
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, dates);
+
+    const [farms, milk_production] = await Promise.all([
+      farmRepository.restoreFarm(farmIdFormatted, farm.deletedAt),
+      milkProductionRepository.restoreAllMilkProductionsByFarmId(
+        farmIdFormatted,
+        farm.deletedAt,
+      ),
+    ]);
+    await paymentService.markPaymentsStale(farmIdFormatted, dates);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.RESTORE,
+      AUDIT_ENTITY_TYPES.FARM,
+      farmIdFormatted,
+      {
+        before: farm,
+        after: await farmRepository.getFarmRecordById(farmIdFormatted),
+      },
+    );
+
+    return { farms, milk_production };
+  }
+
+  /**
+   * Permanently removes a soft-deleted farm with all its milk production and lab results.
+   * Farms with payments cannot be purged, so the payments stay readable.
+   * @param {string} farmId - The ID of the farm to purge.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of deletion for farm, milk production and lab result data.
+   * @throws {NotFoundError} - If the farm does not exist.
+   * @throws {ConflictError} - If the farm is not deleted or has payments.
+   */
+  async purgeFarm(farmId, context = null) {
+    logger.info(`Purging farm with ID: ${farmId}`);
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const farm = await this._getDeletedFarmOrFail(farmIdFormatted);
+
+    const paymentCount = await paymentRepository.countPaymentsByFarmIds([
+      farmIdFormatted,
+    ]);
+
+    if (paymentCount > 0) {
+      throw new ConflictError(
+        `Farm cannot be purged: it has ${paymentCount} payment(s)`,
+      );
+    }
+
+    const [farms, milk_production, lab_results] = await Promise.all([
       farmRepository.deleteFarm(farmIdFormatted),
       milkProductionRepository.deleteAllMilkProductionsByFarmId(
         farmIdFormatted,
       ),
+      labResultRepository.deleteAllLabResultsByFarmIds([farmIdFormatted]),
     ]);
-    return { farms, milk_production };
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.PURGE,
+      AUDIT_ENTITY_TYPES.FARM,
+      farmIdFormatted,
+      { before: farm },
+    );
+
+    return { farms, milk_production, lab_results };
   }
 }
 
+export { FARM_EDITABLE_FIELDS };
 export const farmService = new FarmService();
@@ -3,82 +3,301 @@ import { farmRepository } from "../repositories/farm.js";
 import { logger } from "../utils/logger.js";
 import { ObjectId } from "mongodb";
 import { milkProductionRepository } from "../repositories/milkProduction.js";
+import { paymentRepository } from "../repositories/payment.js";
+import { labResultRepository } from "../repositories/labResult.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+import { paymentService } from "./payment.js";
+
+// Fields of a farmer that updates may change; deletion has its own rules
+const FARMER_EDITABLE_FIELDS = ["name", "email", "phone"];
 
 class FarmerService {
   /**
    * Converts a string ID to ObjectId format. Logs an error if the format is invalid.
    * @param {string} id - ID to format.
    * @returns {ObjectId} - Formatted ObjectId.
-   * @throws {Error} - If the ID format is invalid.
+   * @throws {ValidationError} - If the ID format is invalid.
    */
   _formatObjectId(id) {
     try {
       return ObjectId.createFromHexString(id);
     } catch (error) {
       logger.error(error);
-      throw new Error(`Invalid ID format: ${id}`);
+      throw new ValidationError(`Invalid ID format: ${id}`);
     }
   }
 
   /**
-   * Fetches all farmers from the database.
+   * Fetches all farmers from the database, limited to the caller's own record for farmers.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
    * @returns {Promise<Array>} - List of all farmers.
    */
-  async getAllFarmers() {
+  async getAllFarmers(scope = null) {
     logger.info("Fetching all farmers");
-    return await farmerRepository.getAllFarmers();
+    return await farmerRepository.getAllFarmers(scope);
   }
 
   /**
    * Fetches a farmer by ID, including their farms.
    * @param {string} farmerId - ID of the farmer to fetch.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
    * @returns {Promise<Object>} - Farmer data.
+   * @throws {NotFoundError} - If the farmer does not exist or is outside the caller's scope.
    */
-  async getFarmerById(farmerId) {
+  async getFarmerById(farmerId, scope = null) {
     logger.info(`Fetching farmer and farms with ID: ${farmerId}`);
     const farmerIdFormatted = this._formatObjectId(farmerId);
-    return await farmerRepository.getFarmerById(farmerIdFormatted);
+
+    if (scope && !farmerIdFormatted.equals(scope.farmerId)) {
+      throw new NotFoundError("Farmer not found");
+    }
+
+    const farmer = await farmerRepository.getFarmerById(farmerIdFormatted);
+    if (!farmer) {
+      throw new NotFoundError("Farmer not found");
+    }
+    return farmer;
   }
 
   /**
    * Creates a new farmer entry in the database.
    * @param {Object} farmerData - Data for the new farmer.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The created farmer data.
    */
-  async createFarmer(farmerData) {
+  async createFarmer(farmerData, context = null) {
     logger.info("Creating a new farmer");
-    return await farmerRepository.createFarmer(farmerData);
+    const result = await farmerRepository.createFarmer(farmerData);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.FARMER,
+      result.insertedId,
+      { after: await farmerRepository.getFarmerRecordById(result.insertedId) },
+    );
+
+    return result;
   }
 
   /**
    * Updates an existing farmer's details.
    * @param {string} farmerId - ID of the farmer to update.
    * @param {Object} farmerData - Updated farmer data.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Updated farmer data.
+   * @throws {NotFoundError} - If the farmer does not exist.
    */
-  async updateFarmer(farmerId, farmerData) {
+  async updateFarmer(farmerId, farmerData, context = null) {
     logger.info(`Updating farmer with ID: ${farmerId}`);
     const farmerIdFormatted = this._formatObjectId(farmerId);
-    return await farmerRepository.updateFarmer(farmerIdFormatted, farmerData);
+    const farmer =
+      await farmerRepository.getFarmerRecordById(farmerIdFormatted);
+
+    if (!farmer) {
+      throw new NotFoundError("Farmer not found");
+    }
+
+    const farmerDataFormatted = Object.fromEntries(
+      Object.entries(farmerData).filter(([field]) =>
+        FARMER_EDITABLE_FIELDS.includes(field),
+      ),
+    );
+    const result = await farmerRepository.updateFarmer(
+      farmerIdFormatted,
+      farmerDataFormatted,
+    );
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.FARMER,
+      farmerIdFormatted,
+      {
+        before: farmer,
+        after: await farmerRepository.getFarmerRecordById(farmerIdFormatted),
+      },
+    );
+
+    return result;
   }
 
   /**
-   * Deletes a farmer and all related farms and milk production records.
+   * Soft-deletes a farmer and all related farms and milk production records. All of them
+   * are marked with the same deletedAt, so they can be restored together. Draft payments
+   * covering the deleted records are marked stale.
    * @param {string} farmerId - ID of the farmer to delete.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Result of deletion for farmer, farms, and milk production data.
+   * @throws {NotFoundError} - If the farmer does not exist.
+   * @throws {ConflictError} - If an approved or paid payment covers the farmer's milk production.
    */
-  async deleteFarmerCascade(farmerId) {
+  async deleteFarmerCascade(farmerId, context = null) {
     logger.info(`Deleting farmer and farms with ID: ${farmerId}`);
     const farmerIdFormatted = this._formatObjectId(farmerId);
+    const existingFarmer =
+      await farmerRepository.getFarmerRecordById(farmerIdFormatted);
+
+    if (!existingFarmer) {
+      throw new NotFoundError("Farmer not found");
+    }
+
+    const productions =
+      await milkProductionRepository.getMilkProductionDatesByFarmerId(
+        farmerIdFormatted,
+      );
+    await paymentService.assertProductionRecordsOpen(productions);
+
+    const deletedAt = new Date();
+    const [farmer, farms, milk_production] = await Promise.all([
+      farmerRepository.softDeleteFarmer(farmerIdFormatted, deletedAt),
+      farmRepository.softDeleteAllFarmsByFarmerId(farmerIdFormatted, deletedAt),
+      milkProductionRepository.softDeleteAllMilkProductionsByFarmerId(
+        farmerIdFormatted,
+        deletedAt,
+      ),
+    ]);
+    await paymentService.markProductionRecordsStale(productions);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.FARMER,
+      farmerIdFormatted,
+      { before: existingFarmer },
+    );
+
+    return { farmer, farms, milk_production };
+  }
+
+  /**
+   * Fetches a soft-deleted farmer record.
+   * @param {ObjectId} farmerId - ID of the farmer.
+   * @returns {Promise<Object>} - The deleted farmer.
+   * @throws {NotFoundError} - If the farmer does not exist.
+   * @throws {ConflictError} - If the farmer is not deleted.
+   */
+  async _getDeletedFarmerOrFail(farmerId) {
+    const farmer = await farmerRepository.getFarmerRecordById(farmerId, {
+      includeDeleted: true,
+    });
+
+    if (!farmer) {
+      throw new NotFoundError("Farmer not found");
+    }
+    if (!farmer.deletedAt) {
+      throw new ConflictError("Farmer is not deleted");
+    }
+
+    return farmer;
+  }
+
+  /**
+   * Restores a soft-deleted farmer with the farms and milk production records deleted
+   * along with them. Records deleted separately before stay deleted. Draft payments
+   * covering the restored records are marked stale.
+   * @param {string} farmerId - ID of the farmer to restore.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the restoration for farmer, farms, and milk production data.
+   * @throws {NotFoundError} - If the farmer does not exist.
+   * @throws {ConflictError} - If the farmer is not deleted, or an approved or paid payment covers the records to restore.
+   */
+  async restoreFarmer(farmerId, context = null) {
+    logger.info(`Restoring farmer with ID: ${farmerId}`);
+    const farmerIdFormatted = this._formatObjectId(farmerId);
+    const existingFarmer =
+      await this._getDeletedFarmerOrFail(farmerIdFormatted);
+    const { deletedAt } = existingFarmer;
+
+    const productions =
+      await milkProductionRepository.getMilkProductionDatesByFarmerId(
+        farmerIdFormatted,
+        deletedAt,
+      );
+    await paymentService.assertProductionRecordsOpen(productions);
+
     const [farmer, farms, milk_production] = await Promise.all([
-      farmerRepository.deleteFarmer(farmerIdFormatted),
-      farmRepository.deleteAllFarmsByFarmerId(farmerIdFormatted),
-      milkProductionRepository.deleteAllMilkProductionsByFarmerId(
+      farmerRepository.restoreFarmer(farmerIdFormatted, deletedAt),
+      farmRepository.restoreAllFarmsByFarmerId(farmerIdFormatted, deletedAt),
+      milkProductionRepository.restoreAllMilkProductionsByFarmerId(
         farmerIdFormatted,
+        deletedAt,
       ),
     ]);
+    await paymentService.markProductionRecordsStale(productions);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.RESTORE,
+      AUDIT_ENTITY_TYPES.FARMER,
+      farmerIdFormatted,
+      {
+        before: existingFarmer,
+        after: await farmerRepository.getFarmerRecordById(farmerIdFormatted),
+      },
+    );
+
     return { farmer, farms, milk_production };
   }
+
+  /**
+   * Permanently removes a soft-deleted farmer with all their farms, milk production and
+   * lab results.
+   * Farmers whose farms have payments cannot be purged, so the payments stay readable.
+   * @param {string} farmerId - ID of the farmer to purge.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of deletion for farmer, farms, milk production and lab result data.
+   * @throws {NotFoundError} - If the farmer does not exist.
+   * @throws {ConflictError} - If the farmer is not deleted or their farms have payments.
+   */
+  async purgeFarmer(farmerId, context = null) {
+    logger.info(`Purging farmer with ID: ${farmerId}`);
+    const farmerIdFormatted = this._formatObjectId(farmerId);
+    const existingFarmer =
+      await this._getDeletedFarmerOrFail(farmerIdFormatted);
+
+    const farms = await farmRepository.getAllFarmsByFarmerId(
+      farmerIdFormatted,
+      { includeDeleted: true },
+    );
+    const paymentCount = await paymentRepository.countPaymentsByFarmIds(
+      farms.map((farm) => farm._id),
+    );
+
+    if (paymentCount > 0) {
+      throw new ConflictError(
+        `Farmer cannot be purged: their farms have ${paymentCount} payment(s)`,
+      );
+    }
+
+    const [farmer, deletedFarms, milk_production, lab_results] =
+      await Promise.all([
+        farmerRepository.deleteFarmer(farmerIdFormatted),
+        farmRepository.deleteAllFarmsByFarmerId(farmerIdFormatted),
+        milkProductionRepository.deleteAllMilkProductionsByFarmerId(
+          farmerIdFormatted,
+        ),
+        labResultRepository.deleteAllLabResultsByFarmIds(
+          farms.map((farm) => farm._id),
+        ),
+      ]);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.PURGE,
+      AUDIT_ENTITY_TYPES.FARMER,
+      farmerIdFormatted,
+      { before: existingFarmer },
+    );
+
+    return { farmer, farms: deletedFarms, milk_production, lab_results };
+  }
 }
 
+export { FARMER_EDITABLE_FIELDS };
 export const farmerService = new FarmerService();
@@ -0,0 +1,230 @@
+import { ObjectId } from "mongodb";
+import { labResultRepository } from "../repositories/labResult.js";
+import { farmRepository } from "../repositories/farm.js";
+import { paymentService } from "./payment.js";
+import { logger } from "../utils/logger.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+
+// Milk quality measures reported by the laboratory, which pricing rules' quality bands refer to
+const QUALITY_PARAMETERS = {
+  FAT_PERCENT: "fat_percent",
+  PROTEIN_PERCENT: "protein_percent",
+  SCC_CELLS_PER_ML: "scc_cells_per_ml",
+  TBC_CFU_PER_ML: "tbc_cfu_per_ml",
+};
+
+class LabResultService {
+  /**
+   * Converts a string ID to ObjectId format, logging an error if the format is invalid.
+   * @param {string} id - ID to format.
+   * @returns {ObjectId} - Formatted ObjectId.
+   * @throws {ValidationError} - If the ID format is invalid.
+   */
+  _formatObjectId(id) {
+    try {
+      return ObjectId.createFromHexString(id);
+    } catch (error) {
+      logger.error(error);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Returns a date in the given month, to check and flag the month's payment.
+   * @param {number} year - The year.
+   * @param {number} month - The month (1-12).
+   * @returns {Date} - The first day of the month.
+   */
+  _getPeriodDate(year, month) {
+    return new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
+  }
+
+  /**
+   * Fetches a farm the caller may see.
+   * @param {ObjectId} farmId - The ID of the farm.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - The farm.
+   * @throws {NotFoundError} - If the farm does not exist, is deleted or is outside the caller's scope.
+   */
+  async _getFarmOrFail(farmId, scope) {
+    const farm = await farmRepository.getFarmById(farmId, scope);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    return farm;
+  }
+
+  /**
+   * Lists the lab results of a farm, most recent period first.
+   * @param {string} farmId - The ID of the farm.
+   * @param {number|null} year - Only the results of this year, if given.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Array>} - The farm's lab results.
+   * @throws {NotFoundError} - If the farm does not exist or is outside the caller's scope.
+   */
+  async getLabResults(farmId, year = null, scope = null) {
+    logger.info(`Fetching lab results of farm with ID: ${farmId}`);
+    const farmIdFormatted = this._formatObjectId(farmId);
+    await this._getFarmOrFail(farmIdFormatted, scope);
+
+    return await labResultRepository.getLabResultsByFarmId(
+      farmIdFormatted,
+      year,
+    );
+  }
+
+  /**
+   * Fetches the lab results of a farm for a month.
+   * @param {string} farmId - The ID of the farm.
+   * @param {number} year - The year.
+   * @param {number} month - The month (1-12).
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - The lab results.
+   * @throws {NotFoundError} - If the farm does not exist, is outside the caller's scope or has no lab results for the month.
+   */
+  async getLabResult(farmId, year, month, scope = null) {
+    logger.info(
+      `Fetching lab results of farm with ID: ${farmId} for ${month}/${year}`,
+    );
+    const farmIdFormatted = this._formatObjectId(farmId);
+    await this._getFarmOrFail(farmIdFormatted, scope);
+
+    const labResult = await labResultRepository.getLabResultByFarmAndMonth(
+      farmIdFormatted,
+      year,
+      month,
+    );
+
+    if (!labResult) {
+      throw new NotFoundError("No lab results found for this period");
+    }
+
+    return labResult;
+  }
+
+  /**
+   * Sets the lab results of a farm for a month, replacing any recorded before. Measures
+   * left out are stored as not measured.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the month is flagged as stale, as its quality adjustments may change.
+   * @param {string} farmId - The ID of the farm.
+   * @param {number} year - The year.
+   * @param {number} month - The month (1-12).
+   * @param {Object} labResultData - The measures, and the optional `laboratory` and `sampled_at`.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - `{ labResult, created }`, the lab results and whether they were created.
+   * @throws {NotFoundError} - If the farm does not exist or is deleted.
+   * @throws {ConflictError} - If the month has an approved or paid payment.
+   */
+  async setLabResult(farmId, year, month, labResultData, context = null) {
+    logger.info(
+      `Setting lab results of farm with ID: ${farmId} for ${month}/${year}`,
+    );
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const periodDate = this._getPeriodDate(year, month);
+
+    if (!(await farmRepository.getFarmRecordById(farmIdFormatted))) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, [
+      periodDate,
+    ]);
+
+    const labResultDataFormatted = {
+      laboratory: labResultData.laboratory ?? null,
+      sampled_at: labResultData.sampled_at
+        ? new Date(labResultData.sampled_at)
+        : null,
+    };
+    for (const parameter of Object.values(QUALITY_PARAMETERS)) {
+      labResultDataFormatted[parameter] =
+        labResultData[parameter] === undefined
+          ? null
+          : Number(labResultData[parameter]);
+    }
+
+    const before = await labResultRepository.getLabResultByFarmAndMonth(
+      farmIdFormatted,
+      year,
+      month,
+    );
+    const result = await labResultRepository.upsertLabResult(
+      farmIdFormatted,
+      year,
+      month,
+      labResultDataFormatted,
+    );
+    const labResult = result.value;
+    const created = !result.lastErrorObject.updatedExisting;
+
+    await paymentService.markPaymentsStale(farmIdFormatted, [periodDate]);
+
+    await auditService.record(
+      context,
+      created ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.LAB_RESULT,
+      labResult._id,
+      created ? { after: labResult } : { before, after: labResult },
+    );
+
+    return { labResult, created };
+  }
+
+  /**
+   * Deletes the lab results of a farm for a month.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the month is flagged as stale.
+   * @param {string} farmId - The ID of the farm.
+   * @param {number} year - The year.
+   * @param {number} month - The month (1-12).
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the deletion.
+   * @throws {NotFoundError} - If the farm has no lab results for the month.
+   * @throws {ConflictError} - If the month has an approved or paid payment.
+   */
+  async deleteLabResult(farmId, year, month, context = null) {
+    logger.info(
+      `Deleting lab results of farm with ID: ${farmId} for ${month}/${year}`,
+    );
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const periodDate = this._getPeriodDate(year, month);
+    const labResult = await labResultRepository.getLabResultByFarmAndMonth(
+      farmIdFormatted,
+      year,
+      month,
+    );
+
+    if (!labResult) {
+      throw new NotFoundError("No lab results found for this period");
+    }
+
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, [
+      periodDate,
+    ]);
+
+    const result = await labResultRepository.deleteLabResult(
+      farmIdFormatted,
+      year,
+      month,
+    );
+
+    await paymentService.markPaymentsStale(farmIdFormatted, [periodDate]);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.LAB_RESULT,
+      labResult._id,
+      { before: labResult },
+    );
+
+    return result;
+  }
+}
+
+export { QUALITY_PARAMETERS };
+export const labResultService = new LabResultService();
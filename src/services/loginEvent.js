@@ -0,0 +1,62 @@
+import { loginEventRepository } from "../repositories/loginEvent.js";
+import { logger } from "../utils/logger.js";
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * LoginEventService Class
+ * Keeps an audit trail of login attempts, successful and failed, for administrators.
+ */
+class LoginEventService {
+  /**
+   * Records a login attempt. Failures to record are logged and never block the login.
+   * @param {Object} loginEvent - `{ email, user_id, ip, user_agent, success, reason }`.
+   * @returns {Promise<void>}
+   */
+  async recordLoginEvent(loginEvent) {
+    try {
+      await loginEventRepository.createLoginEvent({
+        ...loginEvent,
+        email: loginEvent.email.trim().toLowerCase(),
+      });
+    } catch (error) {
+      logger.error(`Failed to record login event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists login events, most recent first.
+   * @param {Object} query - Optional `email`, `ip`, `success`, `from`, `to` and `limit` filters.
+   * @returns {Promise<Array>} - The matching login events.
+   */
+  async getLoginEvents({ email, ip, success, from, to, limit }) {
+    logger.info("Fetching login events");
+    const filter = {};
+
+    if (email) {
+      filter.email = email.trim().toLowerCase();
+    }
+    if (ip) {
+      filter.ip = ip;
+    }
+    if (success !== undefined) {
+      filter.success = success === "true";
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) {
+        filter.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        filter.createdAt.$lte = new Date(to);
+      }
+    }
+
+    return await loginEventRepository.getLoginEvents(
+      filter,
+      limit ? parseInt(limit) : DEFAULT_LIMIT,
+    );
+  }
+}
+
+export const loginEventService = new LoginEventService();
@@ -0,0 +1,153 @@
+import dotenv from "dotenv";
+import { loginAttemptRepository } from "../repositories/loginAttempt.js";
+import { TooManyRequestsError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Failed logins tolerated before an email or an IP address is locked out
+const LOGIN_MAX_FAILURES_PER_EMAIL = parseInt(
+  process.env.LOGIN_MAX_FAILURES_PER_EMAIL || "5",
+);
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(
+  process.env.LOGIN_MAX_FAILURES_PER_IP || "20",
+);
+// The first lockout lasts the base duration and doubles with every further failure, up to the maximum
+const LOGIN_LOCKOUT_BASE_SECONDS = parseInt(
+  process.env.LOGIN_LOCKOUT_BASE_SECONDS || "30",
+);
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(
+  process.env.LOGIN_LOCKOUT_MAX_SECONDS || "3600",
+);
+// Failure counters are reset after this long without a failed login
+const LOGIN_FAILURE_WINDOW_SECONDS = parseInt(
+  process.env.LOGIN_FAILURE_WINDOW_SECONDS || "86400",
+);
+
+/**
+ * LoginThrottleService Class
+ * Limits password guessing by counting failed logins per email and per IP address.
+ * Attempts are counted before the password is checked and taken back if it is correct.
+ * Counters are stored in MongoDB so every API instance shares them. Once a counter
+ * exceeds its limit, the email or address is locked out for a period that doubles
+ * with each further failure.
+ */
+class LoginThrottleService {
+  /**
+   * Builds the counter keys of a login attempt.
+   * @param {string} email - The email the login was attempted with.
+   * @param {string} [ip] - The client's IP address.
+   * @returns {Array<Object>} - `{ key, maxFailures }` of each counter that applies.
+   */
+  _getCounters(email, ip) {
+    const counters = [
+      {
+        key: `email:${email.trim().toLowerCase()}`,
+        maxFailures: LOGIN_MAX_FAILURES_PER_EMAIL,
+      },
+    ];
+    if (ip) {
+      counters.push({
+        key: `ip:${ip}`,
+        maxFailures: LOGIN_MAX_FAILURES_PER_IP,
+      });
+    }
+    return counters;
+  }
+
+  /**
+   * Computes how long a counter is locked out after a number of failures.
+   * @param {number} failures - Consecutive failed logins.
+   * @param {number} maxFailures - Failures tolerated before locking out.
+   * @returns {number} - Lockout duration in seconds, 0 if not locked out.
+   */
+  _getLockoutSeconds(failures, maxFailures) {
+    if (failures < maxFailures) {
+      return 0;
+    }
+    return Math.min(
+      LOGIN_LOCKOUT_BASE_SECONDS * 2 ** (failures - maxFailures),
+      LOGIN_LOCKOUT_MAX_SECONDS,
+    );
+  }
+
+  /**
+   * Counts a login attempt against its email and IP address before the password is
+   * checked, so concurrent attempts cannot get past the limit. The attempt that
+   * reaches a limit locks its email or address out for the attempts that follow.
+   * @param {string} email - The email the login is attempted with.
+   * @param {string} [ip] - The client's IP address.
+   * @returns {Promise<Array<Object>>} - The counted attempts, to release with releaseAttempts if the login succeeds.
+   * @throws {TooManyRequestsError} - If locked out, with the seconds left in `retryAfter`.
+   */
+  async reserveAttempts(email, ip) {
+    const now = new Date();
+    const expiresAt = new Date(
+      now.getTime() + LOGIN_FAILURE_WINDOW_SECONDS * 1000,
+    );
+    const reservations = [];
+
+    for (const { key, maxFailures } of this._getCounters(email, ip)) {
+      const previous = await loginAttemptRepository.reserveAttempt(key, {
+        now,
+        expiresAt,
+        maxFailures,
+        baseSeconds: LOGIN_LOCKOUT_BASE_SECONDS,
+        maxSeconds: LOGIN_LOCKOUT_MAX_SECONDS,
+      });
+
+      if (previous?.lockedUntil > now) {
+        await this.releaseAttempts(reservations);
+        throw new TooManyRequestsError(
+          "Too many failed login attempts, try again later",
+          Math.ceil((previous.lockedUntil - now) / 1000),
+        );
+      }
+
+      const failures = (previous?.failures || 0) + 1;
+      const lockoutSeconds = this._getLockoutSeconds(failures, maxFailures);
+      const reservation = {
+        key,
+        lockedUntil: null,
+        previousLockedUntil: previous?.lockedUntil,
+      };
+
+      if (lockoutSeconds > 0) {
+        logger.warn(
+          `Locking out ${key} for ${lockoutSeconds}s after ${failures} failed logins`,
+        );
+        reservation.lockedUntil = new Date(
+          now.getTime() + lockoutSeconds * 1000,
+        );
+      }
+      reservations.push(reservation);
+    }
+
+    return reservations;
+  }
+
+  /**
+   * Takes back attempts counted by reserveAttempts, lifting the lockouts they set.
+   * @param {Array<Object>} reservations - The attempts returned by reserveAttempts.
+   * @returns {Promise<void>}
+   */
+  async releaseAttempts(reservations) {
+    for (const { key, ...reservation } of reservations) {
+      await loginAttemptRepository.releaseAttempt(key, reservation);
+    }
+  }
+
+  /**
+   * Resets the failure counter of an email after a successful login. The IP address
+   * counter is kept, so one valid account cannot be used to keep guessing others.
+   * @param {string} email - The email that logged in.
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    const [{ key }] = this._getCounters(email);
+    await loginAttemptRepository.clearLoginAttempts(key);
+  }
+}
+
+export const loginThrottleService = new LoginThrottleService();
@@ -1,21 +1,186 @@
 import { milkProductionRepository } from "../repositories/milkProduction.js";
+import { farmRepository } from "../repositories/farm.js";
+import { paymentRepository } from "../repositories/payment.js";
+import { paymentService } from "./payment.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
 import { logger } from "../utils/logger.js";
 import { ObjectId } from "mongodb";
+import dotenv from "dotenv";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Number of rows of a bulk import inserted per database call
+const IMPORT_BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE || "500");
+
+// Number of periods per farm a production analytics request may cover
+const ANALYTICS_MAX_BUCKETS = parseInt(
+  process.env.ANALYTICS_MAX_BUCKETS || "1000",
+);
+
+// Periods production analytics group the daily volumes into
+const ANALYTICS_GRANULARITIES = {
+  DAY: "day",
+  WEEK: "week",
+  MONTH: "month",
+  YEAR: "year",
+};
+
+// Milkings of a day, in the order the collections are listed
+const MILKING_SHIFTS = {
+  MORNING: "morning",
+  AFTERNOON: "afternoon",
+  EVENING: "evening",
+};
+
+const IMPORT_ROW_STATUSES = {
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  DUPLICATE: "duplicate",
+};
 
 class MilkProductionService {
   /**
    * Converts a string ID to ObjectId format, logging an error if the format is invalid.
    * @param {string} id - ID to format.
    * @returns {ObjectId} - Formatted ObjectId.
-   * @throws {Error} - If the ID format is invalid.
+   * @throws {ValidationError} - If the ID format is invalid.
    */
   _formatObjectId(id) {
     try {
       return ObjectId.createFromHexString(id);
     } catch (error) {
       logger.error(error);
-      throw new Error(`Invalid ID format: ${id}`);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Orders the collections of a record by shift.
+   * @param {Array<Object>} collections - The collections.
+   * @returns {Array<Object>} - The collections, morning first.
+   */
+  _sortCollections(collections) {
+    const shifts = Object.values(MILKING_SHIFTS);
+    return [...collections].sort(
+      (a, b) => shifts.indexOf(a.shift) - shifts.indexOf(b.shift),
+    );
+  }
+
+  /**
+   * Formats a shift's collection for storage.
+   * @param {Object} collectionData - `shift`, `volume_liters` and the optional `time`, `collector_id` and `tank_temperature_c`.
+   * @returns {Object} - The formatted collection.
+   * @throws {ValidationError} - If the collector ID format is invalid.
+   */
+  _formatCollection({
+    shift,
+    time,
+    volume_liters,
+    collector_id,
+    tank_temperature_c,
+  }) {
+    return {
+      shift,
+      time: time ? new Date(time) : null,
+      volume_liters: Number(volume_liters),
+      collector_id: collector_id ? this._formatObjectId(collector_id) : null,
+      tank_temperature_c:
+        tank_temperature_c === undefined ? null : Number(tank_temperature_c),
+    };
+  }
+
+  /**
+   * Returns the volume of a record: the given volume, or the sum of its collections when
+   * it is broken down by shift.
+   * @param {Object} milkProductionData - `volume_liters` or `collections` of the record.
+   * @returns {Object} - `{ volume_liters }`, plus the formatted `collections` when given.
+   */
+  _getProductionVolume({ volume_liters, collections }) {
+    if (!collections) {
+      return { volume_liters: Number(volume_liters) };
+    }
+
+    const formatted = this._sortCollections(
+      collections.map((collection) => this._formatCollection(collection)),
+    );
+    const total = formatted.reduce(
+      (sum, collection) => sum + collection.volume_liters,
+      0,
+    );
+
+    return {
+      volume_liters: parseFloat(total.toFixed(3)),
+      collections: formatted,
+    };
+  }
+
+  /**
+   * Returns the UTC day of a date, which identifies a farm's daily record.
+   * @param {Date} date - The date.
+   * @returns {string} - The day, as YYYY-MM-DD.
+   */
+  _getDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Ensures a farm has no other live record on the UTC day of a date. Records stored
+   * before the day field existed are found by their date.
+   * @param {ObjectId} farmId - The ID of the farm.
+   * @param {Date} date - The date of the record.
+   * @param {ObjectId|null} excludedId - ID of a record to ignore, e.g. the one being updated.
+   * @returns {Promise<void>}
+   * @throws {ConflictError} - If the farm already has a record on that day.
+   */
+  async _assertDayAvailable(farmId, date, excludedId = null) {
+    const records = await this._getFarmDayRecords(farmId, this._getDay(date));
+
+    if (
+      records.some((record) => !excludedId || !record._id.equals(excludedId))
+    ) {
+      throw new ConflictError(
+        "A milk production record already exists for this farm and day",
+      );
+    }
+  }
+
+  /**
+   * Fetches the live records of a farm on a UTC day.
+   * @param {ObjectId} farmId - The ID of the farm.
+   * @param {string} day - The day, as YYYY-MM-DD.
+   * @returns {Promise<Array<Object>>} - The records, oldest first.
+   */
+  _getFarmDayRecords(farmId, day) {
+    return milkProductionRepository.getMilkProductionsByFarmAndPeriod(
+      farmId,
+      new Date(`${day}T00:00:00.000Z`),
+      new Date(`${day}T23:59:59.999Z`),
+    );
+  }
+
+  /**
+   * Fetches the single live record of a farm on a UTC day, if any.
+   * @param {ObjectId} farmId - The ID of the farm.
+   * @param {string} day - The day, as YYYY-MM-DD.
+   * @returns {Promise<Object|undefined>} - The day's record.
+   * @throws {ConflictError} - If the farm has several records that day.
+   */
+  async _getFarmDayRecord(farmId, day) {
+    const records = await this._getFarmDayRecords(farmId, day);
+
+    if (records.length > 1) {
+      throw new ConflictError(
+        `The farm has ${records.length} records on ${day}; resolve the duplicates first`,
+      );
     }
+
+    return records[0];
   }
 
   /**
@@ -23,11 +188,17 @@ class MilkProductionService {
    * @param {string} farmId - The ID of the farm.
    * @param {number} year - The year to filter records.
    * @param {number} month - The month to filter records.
-   * @returns {Promise<Object>} - Daily milk production and average liters produced.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - Daily milk production, with the collections of each shift, and average liters produced per day.
+   * @throws {NotFoundError} - If the farm is outside the caller's scope or has no milk production in the period.
    */
-  async getMilkProductionByYearAndMonth(farmId, year, month) {
+  async getMilkProductionByYearAndMonth(farmId, year, month, scope = null) {
     const farmIdFormatted = this._formatObjectId(farmId);
 
+    if (scope && !(await farmRepository.getFarmById(farmIdFormatted, scope))) {
+      throw new NotFoundError("Farm not found");
+    }
+
     // Define the start and end dates for the month
     const startOfMonth = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
     const endOfMonth = new Date(Date.UTC(year, month, 0, 23, 59, 59));
@@ -41,7 +212,7 @@ class MilkProductionService {
       );
 
     if (milkProductions.length === 0) {
-      return { message: "No milk production data found for this period" };
+      throw new NotFoundError("No milk production data found for this period");
     }
 
     // Calculate total and average liters of milk produced
@@ -49,67 +220,951 @@ class MilkProductionService {
       (total, production) => total + production.volume_liters,
       0,
     );
-    const averageLiters = totalLiters / milkProductions.length;
+    // The average is per day: collections roll up into their record, and days with
+    // several records (stored before the one-record-per-day rule) count once
+    const days = new Set(
+      milkProductions.map((production) => this._getDay(production.date)),
+    );
+    const averageLiters = totalLiters / days.size;
 
     return {
-      dailyProductions: milkProductions,
+      dailyProductions: milkProductions.map((production) =>
+        production.collections
+          ? {
+              ...production,
+              collections: this._sortCollections(production.collections),
+            }
+          : production,
+      ),
       averageLiters: parseFloat(averageLiters).toFixed(2),
     };
   }
 
   /**
-   * Creates a new milk production record in the database.
-   * @param {Object} milkProductionData - Data for the new record.
+   * Returns the start of the period of the given granularity a date falls in; weeks
+   * start on Monday, like the analytics pipeline's.
+   * @param {Date} date - The date.
+   * @param {string} granularity - One of ANALYTICS_GRANULARITIES.
+   * @returns {Date} - The start of the period.
+   */
+  _getBucketStart(date, granularity) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (granularity) {
+      case ANALYTICS_GRANULARITIES.WEEK:
+        return new Date(
+          Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7)),
+        );
+      case ANALYTICS_GRANULARITIES.MONTH:
+        return new Date(Date.UTC(year, month, 1));
+      case ANALYTICS_GRANULARITIES.YEAR:
+        return new Date(Date.UTC(year, 0, 1));
+      default:
+        return new Date(Date.UTC(year, month, day));
+    }
+  }
+
+  /**
+   * Returns the start of the period following the one starting at the given date.
+   * @param {Date} start - The start of a period.
+   * @param {string} granularity - One of ANALYTICS_GRANULARITIES.
+   * @returns {Date} - The start of the next period.
+   */
+  _getNextBucketStart(start, granularity) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = start.getUTCDate();
+
+    switch (granularity) {
+      case ANALYTICS_GRANULARITIES.WEEK:
+        return new Date(Date.UTC(year, month, day + 7));
+      case ANALYTICS_GRANULARITIES.MONTH:
+        return new Date(Date.UTC(year, month + 1, 1));
+      case ANALYTICS_GRANULARITIES.YEAR:
+        return new Date(Date.UTC(year + 1, 0, 1));
+      default:
+        return new Date(Date.UTC(year, month, day + 1));
+    }
+  }
+
+  /**
+   * Computes production statistics of farms over a date range, per day, week, month or
+   * year. Statistics are over the farm's daily volumes; days without delivery count
+   * only in `days_without_delivery`, and periods without any delivery have a zero total
+   * and null statistics. The first and last periods are cut to the range.
+   * @param {Object} filters - The `farmIds`, the `from` and `to` dates bounding the range (whole UTC days) and the `granularity`, one of ANALYTICS_GRANULARITIES.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - The range, granularity and, for each farm, its periods with their statistics.
+   * @throws {ValidationError} - If the range is reversed or covers too many periods.
+   * @throws {NotFoundError} - If a farm does not exist, is deleted or is outside the caller's scope.
+   */
+  async getProductionAnalytics(
+    { farmIds, from, to, granularity = ANALYTICS_GRANULARITIES.MONTH },
+    scope = null,
+  ) {
+    const startDate = this._getBucketStart(
+      new Date(from),
+      ANALYTICS_GRANULARITIES.DAY,
+    );
+    const endDate = this._getBucketStart(
+      new Date(to),
+      ANALYTICS_GRANULARITIES.DAY,
+    );
+    endDate.setUTCHours(23, 59, 59, 999);
+
+    if (startDate > endDate) {
+      throw new ValidationError("From must not be after to");
+    }
+
+    const bucketStarts = [];
+    for (
+      let start = this._getBucketStart(startDate, granularity);
+      start <= endDate;
+      start = this._getNextBucketStart(start, granularity)
+    ) {
+      if (bucketStarts.length === ANALYTICS_MAX_BUCKETS) {
+        throw new ValidationError(
+          `The range covers more than ${ANALYTICS_MAX_BUCKETS} periods of a ${granularity}`,
+        );
+      }
+      bucketStarts.push(start);
+    }
+
+    const farmIdsFormatted = [...new Set(farmIds)].map((farmId) =>
+      this._formatObjectId(farmId),
+    );
+    const farms = await farmRepository.getFarmsByIdsOrCodes(
+      farmIdsFormatted,
+      [],
+    );
+    for (const farmId of farmIdsFormatted) {
+      const farm = farms.find((farm) => farm._id.equals(farmId));
+      if (!farm || (scope && !farm.farmer_id?.equals(scope.farmerId))) {
+        throw new NotFoundError(`Farm not found: ${farmId.toHexString()}`);
+      }
+    }
+
+    const stats = await milkProductionRepository.getProductionAnalytics(
+      farmIdsFormatted,
+      startDate,
+      endDate,
+      granularity,
+    );
+    const statsByBucket = new Map(
+      stats.map((bucket) => [
+        `${bucket.farm_id.toHexString()}:${bucket.start.getTime()}`,
+        bucket,
+      ]),
+    );
+    const round = (value) => (value === null ? null : +value.toFixed(2));
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    return {
+      from: startDate,
+      to: endDate,
+      granularity,
+      farms: farmIdsFormatted.map((farmId) => ({
+        farm_id: farmId,
+        buckets: bucketStarts.map((bucketStart) => {
+          const start = new Date(Math.max(bucketStart, startDate));
+          const end = new Date(
+            Math.min(
+              this._getNextBucketStart(bucketStart, granularity) - 1,
+              endDate,
+            ),
+          );
+          const days = Math.ceil((end - start) / dayMs);
+          const bucket = statsByBucket.get(
+            `${farmId.toHexString()}:${bucketStart.getTime()}`,
+          );
+          const daysWithDelivery = bucket?.days_with_delivery ?? 0;
+
+          return {
+            start,
+            end,
+            total: round(bucket?.total ?? 0),
+            mean: round(bucket?.mean ?? null),
+            median: round(bucket?.median ?? null),
+            min: round(bucket?.min ?? null),
+            max: round(bucket?.max ?? null),
+            std_dev: round(bucket?.std_dev ?? null),
+            days_with_delivery: daysWithDelivery,
+            days_without_delivery: days - daysWithDelivery,
+          };
+        }),
+      })),
+    };
+  }
+
+  /**
+   * Creates a new milk production record in the database. A farm has a single record
+   * per UTC day, whose volume is given or summed from the collections of its shifts.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the record's month is flagged as stale.
+   * @param {Object} milkProductionData - The `farm_id`, `farmer_id`, `date`, and `volume_liters` or `collections`, of the new record; other fields are ignored.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The created milk production data.
+   * @throws {ValidationError} - If the farm does not belong to the farmer.
+   * @throws {NotFoundError} - If the farm does not exist or is deleted.
+   * @throws {ConflictError} - If the farm already has a record that day or the month has an approved or paid payment.
    */
-  async createMilkProduction(milkProductionData) {
+  async createMilkProduction(milkProductionData, context = null) {
     logger.info("Creating a new milk production record");
-    const { farm_id, farmer_id, date, ...rest } = milkProductionData;
+    const { farm_id, farmer_id, date } = milkProductionData;
     const dateFormatted = new Date(date);
     const farmIdFormatted = this._formatObjectId(farm_id);
     const farmerIdFormatted = this._formatObjectId(farmer_id);
+    const farm = await farmRepository.getFarmRecordById(farmIdFormatted);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+    if (!farm.farmer_id?.equals(farmerIdFormatted)) {
+      throw new ValidationError("The farm does not belong to this farmer");
+    }
 
     const milkProductionDataFormatted = {
-      ...rest,
+      ...this._getProductionVolume(milkProductionData),
       date: dateFormatted,
+      day: this._getDay(dateFormatted),
       farm_id: farmIdFormatted,
       farmer_id: farmerIdFormatted,
     };
 
-    return await milkProductionRepository.createMilkProduction(
+    await this._assertDayAvailable(farmIdFormatted, dateFormatted);
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, [
+      dateFormatted,
+    ]);
+
+    const result = await milkProductionRepository.createMilkProduction(
       milkProductionDataFormatted,
     );
+
+    await paymentService.markPaymentsStale(farmIdFormatted, [dateFormatted]);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      result.insertedId,
+      {
+        after: await milkProductionRepository.getMilkProductionById(
+          result.insertedId,
+        ),
+      },
+    );
+
+    return result;
   }
 
   /**
-   * Updates an existing milk production record.
+   * Updates an existing milk production record. A new date must fall on a day the farm
+   * has no other record, and new collections replace the record's and its volume.
+   * Months with an approved or paid payment are rejected; draft payments already
+   * closed for the record's previous and new months are flagged as stale.
    * @param {string} milkProductionId - ID of the record to update.
-   * @param {Object} milkProductionData - Updated data for the record.
+   * @param {Object} milkProductionData - The new `date`, and `volume_liters` or `collections`, of the record; other fields are ignored.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - The updated milk production data.
+   * @throws {NotFoundError} - If the record is not found.
+   * @throws {ConflictError} - If the farm already has a record on the new day, the volume of a record with collections is set directly or the month has an approved or paid payment.
    */
-  async updateMilkProduction(milkProductionId, milkProductionData) {
+  async updateMilkProduction(
+    milkProductionId,
+    milkProductionData,
+    context = null,
+  ) {
     logger.info(`Updating milk production record with ID: ${milkProductionId}`);
     const milkProductionIdFormatted = this._formatObjectId(milkProductionId);
+    const milkProduction = await milkProductionRepository.getMilkProductionById(
+      milkProductionIdFormatted,
+    );
+
+    if (!milkProduction) {
+      throw new NotFoundError("Milk production record not found");
+    }
+
+    const milkProductionDataFormatted = {};
+    const affectedDates = [milkProduction.date];
+
+    if (milkProductionData.collections) {
+      Object.assign(
+        milkProductionDataFormatted,
+        this._getProductionVolume(milkProductionData),
+      );
+    } else if (milkProductionData.volume_liters !== undefined) {
+      if (milkProduction.collections?.length) {
+        throw new ConflictError(
+          "The volume of a record with collections is their sum; update the collections instead",
+        );
+      }
+      Object.assign(
+        milkProductionDataFormatted,
+        this._getProductionVolume(milkProductionData),
+      );
+    }
+
+    if (milkProductionData.date) {
+      milkProductionDataFormatted.date = new Date(milkProductionData.date);
+      milkProductionDataFormatted.day = this._getDay(
+        milkProductionDataFormatted.date,
+      );
+      affectedDates.push(milkProductionDataFormatted.date);
 
-    return await milkProductionRepository.updateMilkProduction(
+      await this._assertDayAvailable(
+        milkProduction.farm_id,
+        milkProductionDataFormatted.date,
+        milkProductionIdFormatted,
+      );
+    }
+
+    await paymentService.assertProductionPeriodsOpen(
+      milkProduction.farm_id,
+      affectedDates,
+    );
+
+    const result = await milkProductionRepository.updateMilkProduction(
+      milkProductionIdFormatted,
+      milkProductionDataFormatted,
+    );
+
+    await paymentService.markPaymentsStale(
+      milkProduction.farm_id,
+      affectedDates,
+    );
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
       milkProductionIdFormatted,
-      milkProductionData,
+      {
+        before: milkProduction,
+        after: await milkProductionRepository.getMilkProductionById(
+          milkProductionIdFormatted,
+        ),
+      },
     );
+
+    return result;
   }
 
   /**
-   * Deletes a milk production record from the database.
+   * Soft-deletes a milk production record.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the record's month is flagged as stale.
    * @param {string} milkProductionId - ID of the record to delete.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Result of the deletion.
+   * @throws {NotFoundError} - If the record is not found.
+   * @throws {ConflictError} - If the month has an approved or paid payment.
    */
-  async deleteMilkProduction(milkProductionId) {
+  async deleteMilkProduction(milkProductionId, context = null) {
     logger.info(`Deleting milk production record with ID: ${milkProductionId}`);
     const milkProductionIdFormatted = this._formatObjectId(milkProductionId);
+    const milkProduction = await milkProductionRepository.getMilkProductionById(
+      milkProductionIdFormatted,
+    );
+
+    if (!milkProduction) {
+      throw new NotFoundError("Milk production record not found");
+    }
+
+    await paymentService.assertProductionPeriodsOpen(milkProduction.farm_id, [
+      milkProduction.date,
+    ]);
+
+    const result = await milkProductionRepository.softDeleteMilkProduction(
+      milkProductionIdFormatted,
+      new Date(),
+    );
+
+    await paymentService.markPaymentsStale(milkProduction.farm_id, [
+      milkProduction.date,
+    ]);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      milkProductionIdFormatted,
+      { before: milkProduction },
+    );
+
+    return result;
+  }
+
+  /**
+   * Fetches a soft-deleted milk production record.
+   * @param {ObjectId} milkProductionId - ID of the record.
+   * @returns {Promise<Object>} - The deleted record.
+   * @throws {NotFoundError} - If the record is not found.
+   * @throws {ConflictError} - If the record is not deleted.
+   */
+  async _getDeletedMilkProductionOrFail(milkProductionId) {
+    const milkProduction = await milkProductionRepository.getMilkProductionById(
+      milkProductionId,
+      { includeDeleted: true },
+    );
+
+    if (!milkProduction) {
+      throw new NotFoundError("Milk production record not found");
+    }
+    if (!milkProduction.deletedAt) {
+      throw new ConflictError("Milk production record is not deleted");
+    }
+
+    return milkProduction;
+  }
+
+  /**
+   * Restores a soft-deleted milk production record. A record deleted with its farm is
+   * restored by restoring the farm.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the record's month is flagged as stale.
+   * @param {string} milkProductionId - ID of the record to restore.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the restoration.
+   * @throws {NotFoundError} - If the record is not found.
+   * @throws {ConflictError} - If the record is not deleted, its farm is deleted, the farm has another record that day or the month has an approved or paid payment.
+   */
+  async restoreMilkProduction(milkProductionId, context = null) {
+    logger.info(
+      `Restoring milk production record with ID: ${milkProductionId}`,
+    );
+    const milkProductionIdFormatted = this._formatObjectId(milkProductionId);
+    const milkProduction = await this._getDeletedMilkProductionOrFail(
+      milkProductionIdFormatted,
+    );
+
+    if (!(await farmRepository.getFarmRecordById(milkProduction.farm_id))) {
+      throw new ConflictError(
+        "The record's farm is deleted; restore the farm first",
+      );
+    }
+
+    await this._assertDayAvailable(milkProduction.farm_id, milkProduction.date);
+    await paymentService.assertProductionPeriodsOpen(milkProduction.farm_id, [
+      milkProduction.date,
+    ]);
+
+    const result = await milkProductionRepository.restoreMilkProduction(
+      milkProductionIdFormatted,
+      milkProduction.deletedAt,
+    );
+
+    await paymentService.markPaymentsStale(milkProduction.farm_id, [
+      milkProduction.date,
+    ]);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.RESTORE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      milkProductionIdFormatted,
+      {
+        before: milkProduction,
+        after: await milkProductionRepository.getMilkProductionById(
+          milkProductionIdFormatted,
+        ),
+      },
+    );
+
+    return result;
+  }
+
+  /**
+   * Permanently removes a soft-deleted milk production record.
+   * Records of a month with a payment cannot be purged, as the payment's statement
+   * may list them.
+   * @param {string} milkProductionId - ID of the record to purge.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the deletion.
+   * @throws {NotFoundError} - If the record is not found.
+   * @throws {ConflictError} - If the record is not deleted or its month has a payment.
+   */
+  async purgeMilkProduction(milkProductionId, context = null) {
+    logger.info(`Purging milk production record with ID: ${milkProductionId}`);
+    const milkProductionIdFormatted = this._formatObjectId(milkProductionId);
+    const milkProduction = await this._getDeletedMilkProductionOrFail(
+      milkProductionIdFormatted,
+    );
+
+    const payment = await paymentRepository.getPricePerLiterByFarmAndMonth(
+      milkProduction.farm_id,
+      milkProduction.date.getUTCFullYear(),
+      milkProduction.date.getUTCMonth() + 1,
+    );
 
-    return await milkProductionRepository.deleteMilkProduction(
+    if (payment) {
+      throw new ConflictError(
+        "Milk production record cannot be purged: its month has a payment",
+      );
+    }
+
+    const result = await milkProductionRepository.deleteMilkProduction(
       milkProductionIdFormatted,
     );
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.PURGE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      milkProductionIdFormatted,
+      { before: milkProduction },
+    );
+
+    return result;
+  }
+
+  /**
+   * Sets the volume a farm delivered on a day, or the collections it adds up to, updating
+   * the day's record or creating it if there is none. Retrying the same request leaves a
+   * single record.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the day's month is flagged as stale.
+   * @param {string} farmId - The ID of the farm.
+   * @param {string} day - The day, as YYYY-MM-DD (UTC).
+   * @param {Object} milkProductionData - `volume_liters` or `collections` delivered that day.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - `{ milkProduction, created }`, the day's record and whether it was created.
+   * @throws {NotFoundError} - If the farm does not exist or is deleted.
+   * @throws {ConflictError} - If the farm has several records that day, the volume of a record with collections is set directly or the month has an approved or paid payment.
+   */
+  async upsertMilkProductionDay(
+    farmId,
+    day,
+    milkProductionData,
+    context = null,
+  ) {
+    logger.info(`Setting milk production of farm ${farmId} on ${day}`);
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const date = new Date(`${day}T00:00:00.000Z`);
+    const production = this._getProductionVolume(milkProductionData);
+
+    const farm = await farmRepository.getFarmRecordById(farmIdFormatted);
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const existing = await this._getFarmDayRecord(farmIdFormatted, day);
+
+    if (existing?.collections?.length && !production.collections) {
+      throw new ConflictError(
+        "The volume of a record with collections is their sum; send the collections instead",
+      );
+    }
+
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, [date]);
+
+    let milkProduction;
+    let created = false;
+
+    if (existing) {
+      // Records stored before the day field existed get it here
+      await milkProductionRepository.updateMilkProduction(existing._id, {
+        ...production,
+        day,
+      });
+      milkProduction = await milkProductionRepository.getMilkProductionById(
+        existing._id,
+      );
+    } else {
+      // An upsert, so concurrent requests for the same day end up with one record
+      const result = await milkProductionRepository.upsertMilkProductionDay(
+        farmIdFormatted,
+        day,
+        production,
+        { farmer_id: farm.farmer_id, date },
+      );
+      milkProduction = result.value;
+      created = !result.lastErrorObject.updatedExisting;
+    }
+
+    await paymentService.markPaymentsStale(farmIdFormatted, [date]);
+
+    await auditService.record(
+      context,
+      created ? AUDIT_ACTIONS.CREATE : AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      milkProduction._id,
+      created
+        ? { after: milkProduction }
+        : { before: existing ?? null, after: milkProduction },
+    );
+
+    return { milkProduction, created };
+  }
+
+  /**
+   * Adds the collection of a shift to a farm's record for a day, creating the record if
+   * there is none, and adds its volume to the day's total.
+   * Months with an approved or paid payment are rejected; a draft payment
+   * already closed for the day's month is flagged as stale.
+   * @param {string} farmId - The ID of the farm.
+   * @param {string} day - The day, as YYYY-MM-DD (UTC).
+   * @param {Object} collectionData - `shift`, `volume_liters` and the optional `time`, `collector_id` and `tank_temperature_c`.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - `{ milkProduction, created }`, the day's record and whether it was created.
+   * @throws {NotFoundError} - If the farm does not exist or is deleted.
+   * @throws {ConflictError} - If the shift is already recorded, the day's volume was recorded without collections, the farm has several records that day or the month has an approved or paid payment.
+   */
+  async addMilkProductionCollection(
+    farmId,
+    day,
+    collectionData,
+    context = null,
+  ) {
+    logger.info(
+      `Adding the ${collectionData.shift} collection of farm ${farmId} on ${day}`,
+    );
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const date = new Date(`${day}T00:00:00.000Z`);
+    const milkCollection = this._formatCollection(collectionData);
+
+    const farm = await farmRepository.getFarmRecordById(farmIdFormatted);
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const existing = await this._getFarmDayRecord(farmIdFormatted, day);
+
+    if (existing && !existing.collections?.length) {
+      throw new ConflictError(
+        "The day's volume was recorded without collections; set the day with all its collections instead",
+      );
+    }
+
+    await paymentService.assertProductionPeriodsOpen(farmIdFormatted, [date]);
+
+    let milkProductionId;
+
+    if (existing) {
+      const result = await milkProductionRepository.addMilkProductionCollection(
+        existing._id,
+        milkCollection,
+      );
+      if (result.modifiedCount === 0) {
+        throw new ConflictError(
+          `The ${milkCollection.shift} collection of ${day} is already recorded`,
+        );
+      }
+      milkProductionId = existing._id;
+    } else {
+      // A concurrent request creating the day's record fails on the unique index
+      const result = await milkProductionRepository.createMilkProduction({
+        farm_id: farmIdFormatted,
+        farmer_id: farm.farmer_id,
+        date,
+        day,
+        volume_liters: milkCollection.volume_liters,
+        collections: [milkCollection],
+      });
+      milkProductionId = result.insertedId;
+    }
+
+    const milkProduction =
+      await milkProductionRepository.getMilkProductionById(milkProductionId);
+
+    await paymentService.markPaymentsStale(farmIdFormatted, [date]);
+
+    await auditService.record(
+      context,
+      existing ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+      milkProductionId,
+      existing
+        ? { before: existing, after: milkProduction }
+        : { after: milkProduction },
+    );
+
+    return { milkProduction, created: !existing };
+  }
+
+  /**
+   * Lists the farms and days with more than one live record, to clean up data recorded
+   * before a farm was limited to one record per day.
+   * @param {Object} filters - Optional `farm_id`, and `from` and `to` dates bounding the period.
+   * @returns {Promise<Array<Object>>} - Each farm and day with its record count, total volume and records, oldest first.
+   */
+  async getDuplicateMilkProductions({ farm_id, from, to } = {}) {
+    const filter = {};
+
+    if (farm_id) {
+      filter.farm_id = this._formatObjectId(farm_id);
+    }
+    if (from || to) {
+      filter.date = {
+        ...(from && { $gte: new Date(from) }),
+        ...(to && { $lte: new Date(to) }),
+      };
+    }
+
+    return await milkProductionRepository.getDuplicateMilkProductions(filter);
+  }
+
+  /**
+   * Finds the farms referenced by the rows of a bulk import, by ID or by code.
+   * @param {Array<Object>} rows - The rows' data.
+   * @returns {Promise<Function>} - Returns the farm a row refers to, or null if there is none.
+   */
+  async _resolveImportFarms(rows) {
+    const farmIds = [
+      ...new Set(rows.map((row) => row.farm_id).filter(Boolean)),
+    ].map((farmId) => this._formatObjectId(farmId));
+    const codes = [
+      ...new Set(rows.map((row) => row.farm_code).filter(Boolean)),
+    ];
+
+    const farms = await farmRepository.getFarmsByIdsOrCodes(farmIds, codes);
+    const farmsById = new Map(
+      farms.map((farm) => [farm._id.toHexString(), farm]),
+    );
+    const farmsByCode = new Map(farms.map((farm) => [farm.code, farm]));
+
+    return (row) => {
+      const farm = row.farm_id
+        ? farmsById.get(row.farm_id.toLowerCase())
+        : farmsByCode.get(row.farm_code);
+      // A row giving both must refer to the same farm with each
+      if (!farm || (row.farm_code && farm.code !== row.farm_code)) {
+        return null;
+      }
+      return farm;
+    };
+  }
+
+  /**
+   * Returns the keys (farm and UTC day) of the records already stored for the farms and
+   * days of an import.
+   * @param {Array<Object>} records - The records to import, with `farm_id` and `date`.
+   * @returns {Promise<Set<string>>} - The keys of the stored records.
+   */
+  async _getStoredDayKeys(records) {
+    if (records.length === 0) {
+      return new Set();
+    }
+
+    const farmIds = [
+      ...new Map(
+        records.map((record) => [record.farm_id.toHexString(), record.farm_id]),
+      ).values(),
+    ];
+    const times = records.map((record) => record.date.getTime());
+    const startDate = new Date(Math.min(...times));
+    const endDate = new Date(Math.max(...times));
+    startDate.setUTCHours(0, 0, 0, 0);
+    endDate.setUTCHours(23, 59, 59, 999);
+
+    const stored = await milkProductionRepository.getMilkProductionDates(
+      farmIds,
+      startDate,
+      endDate,
+    );
+    return new Set(stored.map((record) => this._getDayKey(record)));
+  }
+
+  /**
+   * Identifies the farm and UTC day of a milk production record.
+   * @param {Object} record - The record, with `farm_id` and `date`.
+   * @returns {string} - The key of the record's farm and day.
+   */
+  _getDayKey(record) {
+    return `${record.farm_id.toHexString()}:${this._getDay(record.date)}`;
+  }
+
+  /**
+   * Imports milk production records in bulk, e.g. from a collection center's spreadsheet.
+   * Each row is checked on its own: rows failing validation, referring to an unknown farm
+   * or falling in a month with an approved or paid payment are rejected, and rows for a
+   * farm and day that already has a record (stored or earlier in the import) are reported
+   * as duplicates. The remaining rows are inserted in batches, and draft payments already
+   * closed for their months are flagged as stale.
+   * @param {Array<Object>} rows - `{ row, data, errors }` of each row, where errors are the failures of the single-record validation rules.
+   * @param {Object} options - `{ dryRun }`; a dry run reports the outcome of every row without saving anything.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Totals per status and the report of every row.
+   */
+  async importMilkProductions(rows, { dryRun = false } = {}, context = null) {
+    logger.info(
+      `Importing ${rows.length} milk production rows${dryRun ? " (dry run)" : ""}`,
+    );
+    const report = rows.map(({ row }) => ({ row }));
+    const reject = (index, status, reason, errors) => {
+      Object.assign(report[index], {
+        status,
+        reason,
+        ...(errors && { errors }),
+      });
+    };
+
+    const validRows = [];
+    rows.forEach(({ data, errors }, index) => {
+      if (errors.length > 0) {
+        reject(
+          index,
+          IMPORT_ROW_STATUSES.REJECTED,
+          "Validation failed",
+          errors,
+        );
+      } else {
+        validRows.push({ index, data });
+      }
+    });
+
+    const findFarm = await this._resolveImportFarms(
+      validRows.map(({ data }) => data),
+    );
+
+    const candidates = [];
+    for (const { index, data } of validRows) {
+      const farm = findFarm(data);
+
+      if (!farm) {
+        reject(index, IMPORT_ROW_STATUSES.REJECTED, "Farm not found");
+      } else if (
+        data.farmer_id &&
+        !farm.farmer_id?.equals(this._formatObjectId(data.farmer_id))
+      ) {
+        reject(
+          index,
+          IMPORT_ROW_STATUSES.REJECTED,
+          "The farm does not belong to this farmer",
+        );
+      } else {
+        const date = new Date(data.date);
+        candidates.push({
+          index,
+          record: {
+            farm_id: farm._id,
+            farmer_id: farm.farmer_id,
+            date,
+            day: this._getDay(date),
+            ...this._getProductionVolume(data),
+          },
+        });
+      }
+    }
+
+    const storedDayKeys = await this._getStoredDayKeys(
+      candidates.map(({ record }) => record),
+    );
+    const importedDays = new Map();
+    const periodErrors = new Map();
+    const accepted = [];
+
+    for (const { index, record } of candidates) {
+      const dayKey = this._getDayKey(record);
+
+      if (importedDays.has(dayKey)) {
+        reject(
+          index,
+          IMPORT_ROW_STATUSES.DUPLICATE,
+          `Same farm and day as row ${report[importedDays.get(dayKey)].row}`,
+        );
+        continue;
+      }
+      if (storedDayKeys.has(dayKey)) {
+        reject(
+          index,
+          IMPORT_ROW_STATUSES.DUPLICATE,
+          "A record for this farm and day already exists",
+        );
+        continue;
+      }
+
+      // Payments are checked once per farm and month
+      const periodKey = `${record.farm_id.toHexString()}:${record.date.getUTCFullYear()}-${record.date.getUTCMonth() + 1}`;
+      if (!periodErrors.has(periodKey)) {
+        try {
+          await paymentService.assertProductionPeriodsOpen(record.farm_id, [
+            record.date,
+          ]);
+          periodErrors.set(periodKey, null);
+        } catch (error) {
+          if (!(error instanceof ConflictError)) {
+            throw error;
+          }
+          periodErrors.set(periodKey, error.message);
+        }
+      }
+      if (periodErrors.get(periodKey)) {
+        reject(
+          index,
+          IMPORT_ROW_STATUSES.REJECTED,
+          periodErrors.get(periodKey),
+        );
+        continue;
+      }
+
+      importedDays.set(dayKey, index);
+      report[index].status = IMPORT_ROW_STATUSES.ACCEPTED;
+      accepted.push({ index, record });
+    }
+
+    if (!dryRun) {
+      await this._insertImportedRecords(accepted, report, context);
+    }
+
+    const count = (status) =>
+      report.filter((entry) => entry.status === status).length;
+
+    return {
+      dry_run: dryRun,
+      total: report.length,
+      accepted: count(IMPORT_ROW_STATUSES.ACCEPTED),
+      rejected: count(IMPORT_ROW_STATUSES.REJECTED),
+      duplicates: count(IMPORT_ROW_STATUSES.DUPLICATE),
+      rows: report,
+    };
+  }
+
+  /**
+   * Inserts the accepted rows of an import in batches, recording the new IDs in the
+   * report, and flags the draft payments of the affected months as stale. Rows whose
+   * farm and day got a record meanwhile are reported as duplicates instead, without
+   * failing the rest of the import.
+   * @param {Array<Object>} accepted - `{ index, record }` of each accepted row.
+   * @param {Array<Object>} report - The import report, indexed like the rows.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<void>}
+   */
+  async _insertImportedRecords(accepted, report, context) {
+    const inserted = [];
+
+    for (let start = 0; start < accepted.length; start += IMPORT_BATCH_SIZE) {
+      const batch = accepted.slice(start, start + IMPORT_BATCH_SIZE);
+      const { insertedIds } =
+        await milkProductionRepository.createMilkProductions(
+          batch.map(({ record }) => record),
+        );
+
+      const insertedBatch = [];
+      batch.forEach(({ index, record }, position) => {
+        if (insertedIds[position]) {
+          report[index].id = insertedIds[position];
+          insertedBatch.push({ _id: insertedIds[position], ...record });
+        } else {
+          Object.assign(report[index], {
+            status: IMPORT_ROW_STATUSES.DUPLICATE,
+            reason: "A record for this farm and day already exists",
+          });
+        }
+      });
+
+      await auditService.recordCreations(
+        context,
+        AUDIT_ENTITY_TYPES.MILK_PRODUCTION,
+        insertedBatch,
+      );
+      inserted.push(...insertedBatch);
+    }
+
+    await paymentService.markProductionRecordsStale(inserted);
   }
 }
 
+export { ANALYTICS_GRANULARITIES, MILKING_SHIFTS };
 export const milkProductionService = new MilkProductionService();
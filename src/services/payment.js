@@ -3,59 +3,238 @@ import { paymentRepository } from "../repositories/payment.js";
 import { logger } from "../utils/logger.js";
 import { farmRepository } from "../repositories/farm.js";
 import { milkProductionRepository } from "../repositories/milkProduction.js";
-import CC from "currency-converter-lt";
+import { labResultRepository } from "../repositories/labResult.js";
+import { pricingRuleRepository } from "../repositories/pricingRule.js";
+import { pricingRuleService } from "./pricingRule.js";
+import { pricingCalculator } from "./pricingCalculator.js";
+import { getExchangeRateProvider } from "../providers/exchangeRate.js";
+import { pricePresenter } from "../presenters/price.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// Allowed status transitions: draft → approved → paid, and cancellation before payment
+const PAYMENT_TRANSITIONS = {
+  draft: ["approved", "cancelled"],
+  approved: ["paid", "cancelled"],
+  paid: [],
+  cancelled: [],
+};
+
+// Statuses in which the amounts of a payment are final
+const LOCKED_STATUSES = ["approved", "paid"];
 
 class PaymentService {
   /**
    * Converts a string ID to ObjectId format, logging an error if the format is invalid.
    * @param {string} id - ID to format.
    * @returns {ObjectId} - Formatted ObjectId.
-   * @throws {Error} - If the ID format is invalid.
+   * @throws {ValidationError} - If the ID format is invalid.
    */
   _formatObjectId(id) {
     try {
       return ObjectId.createFromHexString(id);
     } catch (error) {
       logger.error(error);
-      throw new Error(`Invalid ID format: ${id}`);
+      throw new ValidationError(`Invalid ID format: ${id}`);
     }
   }
 
   /**
-   * Calculates the price per liter based on farm details and monthly volume.
-   * Includes transport cost and seasonal bonuses.
-   * @param {Object} farm - The farm data.
-   * @param {number} volume - Total milk volume in liters.
-   * @param {number} month - The month for which the price is calculated.
-   * @returns {number} - Calculated price per liter.
+   * Returns the status of a payment. Payments created before statuses existed are drafts.
+   * @param {Object} payment - The payment record.
+   * @returns {string} - The payment status.
+   */
+  _getStatus(payment) {
+    return payment.status || "draft";
+  }
+
+  /**
+   * Fetches a payment by ID.
+   * @param {ObjectId} paymentId - ID of the payment.
+   * @returns {Promise<Object>} - The payment.
+   * @throws {NotFoundError} - If the payment does not exist.
    */
-  _calculatePricePerLiter(farm, volume, month) {
-    const isFirstSemester = month >= 1 && month <= 6;
-    const basePrice = isFirstSemester ? 1.8 : 1.95;
-    const bonus = !isFirstSemester && volume > 10000 ? 0.01 : 0;
+  async _getPaymentOrFail(paymentId) {
+    const payment = await paymentRepository.getPaymentById(paymentId);
 
-    const distance = farm.distance_to_factory_km;
-    const costPerKm = distance <= 50 ? 0.05 : 0.06;
-    const transportCost = costPerKm * distance;
+    if (!payment) {
+      throw new NotFoundError("Payment not found");
+    }
 
-    const pricePerLiter = basePrice - transportCost + (bonus * volume) / volume;
-    return pricePerLiter;
+    return payment;
+  }
+
+  /**
+   * Ensures a payment is still a draft, the only status in which its amounts may change.
+   * @param {Object} payment - The payment record.
+   * @param {string} action - Description of the attempted change, used in the error message.
+   * @throws {ConflictError} - If the payment is not a draft.
+   */
+  _assertDraft(payment, action) {
+    const status = this._getStatus(payment);
+
+    if (status !== "draft") {
+      throw new ConflictError(
+        `Only draft payments can be ${action}; this payment is ${status}`,
+      );
+    }
+  }
+
+  /**
+   * Groups dates into the distinct year/month periods they belong to.
+   * @param {Array<Date>} dates - The dates to group.
+   * @returns {Array<Object>} - Distinct `{ year, month }` periods.
+   */
+  _getPeriods(dates) {
+    const periods = new Map(
+      dates.map((date) => [
+        `${date.getUTCFullYear()}-${date.getUTCMonth() + 1}`,
+        { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 },
+      ]),
+    );
+    return [...periods.values()];
+  }
+
+  /**
+   * Resolves the pricing rule version that produced a payment.
+   * Payments recorded before rules were versioned fall back to the rule in force for their period.
+   * @param {Object} payment - The payment record.
+   * @returns {Promise<Object>} - The pricing rule to apply.
+   */
+  async getPricingRuleForPayment(payment) {
+    if (payment.pricing_rule_id) {
+      const pricingRule = await pricingRuleRepository.getPricingRuleById(
+        payment.pricing_rule_id,
+      );
+      if (pricingRule) {
+        return pricingRule;
+      }
+    }
+
+    return await pricingRuleService.getPricingRuleInForce(
+      payment.year,
+      payment.month,
+    );
+  }
+
+  /**
+   * Returns the stored breakdown of a payment, recalculating it for payments
+   * recorded before breakdowns were stored. The payment's adjustments are always applied.
+   * @param {Object} payment - The payment record.
+   * @param {Object} farm - The farm the payment belongs to.
+   * @returns {Promise<Object>} - The payment breakdown.
+   */
+  async getPaymentBreakdown(payment, farm) {
+    const adjustments = payment.adjustments || [];
+
+    if (payment.breakdown) {
+      return pricingCalculator.applyAdjustments(payment.breakdown, adjustments);
+    }
+
+    const pricingRule = await this.getPricingRuleForPayment(payment);
+    return pricingCalculator.calculate(pricingRule, {
+      month: payment.month,
+      volumeLiters: payment.total_volume_liters,
+      distanceKm: farm.distance_to_factory_km,
+      adjustments,
+    });
+  }
+
+  /**
+   * Converts a BRL price to each requested currency using the exchange rate valid
+   * at the end of the payment's month.
+   * @param {number} pricePerLiter - Price per liter in BRL.
+   * @param {number} year - The payment year.
+   * @param {number} month - The payment month.
+   * @param {Array<string>} currencies - ISO 4217 codes to convert to.
+   * @returns {Promise<Object>} - Converted amounts (null when no rate is known) and the rates used, keyed by currency.
+   */
+  async _convertPrice(pricePerLiter, year, month, currencies) {
+    const endOfMonth = new Date(Date.UTC(year, month, 0, 23, 59, 59));
+    const exchangeRateProvider = getExchangeRateProvider();
+    const amounts = {};
+    const exchangeRates = {};
+
+    for (const currency of currencies) {
+      const exchangeRate = await exchangeRateProvider.getRate(
+        "BRL",
+        currency,
+        endOfMonth,
+      );
+
+      amounts[currency] = exchangeRate
+        ? pricePerLiter * exchangeRate.rate
+        : null;
+
+      if (currency !== "BRL") {
+        exchangeRates[currency] = exchangeRate;
+      }
+    }
+
+    return { amounts, exchangeRates };
+  }
+
+  /**
+   * Presents a payment's price per liter in the requested currencies and locales,
+   * together with its totals.
+   * @param {Object} payment - The payment record.
+   * @param {Object} farm - The farm the payment belongs to.
+   * @param {Object} presentation - Presentation options.
+   * @param {Array<string>} presentation.currencies - ISO 4217 codes to present.
+   * @param {Array<string>} presentation.locales - Locales to format each price for.
+   * @returns {Promise<Object>} - The presented payment prices.
+   */
+  async _presentPaymentPrices(payment, farm, { currencies, locales }) {
+    const breakdown = await this.getPaymentBreakdown(payment, farm);
+    const { amounts, exchangeRates } = await this._convertPrice(
+      breakdown.effective_price_per_liter,
+      payment.year,
+      payment.month,
+      currencies,
+    );
+
+    return {
+      price_per_liter: pricePresenter.present(amounts, locales),
+      exchange_rates: exchangeRates,
+      total_payment: parseFloat(breakdown.net_total).toFixed(2),
+      total_volume_liters: parseFloat(payment.total_volume_liters).toFixed(2),
+      breakdown,
+      adjustments: payment.adjustments || [],
+      status: this._getStatus(payment),
+      stale: Boolean(payment.stale),
+    };
   }
 
   /**
    * Retrieves the price per liter for a farm for a specific month and year,
-   * and converts the price to USD.
+   * converted to the requested currencies.
    * @param {string} farmId - The ID of the farm.
    * @param {number} year - The year for the calculation.
    * @param {number} month - The month for the calculation.
-   * @returns {Promise<Object>} - Price per liter in BRL and USD, total payment, and total volume.
+   * @param {Object} presentation - Currencies and locales to present the price in.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - Price per liter per currency, exchange rates used, total payment, and total volume.
+   * @throws {NotFoundError} - If the farm does not exist, is outside the caller's scope or has no payment for the period.
    */
-  async getPricePerLiterByFarmAndMonth(farmId, year, month) {
+  async getPricePerLiterByFarmAndMonth(
+    farmId,
+    year,
+    month,
+    presentation,
+    scope = null,
+  ) {
     const farmIdFormatted = this._formatObjectId(farmId);
-    const farm = await farmRepository.getFarmById(farmIdFormatted);
+    // Payments of deleted farms stay readable
+    const farm = await farmRepository.getFarmById(farmIdFormatted, scope, {
+      includeDeleted: true,
+    });
 
     if (!farm) {
-      return { message: "Farm not found" };
+      throw new NotFoundError("Farm not found");
     }
 
     const payment = await paymentRepository.getPricePerLiterByFarmAndMonth(
@@ -65,60 +244,36 @@ class PaymentService {
     );
 
     if (!payment) {
-      return { message: "No payment data found for this period" };
+      throw new NotFoundError("No payment data found for this period");
     }
 
-    const pricePerLiter = this._calculatePricePerLiter(
-      farm,
-      payment.total_volume_liters,
-      month,
-    );
-
-    const priceBR = new Intl.NumberFormat("pt-BR", {
-      style: "currency",
-      currency: "BRL",
-    }).format(pricePerLiter);
-
-    const currencyConverter = new CC({
-      from: "BRL",
-      to: "USD",
-      amount: pricePerLiter,
-    });
-
-    try {
-      const convertedPriceUSD = await currencyConverter.convert();
-      const priceEN = new Intl.NumberFormat("en-US", {
-        style: "currency",
-        currency: "USD",
-      }).format(convertedPriceUSD);
-
-      return {
-        price_per_liter: {
-          BRL: priceBR,
-          USD: priceEN,
-        },
-        total_payment: parseFloat(payment.total_payment).toFixed(2),
-        total_volume_liters: parseFloat(payment.total_volume_liters).toFixed(2),
-      };
-    } catch (error) {
-      logger.error(`Currency conversion failed: ${error.message}`);
-      throw new Error("Currency conversion failed");
-    }
+    return await this._presentPaymentPrices(payment, farm, presentation);
   }
 
   /**
    * Retrieves the price per liter for each month of a specified year for a farm,
-   * converting each monthly price to USD.
+   * converting each monthly price to the requested currencies.
    * @param {string} farmId - The ID of the farm.
    * @param {number} year - The year for the calculations.
-   * @returns {Promise<Array>} - Monthly prices per liter and total volumes in BRL and USD.
+   * @param {Object} presentation - Currencies and locales to present the prices in.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Array>} - Monthly prices per liter per currency and total volumes.
+   * @throws {NotFoundError} - If the farm does not exist, is outside the caller's scope or has no payments in the year.
    */
-  async getPricePerLiterByFarmAndYear(farmId, year) {
+  async getPricePerLiterByFarmAndYear(
+    farmId,
+    year,
+    presentation,
+    scope = null,
+  ) {
     const farmIdFormatted = this._formatObjectId(farmId);
-    const farm = await farmRepository.getFarmById(farmIdFormatted);
+    // Payments of deleted farms stay readable
+    const farm = await farmRepository.getFarmById(farmIdFormatted, scope, {
+      includeDeleted: true,
+    });
 
     if (!farm) {
-      return { message: "Farm not found" };
+      throw new NotFoundError("Farm not found");
     }
 
     const payments = await paymentRepository.getPricePerLiterByFarmAndYear(
@@ -127,137 +282,699 @@ class PaymentService {
     );
 
     if (payments.length === 0) {
-      return { message: "No payment data found for this year" };
+      throw new NotFoundError("No payment data found for this year");
     }
 
-    const convertedPayments = await Promise.all(
-      payments.map(async (payment) => {
-        const pricePerLiter = this._calculatePricePerLiter(
-          farm,
-          payment.total_volume_liters,
-          payment.month,
-        );
+    return await Promise.all(
+      payments.map(async (payment) => ({
+        month: payment.month,
+        ...(await this._presentPaymentPrices(payment, farm, presentation)),
+      })),
+    );
+  }
+
+  /**
+   * Calculates the amounts of a farm's payment for a period from its milk production,
+   * its lab results and the pricing rule in force.
+   * @param {Object} farm - The farm data.
+   * @param {number} year - The payment year.
+   * @param {number} month - The payment month.
+   * @param {Array<Object>} [adjustments] - Manual adjustments already recorded for the payment.
+   * @returns {Promise<Object>} - The computed payment fields.
+   * @throws {NotFoundError} - If there is no milk production for the period.
+   */
+  async _calculatePayment(farm, year, month, adjustments = []) {
+    const startOfMonth = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
+    const endOfMonth = new Date(Date.UTC(year, month, 0, 23, 59, 59));
 
-        const priceBR = new Intl.NumberFormat("pt-BR", {
-          style: "currency",
-          currency: "BRL",
-        }).format(pricePerLiter);
+    const milkProductions =
+      await milkProductionRepository.getMilkProductionsByYearAndMonth(
+        farm._id,
+        startOfMonth,
+        endOfMonth,
+      );
 
-        const currencyConverter = new CC({
-          from: "BRL",
-          to: "USD",
-          amount: pricePerLiter,
-        });
+    if (milkProductions.length === 0) {
+      throw new NotFoundError("No milk production data found for this period");
+    }
 
-        try {
-          const convertedPriceUSD = await currencyConverter.convert();
-          const priceEN = new Intl.NumberFormat("en-US", {
-            style: "currency",
-            currency: "USD",
-          }).format(convertedPriceUSD);
-
-          return {
-            month: payment.month,
-            price_per_liter: {
-              BRL: priceBR,
-              USD: priceEN,
-            },
-            total_payment: parseFloat(payment.total_payment).toFixed(2),
-            total_volume_liters: parseFloat(
-              payment.total_volume_liters,
-            ).toFixed(2),
-          };
-        } catch (error) {
-          logger.error(
-            `Currency conversion failed for month ${payment.month}: ${error.message}`,
+    const totalVolumeLiters = milkProductions.reduce(
+      (sum, prod) => sum + prod.volume_liters,
+      0,
+    );
+
+    const pricingRule = await pricingRuleService.getPricingRuleInForce(
+      year,
+      month,
+    );
+    const labResult = await labResultRepository.getLabResultByFarmAndMonth(
+      farm._id,
+      year,
+      month,
+    );
+    const breakdown = pricingCalculator.calculate(pricingRule, {
+      month,
+      volumeLiters: totalVolumeLiters,
+      distanceKm: farm.distance_to_factory_km,
+      labResult,
+      adjustments,
+    });
+
+    return {
+      price_per_liter: breakdown.effective_price_per_liter,
+      total_volume_liters: totalVolumeLiters,
+      total_payment: breakdown.net_total,
+      breakdown,
+      pricing_rule_id: pricingRule._id,
+      pricing_rule_version: pricingRule.version,
+    };
+  }
+
+  /**
+   * Finds the payment a create request should return instead of inserting a new one:
+   * either the payment previously created with the same idempotency key, or the payment
+   * already recorded for the same farm and period.
+   * @param {ObjectId} farmId - The farm ID.
+   * @param {number} year - The payment year.
+   * @param {number} month - The payment month.
+   * @param {string|undefined} idempotencyKey - The request's Idempotency-Key header.
+   * @returns {Promise<Object|null>} - The existing payment, or null if none exists.
+   * @throws {ConflictError} - If the idempotency key was used for a different farm or period.
+   */
+  async _findExistingPayment(farmId, year, month, idempotencyKey) {
+    if (idempotencyKey) {
+      const payment =
+        await paymentRepository.getPaymentByIdempotencyKey(idempotencyKey);
+
+      if (payment) {
+        if (
+          !payment.farm_id.equals(farmId) ||
+          payment.year !== year ||
+          payment.month !== month
+        ) {
+          throw new ConflictError(
+            "Idempotency-Key has already been used for a different payment",
           );
-          throw new Error("Currency conversion failed");
         }
-      }),
-    );
+        return payment;
+      }
+    }
 
-    return convertedPayments;
+    return await paymentRepository.getPricePerLiterByFarmAndMonth(
+      farmId,
+      year,
+      month,
+    );
   }
 
   /**
-   * Creates a new payment record, calculating total volume and payment.
-   * @param {Object} paymentData - Data for the payment record.
-   * @returns {Promise<Object>} - The created payment data.
+   * Creates a new payment record, calculating total volume and the payment breakdown.
+   * Creation is idempotent: if a payment already exists for the farm and period, or for
+   * the same idempotency key, that payment is returned instead of creating a duplicate.
+   * @param {Object} paymentData - The `farm_id`, `year` and `month` of the payment.
+   * @param {string} [idempotencyKey] - Optional client-supplied idempotency key.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - `{ payment, created }`, where created is false for an existing payment.
    */
-  async createPayment(paymentData) {
+  async createPayment(paymentData, idempotencyKey, context = null) {
     logger.info("Creating a new payment record");
-    const { farm_id, year, month } = paymentData;
-    const farmIdFormatted = this._formatObjectId(farm_id);
+    const year = parseInt(paymentData.year);
+    const month = parseInt(paymentData.month);
+    const farmIdFormatted = this._formatObjectId(paymentData.farm_id);
+
+    const existingPayment = await this._findExistingPayment(
+      farmIdFormatted,
+      year,
+      month,
+      idempotencyKey,
+    );
+
+    if (existingPayment) {
+      logger.info(
+        `Payment for farm ${paymentData.farm_id} in ${month}/${year} already exists`,
+      );
+      return { payment: existingPayment, created: false };
+    }
+
     const farm = await farmRepository.getFarmById(farmIdFormatted);
 
     if (!farm) {
-      throw new Error("Farm not found");
+      throw new NotFoundError("Farm not found");
+    }
+
+    const calculation = await this._calculatePayment(farm, year, month);
+
+    const paymentDataFormatted = {
+      farm_id: farmIdFormatted,
+      year,
+      month,
+      ...calculation,
+      status: "draft",
+      cancelled: false,
+      status_history: [],
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    if (idempotencyKey) {
+      paymentDataFormatted.idempotency_key = idempotencyKey;
     }
 
+    const result = await paymentRepository.createPayment(paymentDataFormatted);
+
+    if (!result) {
+      // A concurrent request created the payment first
+      const payment = await this._findExistingPayment(
+        farmIdFormatted,
+        year,
+        month,
+        idempotencyKey,
+      );
+      return { payment, created: false };
+    }
+
+    const payment = { _id: result.insertedId, ...paymentDataFormatted };
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.CREATE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
+      payment._id,
+      { after: payment },
+    );
+
+    return { payment, created: true };
+  }
+
+  /**
+   * Closes a month by creating the payment of every farm with milk production in the period.
+   * Farms that already have a payment for the period are skipped, and a failure on one farm
+   * does not prevent the others from being closed.
+   * @param {number} year - The year to close.
+   * @param {number} month - The month to close.
+   * @param {Object|null} context - Request context recorded in the audit log; null when run by the closing job.
+   * @returns {Promise<Object>} - Per-farm summary of created, skipped and failed payments.
+   */
+  async closeMonth(year, month, context = null) {
+    logger.info(`Closing payments for ${month}/${year}`);
     const startOfMonth = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
     const endOfMonth = new Date(Date.UTC(year, month, 0, 23, 59, 59));
 
-    const milkProductions =
-      await milkProductionRepository.getMilkProductionsByYearAndMonth(
-        farmIdFormatted,
+    const farmIds =
+      await milkProductionRepository.getFarmIdsWithProductionInPeriod(
         startOfMonth,
         endOfMonth,
       );
 
-    if (milkProductions.length === 0) {
-      throw new Error("No milk production data found for this period");
+    const summary = { year, month, created: [], skipped: [], failed: [] };
+
+    // Farms whose payment for the period was cancelled are not closed again automatically
+    const existingPayments = new Map(
+      (await paymentRepository.getPaymentsByPeriod(year, month)).map(
+        (payment) => [payment.farm_id.toHexString(), payment],
+      ),
+    );
+
+    for (const farmId of farmIds) {
+      const existingPayment = existingPayments.get(farmId.toHexString());
+
+      if (existingPayment) {
+        summary.skipped.push({
+          farm_id: farmId,
+          payment_id: existingPayment._id,
+          reason: `Payment already exists for this period (${this._getStatus(existingPayment)})`,
+        });
+        continue;
+      }
+
+      try {
+        const { payment, created } = await this.createPayment(
+          {
+            farm_id: farmId.toHexString(),
+            year,
+            month,
+          },
+          undefined,
+          context,
+        );
+
+        if (created) {
+          summary.created.push({ farm_id: farmId, payment_id: payment._id });
+        } else {
+          summary.skipped.push({
+            farm_id: farmId,
+            payment_id: payment._id,
+            reason: "Payment already exists for this period",
+          });
+        }
+      } catch (error) {
+        logger.error(
+          `Closing payment for farm ${farmId} in ${month}/${year} failed: ${error.message}`,
+        );
+        summary.failed.push({ farm_id: farmId, error: error.message });
+      }
     }
 
-    const totalVolumeLiters = milkProductions.reduce(
-      (sum, prod) => sum + prod.volume_liters,
-      0,
+    logger.info(
+      `Closed ${month}/${year}: ${summary.created.length} created, ${summary.skipped.length} skipped, ${summary.failed.length} failed`,
     );
 
-    const pricePerLiter = this._calculatePricePerLiter(
+    return summary;
+  }
+
+  /**
+   * Ensures milk production on the given dates may still change, i.e. that no approved
+   * or paid payment covers them. Called before milk production or lab results of a farm
+   * are written.
+   * @param {ObjectId} farmId - The farm whose production will change.
+   * @param {Array<Date>} dates - Production dates affected by the change.
+   * @returns {Promise<void>}
+   * @throws {ConflictError} - If an approved or paid payment covers one of the dates.
+   */
+  async assertProductionPeriodsOpen(farmId, dates) {
+    for (const { year, month } of this._getPeriods(dates)) {
+      const payment = await paymentRepository.getPricePerLiterByFarmAndMonth(
+        farmId,
+        year,
+        month,
+      );
+
+      if (payment && LOCKED_STATUSES.includes(this._getStatus(payment))) {
+        throw new ConflictError(
+          `Payment for ${month}/${year} is ${payment.status}; milk production and lab results of this month can no longer change`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Flags the payments covering the given production dates as stale, so they can be recalculated.
+   * Called after milk production or lab results of a farm are created, changed or deleted.
+   * @param {ObjectId} farmId - The farm whose production changed.
+   * @param {Array<Date>} dates - Production dates affected by the change.
+   * @returns {Promise<void>}
+   */
+  async markPaymentsStale(farmId, dates) {
+    for (const { year, month } of this._getPeriods(dates)) {
+      const result = await paymentRepository.markPaymentStale(
+        farmId,
+        year,
+        month,
+      );
+      if (result.modifiedCount > 0) {
+        logger.info(
+          `Payment for farm ${farmId} in ${month}/${year} marked as stale`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Groups milk production records by farm.
+   * @param {Array<Object>} records - Records with `farm_id` and `date`.
+   * @returns {Array<Object>} - `{ farmId, dates }` of each farm.
+   */
+  _groupDatesByFarm(records) {
+    const farms = new Map();
+    for (const { farm_id, date } of records) {
+      const farm = farms.get(farm_id.toString()) ?? {
+        farmId: farm_id,
+        dates: [],
+      };
+      farm.dates.push(date);
+      farms.set(farm_id.toString(), farm);
+    }
+    return [...farms.values()];
+  }
+
+  /**
+   * Ensures milk production records of several farms may still change.
+   * Called before the records of a farmer are deleted or restored.
+   * @param {Array<Object>} records - Records with `farm_id` and `date`.
+   * @returns {Promise<void>}
+   * @throws {ConflictError} - If an approved or paid payment covers one of the records.
+   */
+  async assertProductionRecordsOpen(records) {
+    for (const { farmId, dates } of this._groupDatesByFarm(records)) {
+      await this.assertProductionPeriodsOpen(farmId, dates);
+    }
+  }
+
+  /**
+   * Flags the payments covering milk production records of several farms as stale.
+   * @param {Array<Object>} records - Records with `farm_id` and `date`.
+   * @returns {Promise<void>}
+   */
+  async markProductionRecordsStale(records) {
+    for (const { farmId, dates } of this._groupDatesByFarm(records)) {
+      await this.markPaymentsStale(farmId, dates);
+    }
+  }
+
+  /**
+   * Recalculates a payment from the current milk production, keeping the previous
+   * amounts in the payment's revision history.
+   * @param {string} paymentId - ID of the payment to recalculate.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The recalculated payment.
+   * @throws {NotFoundError} - If the payment is not found.
+   * @throws {ConflictError} - If the payment is no longer a draft, or stopped being one meanwhile.
+   */
+  async recalculatePayment(paymentId, context = null) {
+    logger.info(`Recalculating payment with ID: ${paymentId}`);
+    const paymentIdFormatted = this._formatObjectId(paymentId);
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    this._assertDraft(payment, "recalculated");
+
+    const farm = await farmRepository.getFarmById(payment.farm_id);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const calculation = await this._calculatePayment(
       farm,
-      totalVolumeLiters,
-      month,
+      payment.year,
+      payment.month,
+      payment.adjustments,
+    );
+
+    const revision = {
+      revision: (payment.revisions?.length || 0) + 1,
+      price_per_liter: payment.price_per_liter,
+      total_volume_liters: payment.total_volume_liters,
+      total_payment: payment.total_payment,
+      breakdown: payment.breakdown,
+      pricing_rule_id: payment.pricing_rule_id,
+      pricing_rule_version: payment.pricing_rule_version,
+      replacedAt: new Date(),
+    };
+
+    const updatedPayment = await paymentRepository.replaceCalculation(
+      paymentIdFormatted,
+      calculation,
+      revision,
     );
 
-    const totalPayment = pricePerLiter * totalVolumeLiters;
+    if (!updatedPayment) {
+      throw new ConflictError("Payment status was changed by another request");
+    }
 
-    const paymentDataFormatted = {
-      ...paymentData,
-      farm_id: farmIdFormatted,
-      price_per_liter: pricePerLiter,
-      total_volume_liters: totalVolumeLiters,
-      total_payment: totalPayment,
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
+      paymentIdFormatted,
+      { before: payment, after: updatedPayment },
+    );
+
+    return updatedPayment;
+  }
+
+  /**
+   * Stores a payment's adjustments and updates its net total accordingly.
+   * @param {ObjectId} paymentId - ID of the payment.
+   * @param {Object} payment - The current payment record.
+   * @param {Array<Object>} adjustments - The complete list of adjustments.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated payment.
+   * @throws {ConflictError} - If the payment stopped being a draft meanwhile.
+   */
+  async _saveAdjustments(paymentId, payment, adjustments, context) {
+    const farm = await farmRepository.getFarmById(payment.farm_id);
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const breakdown = pricingCalculator.applyAdjustments(
+      await this.getPaymentBreakdown(payment, farm),
+      adjustments,
+    );
+
+    const updatedPayment = await paymentRepository.updateAdjustments(
+      paymentId,
+      adjustments,
+      { breakdown, total_payment: breakdown.net_total },
+    );
+
+    if (!updatedPayment) {
+      throw new ConflictError("Payment status was changed by another request");
+    }
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
+      paymentId,
+      { before: payment, after: updatedPayment },
+    );
+
+    return updatedPayment;
+  }
+
+  /**
+   * Adds a manual deduction or credit to a draft payment.
+   * @param {string} paymentId - ID of the payment.
+   * @param {Object} adjustmentData - The adjustment (type, amount and reason).
+   * @param {string} userId - ID of the user adding the adjustment.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated payment.
+   * @throws {NotFoundError} - If the payment does not exist.
+   * @throws {ConflictError} - If the payment is not a draft.
+   */
+  async addAdjustment(paymentId, adjustmentData, userId, context = null) {
+    logger.info(`Adding adjustment to payment with ID: ${paymentId}`);
+    const paymentIdFormatted = this._formatObjectId(paymentId);
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    this._assertDraft(payment, "adjusted");
+
+    const adjustment = {
+      _id: new ObjectId(),
+      type: adjustmentData.type,
+      amount: parseFloat(adjustmentData.amount),
+      reason: adjustmentData.reason,
+      createdBy: userId,
       createdAt: new Date(),
-      updatedAt: new Date(),
     };
 
-    return await paymentRepository.createPayment(paymentDataFormatted);
+    return await this._saveAdjustments(
+      paymentIdFormatted,
+      payment,
+      [...(payment.adjustments || []), adjustment],
+      context,
+    );
   }
 
   /**
-   * Updates a payment record with new data.
+   * Removes an adjustment from a draft payment.
+   * @param {string} paymentId - ID of the payment.
+   * @param {string} adjustmentId - ID of the adjustment to remove.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated payment.
+   * @throws {NotFoundError} - If the payment or the adjustment does not exist.
+   * @throws {ConflictError} - If the payment is not a draft.
+   */
+  async removeAdjustment(paymentId, adjustmentId, context = null) {
+    logger.info(
+      `Removing adjustment ${adjustmentId} from payment with ID: ${paymentId}`,
+    );
+    const paymentIdFormatted = this._formatObjectId(paymentId);
+    const adjustmentIdFormatted = this._formatObjectId(adjustmentId);
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    this._assertDraft(payment, "adjusted");
+
+    const adjustments = payment.adjustments || [];
+    const remainingAdjustments = adjustments.filter(
+      ({ _id }) => !_id.equals(adjustmentIdFormatted),
+    );
+
+    if (remainingAdjustments.length === adjustments.length) {
+      throw new NotFoundError("Adjustment not found");
+    }
+
+    return await this._saveAdjustments(
+      paymentIdFormatted,
+      payment,
+      remainingAdjustments,
+      context,
+    );
+  }
+
+  /**
+   * Moves a payment to a new status, recording who made the transition and when.
+   * @param {string} paymentId - ID of the payment.
+   * @param {string} status - The target status.
+   * @param {string} userId - ID of the user making the transition.
+   * @param {Object} details - Extra data to record with the transition (e.g. reason).
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated payment.
+   * @throws {NotFoundError} - If the payment does not exist.
+   * @throws {ConflictError} - If the transition is not allowed from the current status.
+   */
+  async _transitionPayment(
+    paymentId,
+    status,
+    userId,
+    details = {},
+    context = null,
+  ) {
+    const paymentIdFormatted = this._formatObjectId(paymentId);
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    const currentStatus = this._getStatus(payment);
+
+    if (!PAYMENT_TRANSITIONS[currentStatus].includes(status)) {
+      throw new ConflictError(
+        `Cannot change payment status from ${currentStatus} to ${status}`,
+      );
+    }
+
+    if (status === "approved" && payment.stale) {
+      throw new ConflictError(
+        "Milk production changed after this payment was calculated; recalculate it before approving",
+      );
+    }
+
+    const updatedPayment = await paymentRepository.transitionPayment(
+      paymentIdFormatted,
+      currentStatus,
+      {
+        from: currentStatus,
+        to: status,
+        by: userId,
+        at: new Date(),
+        ...details,
+      },
+    );
+
+    if (!updatedPayment) {
+      throw new ConflictError("Payment status was changed by another request");
+    }
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
+      paymentIdFormatted,
+      { before: payment, after: updatedPayment },
+    );
+
+    return updatedPayment;
+  }
+
+  /**
+   * Approves a draft payment, freezing its amounts.
+   * @param {string} paymentId - ID of the payment.
+   * @param {string} userId - ID of the approving user.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The approved payment.
+   */
+  async approvePayment(paymentId, userId, context = null) {
+    logger.info(`Approving payment with ID: ${paymentId}`);
+    return await this._transitionPayment(
+      paymentId,
+      "approved",
+      userId,
+      {},
+      context,
+    );
+  }
+
+  /**
+   * Marks an approved payment as paid.
+   * @param {string} paymentId - ID of the payment.
+   * @param {string} userId - ID of the user registering the payment.
+   * @param {string} [reference] - Optional reference of the bank transfer or receipt.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The paid payment.
+   */
+  async markPaymentAsPaid(paymentId, userId, reference, context = null) {
+    logger.info(`Marking payment with ID: ${paymentId} as paid`);
+    return await this._transitionPayment(
+      paymentId,
+      "paid",
+      userId,
+      reference ? { reference } : {},
+      context,
+    );
+  }
+
+  /**
+   * Cancels a payment that has not been paid yet.
+   * @param {string} paymentId - ID of the payment.
+   * @param {string} userId - ID of the cancelling user.
+   * @param {string} [reason] - Optional reason for the cancellation.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The cancelled payment.
+   */
+  async cancelPayment(paymentId, userId, reason, context = null) {
+    logger.info(`Cancelling payment with ID: ${paymentId}`);
+    return await this._transitionPayment(
+      paymentId,
+      "cancelled",
+      userId,
+      reason ? { reason } : {},
+      context,
+    );
+  }
+
+  /**
+   * Updates the editable fields of a payment. Computed amounts cannot be edited;
+   * they change only through recalculation or adjustments while the payment is a draft.
    * @param {string} paymentId - ID of the payment to update.
-   * @param {Object} paymentData - Updated payment data.
-   * @returns {Promise<Object>} - The updated payment data.
+   * @param {Object} paymentData - Updated payment data (notes).
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - Result of the update.
+   * @throws {NotFoundError} - If the payment does not exist.
    */
-  async updatePayment(paymentId, paymentData) {
+  async updatePayment(paymentId, paymentData, context = null) {
     logger.info(`Updating payment with ID: ${paymentId}`);
     const paymentIdFormatted = this._formatObjectId(paymentId);
-    return await paymentRepository.updatePayment(
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    const { notes } = paymentData;
+    const result = await paymentRepository.updatePayment(paymentIdFormatted, {
+      notes,
+    });
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
       paymentIdFormatted,
-      paymentData,
+      {
+        before: payment,
+        after: await paymentRepository.getPaymentById(paymentIdFormatted),
+      },
     );
+
+    return result;
   }
 
   /**
-   * Deletes a payment record.
+   * Deletes a draft payment record. Approved or paid payments must be cancelled instead.
    * @param {string} paymentId - ID of the payment to delete.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Result of the deletion.
+   * @throws {NotFoundError} - If the payment does not exist.
+   * @throws {ConflictError} - If the payment is not a draft.
    */
-  async deletePayment(paymentId) {
+  async deletePayment(paymentId, context = null) {
     logger.info(`Deleting payment with ID: ${paymentId}`);
     const paymentIdFormatted = this._formatObjectId(paymentId);
-    return await paymentRepository.deletePayment(paymentIdFormatted);
+    const payment = await this._getPaymentOrFail(paymentIdFormatted);
+    this._assertDraft(payment, "deleted");
+
+    const result = await paymentRepository.deletePayment(paymentIdFormatted);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.PAYMENT,
+      paymentIdFormatted,
+      { before: payment },
+    );
+
+    return result;
   }
 }
 
@@ -0,0 +1,174 @@
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * PricingCalculator Class
+ * Applies the milk price formula described in backend.md:
+ * Price = (monthly volume × base price) − (cost per km × distance to the factory) + (bonus × liters delivered)
+ * The transport cost is deducted once per month and the bonus only applies above the rule's volume threshold.
+ * The rule's quality bands matched by the month's lab results add or subtract an amount per liter delivered.
+ * Manual adjustments (deductions and credits) are added on top of the formula result.
+ */
+class PricingCalculator {
+  /**
+   * Rounds a value to a fixed number of decimal places.
+   * @param {number} value - The value to round.
+   * @param {number} decimals - Number of decimal places.
+   * @returns {number} - The rounded value.
+   */
+  _round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+  }
+
+  /**
+   * Finds the period of a pricing rule that covers the given month.
+   * @param {Object} pricingRule - The pricing rule version to apply.
+   * @param {number} month - The month (1-12).
+   * @returns {Object} - The matching period.
+   * @throws {ValidationError} - If the pricing rule has no period for the month.
+   */
+  _findPeriod(pricingRule, month) {
+    const period = pricingRule.periods.find(
+      ({ start_month, end_month }) =>
+        month >= start_month && month <= end_month,
+    );
+
+    if (!period) {
+      throw new ValidationError(
+        `Pricing rule version ${pricingRule.version} has no period for month ${month}`,
+      );
+    }
+
+    return period;
+  }
+
+  /**
+   * Finds the quality bands of a pricing rule matched by a farm's lab results for the month,
+   * one line item per band. A band matches when the measured value is at or above its `min`
+   * and below its `max`; measures the lab did not report match no band.
+   * @param {Object} pricingRule - The pricing rule version to apply.
+   * @param {Object|null} labResult - The farm's lab results for the month.
+   * @param {number} volumeLiters - Total volume delivered in the month.
+   * @returns {Array<Object>} - The quality line items, with the amount each adds (or subtracts, if negative).
+   */
+  _calculateQualityAdjustments(pricingRule, labResult, volumeLiters) {
+    if (!labResult) {
+      return [];
+    }
+
+    return (pricingRule.quality_bands || [])
+      .filter(({ parameter, min = null, max = null }) => {
+        const value = labResult[parameter];
+        return (
+          value !== null &&
+          value !== undefined &&
+          (min === null || value >= min) &&
+          (max === null || value < max)
+        );
+      })
+      .map(
+        ({
+          parameter,
+          label,
+          min = null,
+          max = null,
+          adjustment_per_liter,
+        }) => ({
+          parameter,
+          label: label || null,
+          value: labResult[parameter],
+          min,
+          max,
+          adjustment_per_liter,
+          amount: this._round(adjustment_per_liter * volumeLiters),
+        }),
+      );
+  }
+
+  /**
+   * Applies manual adjustments to a breakdown, updating its adjustments total and net total.
+   * The effective price per liter reflects the price formula only and is not affected.
+   * @param {Object} breakdown - The breakdown calculated by the price formula.
+   * @param {Array<Object>} adjustments - Adjustments of type `deduction` or `credit`.
+   * @returns {Object} - The breakdown including the adjustments.
+   */
+  applyAdjustments(breakdown, adjustments = []) {
+    // Breakdowns stored before adjustments existed have no subtotal
+    const subtotal = breakdown.subtotal ?? breakdown.net_total;
+    const adjustmentsTotal = adjustments.reduce(
+      (sum, { type, amount }) =>
+        type === "deduction" ? sum - amount : sum + amount,
+      0,
+    );
+
+    return {
+      ...breakdown,
+      subtotal,
+      adjustments_total: this._round(adjustmentsTotal),
+      net_total: this._round(subtotal + adjustmentsTotal),
+    };
+  }
+
+  /**
+   * Calculates the monthly payment breakdown for a farm.
+   * @param {Object} pricingRule - The pricing rule version to apply.
+   * @param {Object} input - Calculation input.
+   * @param {number} input.month - The month (1-12).
+   * @param {number} input.volumeLiters - Total volume delivered in the month.
+   * @param {number} input.distanceKm - Distance from the farm to the factory.
+   * @param {Object|null} [input.labResult] - The farm's lab results for the month, if any.
+   * @param {Array<Object>} [input.adjustments] - Manual deductions and credits of the payment.
+   * @returns {Object} - Line items, net total and effective price per liter.
+   */
+  calculate(
+    pricingRule,
+    { month, volumeLiters, distanceKm, labResult = null, adjustments = [] },
+  ) {
+    const period = this._findPeriod(pricingRule, month);
+
+    const costPerKm =
+      distanceKm <= period.distance_threshold_km
+        ? period.cost_per_km_up_to_threshold
+        : period.cost_per_km_above_threshold;
+    const bonusPerLiter =
+      volumeLiters > period.bonus_volume_threshold_liters
+        ? period.bonus_per_liter
+        : 0;
+
+    const grossVolumeValue = volumeLiters * period.base_price_per_liter;
+    const transportDeduction = costPerKm * distanceKm;
+    const productionBonus = bonusPerLiter * volumeLiters;
+    const qualityAdjustments = this._calculateQualityAdjustments(
+      pricingRule,
+      labResult,
+      volumeLiters,
+    );
+    const qualityTotal = qualityAdjustments.reduce(
+      (sum, { amount }) => sum + amount,
+      0,
+    );
+    const subtotal =
+      grossVolumeValue - transportDeduction + productionBonus + qualityTotal;
+
+    return this.applyAdjustments(
+      {
+        volume_liters: volumeLiters,
+        base_price_per_liter: period.base_price_per_liter,
+        distance_km: distanceKm,
+        cost_per_km: costPerKm,
+        bonus_per_liter: bonusPerLiter,
+        gross_volume_value: this._round(grossVolumeValue),
+        transport_deduction: this._round(transportDeduction),
+        production_bonus: this._round(productionBonus),
+        quality_adjustments: qualityAdjustments,
+        quality_total: this._round(qualityTotal),
+        subtotal: this._round(subtotal),
+        effective_price_per_liter:
+          volumeLiters > 0 ? this._round(subtotal / volumeLiters, 4) : 0,
+      },
+      adjustments,
+    );
+  }
+}
+
+export const pricingCalculator = new PricingCalculator();
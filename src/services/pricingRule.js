@@ -0,0 +1,443 @@
+import { ObjectId } from "mongodb";
+import { pricingRuleRepository } from "../repositories/pricingRule.js";
+import { paymentRepository } from "../repositories/payment.js";
+import { logger } from "../utils/logger.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
+
+// The milk price table applied before pricing rules were versioned (see backend.md),
+// seeded as the first version when no rule exists
+const DEFAULT_PRICING_RULE = {
+  name: "Reference price table",
+  effective_from: new Date(Date.UTC(1970, 0, 1, 0, 0, 0)),
+  effective_to: null,
+  periods: [
+    {
+      start_month: 1,
+      end_month: 6,
+      base_price_per_liter: 1.8,
+      distance_threshold_km: 50,
+      cost_per_km_up_to_threshold: 0.05,
+      cost_per_km_above_threshold: 0.06,
+      bonus_volume_threshold_liters: 10000,
+      bonus_per_liter: 0,
+    },
+    {
+      start_month: 7,
+      end_month: 12,
+      base_price_per_liter: 1.95,
+      distance_threshold_km: 50,
+      cost_per_km_up_to_threshold: 0.05,
+      cost_per_km_above_threshold: 0.06,
+      bonus_volume_threshold_liters: 10000,
+      bonus_per_liter: 0.01,
+    },
+  ],
+  quality_bands: [],
+};
+
+class PricingRuleService {
+  /**
+   * Converts a string ID to ObjectId format, logging an error if the format is invalid.
+   * @param {string} id - ID to format.
+   * @returns {ObjectId} - Formatted ObjectId.
+   * @throws {ValidationError} - If the ID format is invalid.
+   */
+  _formatObjectId(id) {
+    try {
+      return ObjectId.createFromHexString(id);
+    } catch (error) {
+      logger.error(error);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Keeps only the known fields of a rule's periods, as numbers.
+   * @param {Array<Object>} periods - The periods of the pricing rule.
+   * @returns {Array<Object>} - The formatted periods.
+   */
+  _formatPeriods(periods) {
+    return periods.map((period) => ({
+      start_month: Number(period.start_month),
+      end_month: Number(period.end_month),
+      base_price_per_liter: Number(period.base_price_per_liter),
+      distance_threshold_km: Number(period.distance_threshold_km),
+      cost_per_km_up_to_threshold: Number(period.cost_per_km_up_to_threshold),
+      cost_per_km_above_threshold: Number(period.cost_per_km_above_threshold),
+      bonus_volume_threshold_liters: Number(
+        period.bonus_volume_threshold_liters,
+      ),
+      bonus_per_liter: Number(period.bonus_per_liter),
+    }));
+  }
+
+  /**
+   * Keeps only the known fields of a rule's quality bands, with numeric bounds and
+   * adjustment; a missing bound is stored as null.
+   * @param {Array<Object>} qualityBands - The quality bands of the pricing rule.
+   * @returns {Array<Object>} - The formatted quality bands.
+   */
+  _formatQualityBands(qualityBands) {
+    const toNumberOrNull = (value) =>
+      (value ?? null) === null ? null : Number(value);
+
+    return qualityBands.map((band) => ({
+      parameter: band.parameter,
+      label: band.label ?? null,
+      min: toNumberOrNull(band.min),
+      max: toNumberOrNull(band.max),
+      adjustment_per_liter: Number(band.adjustment_per_liter),
+    }));
+  }
+
+  /**
+   * Ensures the periods of a rule cover every month of the year exactly once.
+   * @param {Array<Object>} periods - The periods of the pricing rule.
+   * @throws {ValidationError} - If a month is uncovered or covered more than once.
+   */
+  _validatePeriods(periods) {
+    const coverage = new Array(12).fill(0);
+
+    periods.forEach(({ start_month, end_month }) => {
+      if (!(start_month >= 1 && end_month <= 12)) {
+        throw new ValidationError(
+          "Invalid period: months must be between 1 and 12",
+        );
+      }
+      if (start_month > end_month) {
+        throw new ValidationError(
+          `Invalid period: start month ${start_month} is after end month ${end_month}`,
+        );
+      }
+      for (let month = start_month; month <= end_month; month++) {
+        coverage[month - 1]++;
+      }
+    });
+
+    const invalidMonths = coverage
+      .map((count, index) => ({ month: index + 1, count }))
+      .filter(({ count }) => count !== 1)
+      .map(({ month }) => month);
+
+    if (invalidMonths.length > 0) {
+      throw new ValidationError(
+        `Pricing periods must cover each month exactly once. Invalid months: ${invalidMonths.join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * Ensures each quality band has a valid range and the bands of a parameter do not
+   * overlap, so a measure matches at most one band per parameter.
+   * @param {Array<Object>} qualityBands - The quality bands of the pricing rule.
+   * @throws {ValidationError} - If a band has an empty range or overlaps another.
+   */
+  _validateQualityBands(qualityBands) {
+    const bandsByParameter = new Map();
+
+    qualityBands.forEach((band) => {
+      const min = band.min ?? -Infinity;
+      const max = band.max ?? Infinity;
+      if (min >= max) {
+        throw new ValidationError(
+          `Invalid ${band.parameter} quality band: min must be below max`,
+        );
+      }
+      if (!bandsByParameter.has(band.parameter)) {
+        bandsByParameter.set(band.parameter, []);
+      }
+      bandsByParameter.get(band.parameter).push({ min, max });
+    });
+
+    for (const [parameter, bands] of bandsByParameter) {
+      bands.sort((a, b) => a.min - b.min);
+      for (let i = 1; i < bands.length; i++) {
+        if (bands[i].min < bands[i - 1].max) {
+          throw new ValidationError(
+            `Quality bands of ${parameter} overlap; each value must match at most one band`,
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Ensures the effective range is valid and does not overlap another rule.
+   * @param {Date} effectiveFrom - Start of the effective range.
+   * @param {Date|null} effectiveTo - End of the effective range, or null if open-ended.
+   * @param {ObjectId|null} excludedId - Rule to ignore when checking overlaps.
+   * @throws {ValidationError} - If the range is invalid.
+   * @throws {ConflictError} - If the range overlaps an existing rule.
+   */
+  async _validateEffectiveRange(effectiveFrom, effectiveTo, excludedId = null) {
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      throw new ValidationError(
+        "effective_to must be on or after effective_from",
+      );
+    }
+
+    const overlappingRule =
+      await pricingRuleRepository.getOverlappingPricingRule(
+        effectiveFrom,
+        effectiveTo,
+        excludedId,
+      );
+
+    if (overlappingRule) {
+      throw new ConflictError(
+        `Effective range overlaps pricing rule version ${overlappingRule.version}`,
+      );
+    }
+  }
+
+  /**
+   * Fetches all pricing rules, most recent first.
+   * @returns {Promise<Array>} - List of pricing rules.
+   */
+  async getAllPricingRules() {
+    logger.info("Fetching all pricing rules");
+    return await pricingRuleRepository.getAllPricingRules();
+  }
+
+  /**
+   * Fetches a pricing rule by ID.
+   * @param {string} pricingRuleId - ID of the pricing rule.
+   * @returns {Promise<Object>} - The pricing rule.
+   * @throws {NotFoundError} - If the pricing rule does not exist.
+   */
+  async getPricingRuleById(pricingRuleId) {
+    logger.info(`Fetching pricing rule with ID: ${pricingRuleId}`);
+    const pricingRuleIdFormatted = this._formatObjectId(pricingRuleId);
+    const pricingRule = await pricingRuleRepository.getPricingRuleById(
+      pricingRuleIdFormatted,
+    );
+
+    if (!pricingRule) {
+      throw new NotFoundError("Pricing rule not found");
+    }
+
+    return pricingRule;
+  }
+
+  /**
+   * Finds the pricing rule in force on the first day of the given month.
+   * @param {number} year - The reference year.
+   * @param {number} month - The reference month (1-12).
+   * @returns {Promise<Object>} - The pricing rule in force.
+   * @throws {NotFoundError} - If no pricing rule is in force for the period.
+   */
+  async getPricingRuleInForce(year, month) {
+    const referenceDate = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
+    const pricingRule =
+      await pricingRuleRepository.getPricingRuleInForce(referenceDate);
+
+    if (!pricingRule) {
+      throw new NotFoundError(`No pricing rule in force for ${month}/${year}`);
+    }
+
+    return pricingRule;
+  }
+
+  /**
+   * Creates the reference price table as version 1 when there is no pricing rule yet,
+   * so payments can be calculated on a fresh database.
+   * @returns {Promise<boolean>} - Whether the rule was created.
+   */
+  async seedDefaultPricingRule() {
+    const result = await pricingRuleRepository.createPricingRuleIfNone({
+      ...DEFAULT_PRICING_RULE,
+      version: 1,
+    });
+
+    if (result.upsertedCount > 0) {
+      logger.info("Seeded the reference price table as pricing rule version 1");
+    }
+
+    return result.upsertedCount > 0;
+  }
+
+  /**
+   * Creates a new pricing rule version.
+   * @param {Object} pricingRuleData - Data for the new pricing rule.
+   * @returns {Promise<Object>} - Result of the insertion, including the assigned version.
+   */
+  async createPricingRule(pricingRuleData) {
+    logger.info("Creating a new pricing rule");
+    const { name, effective_from, effective_to } = pricingRuleData;
+    const effectiveFrom = new Date(effective_from);
+    const effectiveTo = effective_to ? new Date(effective_to) : null;
+    const periods = this._formatPeriods(pricingRuleData.periods);
+    const qualityBands = this._formatQualityBands(
+      pricingRuleData.quality_bands || [],
+    );
+
+    this._validatePeriods(periods);
+    this._validateQualityBands(qualityBands);
+    await this._validateEffectiveRange(effectiveFrom, effectiveTo);
+
+    const version = (await pricingRuleRepository.getLatestVersion()) + 1;
+
+    const result = await pricingRuleRepository.createPricingRule({
+      ...(name !== undefined && { name }),
+      version,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      periods,
+      quality_bands: qualityBands,
+    });
+
+    return { ...result, version };
+  }
+
+  /**
+   * Ensures a pricing rule already used by payments keeps the figures that produced them:
+   * only its name can change, and its effective range can be closed, as long as it still
+   * covers the periods of those payments. New prices go into a new version.
+   * @param {Object} pricingRule - The pricing rule to update.
+   * @param {Object} pricingRuleData - Updated pricing rule data.
+   * @throws {ConflictError} - If the update changes the prices of a rule used by payments.
+   */
+  async _assertPricingRuleEditable(pricingRule, pricingRuleData) {
+    const latestPayment =
+      await paymentRepository.getLatestPaymentByPricingRuleId(pricingRule._id);
+
+    if (!latestPayment) {
+      return;
+    }
+
+    const changedFields = Object.keys(pricingRuleData).filter(
+      (field) => !["name", "effective_to"].includes(field),
+    );
+    if (changedFields.length > 0) {
+      throw new ConflictError(
+        `Pricing rule version ${pricingRule.version} is used by payments and its ${changedFields.join(", ")} cannot be changed; create a new version instead`,
+      );
+    }
+
+    const lastPeriodStart = new Date(
+      Date.UTC(latestPayment.year, latestPayment.month - 1, 1, 0, 0, 0),
+    );
+    if (
+      pricingRuleData.effective_to &&
+      pricingRuleData.effective_to < lastPeriodStart
+    ) {
+      throw new ConflictError(
+        `Pricing rule version ${pricingRule.version} produced payments up to ${latestPayment.month}/${latestPayment.year}; its effective range must still cover them`,
+      );
+    }
+  }
+
+  /**
+   * Updates an existing pricing rule. Rules used by payments only accept a new name and
+   * the end of their effective range (see _assertPricingRuleEditable).
+   * @param {string} pricingRuleId - ID of the pricing rule to update.
+   * @param {Object} pricingRuleData - Updated pricing rule data.
+   * @returns {Promise<Object>} - Result of the update.
+   * @throws {NotFoundError} - If the pricing rule does not exist.
+   * @throws {ConflictError} - If the update changes the prices of a rule used by payments, or its effective range overlaps another rule.
+   */
+  async updatePricingRule(pricingRuleId, pricingRuleData) {
+    logger.info(`Updating pricing rule with ID: ${pricingRuleId}`);
+    const pricingRuleIdFormatted = this._formatObjectId(pricingRuleId);
+    const pricingRule = await pricingRuleRepository.getPricingRuleById(
+      pricingRuleIdFormatted,
+    );
+
+    if (!pricingRule) {
+      throw new NotFoundError("Pricing rule not found");
+    }
+
+    const pricingRuleDataFormatted = {};
+
+    if (pricingRuleData.name !== undefined) {
+      pricingRuleDataFormatted.name = pricingRuleData.name;
+    }
+
+    if (pricingRuleData.effective_from !== undefined) {
+      pricingRuleDataFormatted.effective_from = new Date(
+        pricingRuleData.effective_from,
+      );
+    }
+
+    if (pricingRuleData.effective_to !== undefined) {
+      pricingRuleDataFormatted.effective_to = pricingRuleData.effective_to
+        ? new Date(pricingRuleData.effective_to)
+        : null;
+    }
+
+    if (pricingRuleData.periods) {
+      pricingRuleDataFormatted.periods = this._formatPeriods(
+        pricingRuleData.periods,
+      );
+    }
+
+    if (pricingRuleData.quality_bands) {
+      pricingRuleDataFormatted.quality_bands = this._formatQualityBands(
+        pricingRuleData.quality_bands,
+      );
+    }
+
+    await this._assertPricingRuleEditable(
+      pricingRule,
+      pricingRuleDataFormatted,
+    );
+
+    if (pricingRuleDataFormatted.periods) {
+      this._validatePeriods(pricingRuleDataFormatted.periods);
+    }
+
+    if (pricingRuleDataFormatted.quality_bands) {
+      this._validateQualityBands(pricingRuleDataFormatted.quality_bands);
+    }
+
+    await this._validateEffectiveRange(
+      pricingRuleDataFormatted.effective_from ?? pricingRule.effective_from,
+      pricingRuleDataFormatted.effective_to !== undefined
+        ? pricingRuleDataFormatted.effective_to
+        : pricingRule.effective_to,
+      pricingRuleIdFormatted,
+    );
+
+    return await pricingRuleRepository.updatePricingRule(
+      pricingRuleIdFormatted,
+      pricingRuleDataFormatted,
+    );
+  }
+
+  /**
+   * Deletes a pricing rule that has not been used by any payment.
+   * @param {string} pricingRuleId - ID of the pricing rule to delete.
+   * @returns {Promise<Object>} - Result of the deletion.
+   * @throws {NotFoundError} - If the pricing rule does not exist.
+   * @throws {ConflictError} - If payments reference the pricing rule.
+   */
+  async deletePricingRule(pricingRuleId) {
+    logger.info(`Deleting pricing rule with ID: ${pricingRuleId}`);
+    const pricingRuleIdFormatted = this._formatObjectId(pricingRuleId);
+    const paymentCount = await paymentRepository.countPaymentsByPricingRuleId(
+      pricingRuleIdFormatted,
+    );
+
+    if (paymentCount > 0) {
+      throw new ConflictError(
+        `Pricing rule is referenced by ${paymentCount} payment(s) and cannot be deleted`,
+      );
+    }
+
+    const result = await pricingRuleRepository.deletePricingRule(
+      pricingRuleIdFormatted,
+    );
+
+    if (result.deletedCount === 0) {
+      throw new NotFoundError("Pricing rule not found");
+    }
+
+    return result;
+  }
+}
+
+export const pricingRuleService = new PricingRuleService();
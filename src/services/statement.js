@@ -0,0 +1,169 @@
+import { ObjectId } from "mongodb";
+import { paymentRepository } from "../repositories/payment.js";
+import { farmRepository } from "../repositories/farm.js";
+import { farmerRepository } from "../repositories/farmer.js";
+import { milkProductionRepository } from "../repositories/milkProduction.js";
+import { paymentService } from "./payment.js";
+import { statementPresenter } from "../presenters/statement.js";
+import { NotFoundError, ValidationError } from "../utils/errors.js";
+import { logger } from "../utils/logger.js";
+
+class StatementService {
+  /**
+   * Converts a string ID to ObjectId format, logging an error if the format is invalid.
+   * @param {string} id - ID to format.
+   * @returns {ObjectId} - Formatted ObjectId.
+   * @throws {ValidationError} - If the ID format is invalid.
+   */
+  _formatObjectId(id) {
+    try {
+      return ObjectId.createFromHexString(id);
+    } catch (error) {
+      logger.error(error);
+      throw new ValidationError(`Invalid ID format: ${id}`);
+    }
+  }
+
+  /**
+   * Fetches the farmer who owns a farm, even if deleted.
+   * @param {Object} farm - The farm.
+   * @returns {Promise<Object|null>} - The farmer, or null if it no longer exists.
+   */
+  async _getFarmer(farm) {
+    return farm.farmer_id
+      ? await farmerRepository.getFarmerById(farm.farmer_id, {
+          includeDeleted: true,
+        })
+      : null;
+  }
+
+  /**
+   * Gathers the data of one month of a statement: the daily deliveries, the pricing rule
+   * applied and the payment breakdown, including adjustments.
+   * @param {Object} payment - The payment record.
+   * @param {Object} farm - The farm the payment belongs to.
+   * @returns {Promise<Object>} - The monthly statement section.
+   */
+  async _getMonthSection(payment, farm) {
+    const startOfMonth = new Date(
+      Date.UTC(payment.year, payment.month - 1, 1, 0, 0, 0),
+    );
+    const endOfMonth = new Date(
+      Date.UTC(payment.year, payment.month, 0, 23, 59, 59),
+    );
+
+    const [deliveries, pricingRule, breakdown] = await Promise.all([
+      // A deleted farm's statement lists the deliveries deleted along with it
+      milkProductionRepository.getMilkProductionsByYearAndMonth(
+        farm._id,
+        startOfMonth,
+        endOfMonth,
+        { deletedAt: farm.deletedAt || null },
+      ),
+      paymentService.getPricingRuleForPayment(payment),
+      paymentService.getPaymentBreakdown(payment, farm),
+    ]);
+
+    return {
+      year: payment.year,
+      month: payment.month,
+      status: payment.status || "draft",
+      stale: Boolean(payment.stale),
+      deliveries,
+      pricing_rule: {
+        version: pricingRule.version,
+        name: pricingRule.name,
+      },
+      breakdown,
+      adjustments: payment.adjustments || [],
+    };
+  }
+
+  /**
+   * Generates the PDF statement of a monthly payment.
+   * @param {string} paymentId - ID of the payment.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - `{ filename, content }`, where content is the PDF buffer.
+   * @throws {NotFoundError} - If the payment or its farm does not exist, or is outside the caller's scope.
+   */
+  async getPaymentStatement(paymentId, scope = null) {
+    logger.info(`Generating statement for payment with ID: ${paymentId}`);
+    const paymentIdFormatted = this._formatObjectId(paymentId);
+    const payment = await paymentRepository.getPaymentById(paymentIdFormatted);
+
+    if (!payment) {
+      throw new NotFoundError("Payment not found");
+    }
+
+    const farm = await farmRepository.getFarmById(payment.farm_id, scope, {
+      includeDeleted: true,
+    });
+
+    // Payments of farms outside the caller's scope are reported as missing
+    if (!farm) {
+      throw new NotFoundError("Payment not found");
+    }
+
+    const farmer = await this._getFarmer(farm);
+    const month = await this._getMonthSection(payment, farm);
+
+    const content = await statementPresenter.render({
+      title: `Payment statement ${String(payment.month).padStart(2, "0")}/${payment.year}`,
+      farm,
+      farmer,
+      months: [month],
+    });
+
+    return {
+      filename: `statement-${payment.year}-${String(payment.month).padStart(2, "0")}.pdf`,
+      content,
+    };
+  }
+
+  /**
+   * Generates the PDF statement of all payments of a farm in a year, cancelled ones excluded.
+   * @param {string} farmId - ID of the farm.
+   * @param {number} year - The statement year.
+   * @param {Object|null} scope - Data scope of the caller (see AuthService.getScope).
+   * @returns {Promise<Object>} - `{ filename, content }`, where content is the PDF buffer.
+   * @throws {NotFoundError} - If the farm does not exist, is outside the caller's scope or has no payments in the year.
+   */
+  async getYearlyStatement(farmId, year, scope = null) {
+    logger.info(`Generating ${year} statement for farm with ID: ${farmId}`);
+    const farmIdFormatted = this._formatObjectId(farmId);
+    const farm = await farmRepository.getFarmById(farmIdFormatted, scope, {
+      includeDeleted: true,
+    });
+
+    if (!farm) {
+      throw new NotFoundError("Farm not found");
+    }
+
+    const farmer = await this._getFarmer(farm);
+
+    const payments = await paymentRepository.getPricePerLiterByFarmAndYear(
+      farmIdFormatted,
+      year,
+    );
+
+    if (payments.length === 0) {
+      throw new NotFoundError("No payment data found for this year");
+    }
+
+    const months = [];
+    for (const payment of payments) {
+      months.push(await this._getMonthSection(payment, farm));
+    }
+
+    const content = await statementPresenter.render({
+      title: `Payment statement ${year}`,
+      farm,
+      farmer,
+      months,
+    });
+
+    return { filename: `statement-${year}.pdf`, content };
+  }
+}
+
+export const statementService = new StatementService();
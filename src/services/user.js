@@ -1,19 +1,29 @@
 import { ObjectId } from "mongodb";
 import { userRepository } from "../repositories/user.js";
+import { farmerRepository } from "../repositories/farmer.js";
+import { authService } from "./auth.js";
+import { apiKeyService } from "./apiKey.js";
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, auditService } from "./audit.js";
+import { logger } from "../utils/logger.js";
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from "../utils/errors.js";
 
 class UserService {
   /**
    * Converts a string ID to ObjectId format. Logs an error if the format is invalid.
    * @param {string} id - ID to format.
    * @returns {ObjectId} - Formatted ObjectId.
-   * @throws {Error} - If the ID format is invalid.
+   * @throws {ValidationError} - If the ID format is invalid.
    */
   _formatObjectId(id) {
     try {
       return ObjectId.createFromHexString(id);
     } catch (error) {
       logger.error(error);
-      throw new Error(`Invalid ID format: ${id}`);
+      throw new ValidationError(`Invalid ID format: ${id}`);
     }
   }
 
@@ -26,17 +36,109 @@ class UserService {
   }
 
   /**
-   * Deletes a user by ID. Throws an error if the user is not found.
+   * Assigns a role to a user and revokes their sessions, so the new role applies
+   * from their next login.
+   * @param {string} userId - ID of the user.
+   * @param {string} role - The role to assign.
+   * @param {string} actingUserId - ID of the admin assigning the role.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated user (email and role).
+   * @throws {ConflictError} - If admins try to change their own role.
+   * @throws {NotFoundError} - If the user is not found.
+   */
+  async updateUserRole(userId, role, actingUserId, context = null) {
+    if (userId === actingUserId) {
+      throw new ConflictError("You cannot change your own role");
+    }
+
+    logger.info(`Assigning role ${role} to user ${userId}`);
+    const formattedId = this._formatObjectId(userId);
+    const before = await userRepository.getUserById(formattedId);
+    const user = await userRepository.updateUserRole(formattedId, role);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    await authService.revokeUserSessions(formattedId);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.USER,
+      formattedId,
+      { before, after: await userRepository.getUserById(formattedId) },
+    );
+
+    return user;
+  }
+
+  /**
+   * Links a user to a farmer record, scoping a farmer account to that farmer's farms,
+   * production and payments. Their sessions are revoked so the link applies from their
+   * next login.
+   * @param {string} userId - ID of the user.
+   * @param {string|null} farmerId - ID of the farmer, or null to remove the link.
+   * @param {Object|null} context - Request context recorded in the audit log.
+   * @returns {Promise<Object>} - The updated user (email, role and farmer_id).
+   * @throws {NotFoundError} - If the user or the farmer is not found.
+   */
+  async linkUserToFarmer(userId, farmerId, context = null) {
+    logger.info(`Linking user ${userId} to farmer ${farmerId}`);
+    const formattedId = this._formatObjectId(userId);
+    const farmerIdFormatted = farmerId ? this._formatObjectId(farmerId) : null;
+
+    if (
+      farmerIdFormatted &&
+      !(await farmerRepository.getFarmerById(farmerIdFormatted))
+    ) {
+      throw new NotFoundError("Farmer not found");
+    }
+
+    const before = await userRepository.getUserById(formattedId);
+    const user = await userRepository.updateUserFarmer(
+      formattedId,
+      farmerIdFormatted,
+    );
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+    await authService.revokeUserSessions(formattedId);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.UPDATE,
+      AUDIT_ENTITY_TYPES.USER,
+      formattedId,
+      { before, after: await userRepository.getUserById(formattedId) },
+    );
+
+    return user;
+  }
+
+  /**
+   * Deletes a user by ID and revokes all of their sessions and API keys. Throws an error if the user is not found.
    * @param {string} userId - ID of the user to delete.
+   * @param {Object|null} context - Request context recorded in the audit log.
    * @returns {Promise<Object>} - Result of the deletion operation.
-   * @throws {Error} - If the user is not found.
+   * @throws {NotFoundError} - If the user is not found.
    */
-  async deleteUser(userId) {
+  async deleteUser(userId, context = null) {
     const formattedId = this._formatObjectId(userId);
+    const before = await userRepository.getUserById(formattedId);
     const deletedUser = await userRepository.deleteUser(formattedId);
     if (!deletedUser.deletedCount) {
-      throw new Error("User not found");
+      throw new NotFoundError("User not found");
     }
+    await authService.revokeUserSessions(formattedId);
+    await apiKeyService.revokeUserApiKeys(formattedId);
+
+    await auditService.record(
+      context,
+      AUDIT_ACTIONS.DELETE,
+      AUDIT_ENTITY_TYPES.USER,
+      formattedId,
+      { before },
+    );
+
     return deletedUser;
   }
 }
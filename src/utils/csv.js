@@ -0,0 +1,84 @@
+import { ValidationError } from "./errors.js";
+
+/**
+ * Splits CSV text (RFC 4180) into rows of fields. Quoted fields may contain commas,
+ * line breaks and doubled quotes; both LF and CRLF line endings are accepted.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} - The rows, each an array of fields.
+ * @throws {ValidationError} - If a quoted field is not closed.
+ */
+const splitCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ValidationError("Malformed CSV: unclosed quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parses CSV text whose first line holds the column names into one object per line.
+ * Blank lines are skipped, and empty fields are left out of the objects, so they read
+ * as missing values.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Object>} - One object per data line, keyed by column name.
+ * @throws {ValidationError} - If the CSV is malformed.
+ */
+const parseCsv = (text) => {
+  // Spreadsheet exports often start with a byte order mark
+  const [header = [], ...lines] = splitCsv(text.replace(/^\uFEFF/, ""));
+  const columns = header.map((column) => column.trim());
+
+  return lines
+    .filter((fields) => fields.some((value) => value.trim() !== ""))
+    .map((fields) => {
+      const row = {};
+      columns.forEach((column, index) => {
+        const value = fields[index]?.trim();
+        if (column && value) {
+          row[column] = value;
+        }
+      });
+      return row;
+    });
+};
+
+export { parseCsv };
@@ -0,0 +1,92 @@
+/**
+ * Base class for domain errors: expected failures that services and repositories
+ * throw to reject a request. Each carries the HTTP status it is reported with; the
+ * error middleware (middlewares/errorHandler.js) turns them into problem+json responses.
+ * Any other error is treated as unexpected and reported as a 500.
+ */
+class DomainError extends Error {
+  /**
+   * @param {string} message - Description of the error, returned to the client.
+   * @param {number} status - HTTP status code.
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * Raised when the request data is invalid, such as a malformed ID, a rule that breaks a
+ * business constraint, or an unknown or expired token.
+ */
+class ValidationError extends DomainError {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {Array<Object>} [errors] - Details of each invalid field, as reported by express-validator.
+   */
+  constructor(message = "Validation failed", errors = []) {
+    super(message, 400);
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised when a request lacks valid credentials.
+ */
+class UnauthorizedError extends DomainError {
+  constructor(message = "Unauthorized") {
+    super(message, 401);
+  }
+}
+
+/**
+ * Raised when the caller is authenticated but not allowed to perform the action.
+ */
+class ForbiddenError extends DomainError {
+  constructor(message = "Forbidden") {
+    super(message, 403);
+  }
+}
+
+/**
+ * Raised when the requested resource does not exist.
+ */
+class NotFoundError extends DomainError {
+  constructor(message = "Resource not found") {
+    super(message, 404);
+  }
+}
+
+/**
+ * Raised when a request conflicts with the current state of a resource.
+ */
+class ConflictError extends DomainError {
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+/**
+ * Raised when a client must wait before retrying, e.g. after too many failed logins.
+ */
+class TooManyRequestsError extends DomainError {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {number} retryAfter - Seconds the client should wait before retrying.
+   */
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.retryAfter = retryAfter;
+  }
+}
+
+export {
+  DomainError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
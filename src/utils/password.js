@@ -0,0 +1,93 @@
+import { randomBytes, scrypt, timingSafeEqual } from "crypto";
+import { promisify } from "util";
+
+const scryptAsync = promisify(scrypt);
+
+const ALGORITHM = "scrypt";
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * PasswordHasher Class
+ * Hashes passwords with Node's built-in scrypt and a random salt per password.
+ * Hashes are stored as `scrypt:<salt>:<hash>` (hex encoded), so values without that
+ * prefix can be recognized as legacy plaintext passwords.
+ */
+class PasswordHasher {
+  /**
+   * Hashes a password with a new random salt.
+   * @param {string} password - The plaintext password.
+   * @returns {Promise<string>} - The encoded hash.
+   */
+  async hash(password) {
+    const salt = randomBytes(SALT_BYTES);
+    const derivedKey = await scryptAsync(password, salt, KEY_LENGTH);
+    return `${ALGORITHM}:${salt.toString("hex")}:${derivedKey.toString("hex")}`;
+  }
+
+  /**
+   * Checks whether a stored password is an encoded hash rather than legacy plaintext.
+   * @param {string} storedPassword - The password as stored in the database.
+   * @returns {boolean} - True if the value is an encoded hash.
+   */
+  isHashed(storedPassword) {
+    return (
+      typeof storedPassword === "string" &&
+      storedPassword.startsWith(`${ALGORITHM}:`)
+    );
+  }
+
+  /**
+   * Verifies a password against the stored value, which may be an encoded hash or,
+   * for accounts created before hashing, the plaintext password.
+   * @param {string} password - The password supplied by the user.
+   * @param {string} storedPassword - The password as stored in the database.
+   * @returns {Promise<boolean>} - True if the password matches.
+   */
+  async verify(password, storedPassword) {
+    if (typeof password !== "string" || typeof storedPassword !== "string") {
+      return false;
+    }
+
+    if (!this.isHashed(storedPassword)) {
+      return this._safeEqual(
+        Buffer.from(password),
+        Buffer.from(storedPassword),
+      );
+    }
+
+    const [, saltHex, hashHex] = storedPassword.split(":");
+    const expectedKey = Buffer.from(hashHex, "hex");
+    const derivedKey = await scryptAsync(
+      password,
+      Buffer.from(saltHex, "hex"),
+      expectedKey.length,
+    );
+
+    return this._safeEqual(derivedKey, expectedKey);
+  }
+
+  /**
+   * Does the work of verifying a password against a random hash, so requests for
+   * unknown accounts take as long as requests for existing ones.
+   * @param {string} password - The password supplied by the user.
+   * @returns {Promise<boolean>} - Always false.
+   */
+  async verifyDummy(password) {
+    this._dummyHash ??= this.hash(randomBytes(SALT_BYTES).toString("hex"));
+    await this.verify(password, await this._dummyHash);
+    return false;
+  }
+
+  /**
+   * Compares two buffers in constant time.
+   * @param {Buffer} a - First buffer.
+   * @param {Buffer} b - Second buffer.
+   * @returns {boolean} - True if both buffers are equal.
+   */
+  _safeEqual(a, b) {
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+}
+
+export const passwordHasher = new PasswordHasher();
@@ -0,0 +1,13 @@
+/**
+ * Builds the context that services record with the changes a request makes:
+ * the acting user, the API key used (if any) and the request ID.
+ * @param {Object} req - The Express request, after authentication.
+ * @returns {Object} - `{ actorId, apiKeyId, requestId }`.
+ */
+const getRequestContext = (req) => ({
+  actorId: req.user?.userId || null,
+  apiKeyId: req.user?.apiKeyId || null,
+  requestId: req.id || null,
+});
+
+export { getRequestContext };